@@ -0,0 +1,64 @@
+// Keeps the app itself (page, scripts, styles, icons) available offline.
+// Notes are kept separately, in IndexedDB, by src/services/api.js; API
+// requests are never answered from here.
+const CACHE_NAME = 'keepnotes-app-v1';
+// Every route is the same single page
+const APP_SHELL = '/index.html';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.add(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the files of older versions of the app
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const saveCopy = (key, response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then(cache => cache.put(key, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    // The latest page when online, the saved one offline
+    event.respondWith(
+      fetch(request)
+        .then(response => saveCopy(APP_SHELL, response))
+        .catch(() => caches.match(APP_SHELL))
+    );
+    return;
+  }
+
+  if (url.pathname.startsWith('/assets/')) {
+    // Built files have a content hash in their name, so a saved copy is never stale
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => saveCopy(request, response)))
+    );
+    return;
+  }
+
+  event.respondWith(
+    fetch(request)
+      .then(response => saveCopy(request, response))
+      .catch(() => caches.match(request))
+  );
+});
@@ -5,6 +5,12 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import PublicNote from './pages/PublicNote';
+import Security from './pages/Security';
+import Account from './pages/Account';
+import VerifyEmail from './pages/VerifyEmail';
 
 // Protected Route component
 const ProtectedRoute = ({ children }) => {
@@ -64,6 +70,22 @@ function AppContent() {
             </ProtectedRoute>
           } 
         />
+        <Route 
+          path="/security" 
+          element={
+            <ProtectedRoute>
+              <Security />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/account" 
+          element={
+            <ProtectedRoute>
+              <Account />
+            </ProtectedRoute>
+          } 
+        />
         <Route 
           path="/login" 
           element={
@@ -80,6 +102,30 @@ function AppContent() {
             </PublicRoute>
           } 
         />
+        <Route 
+          path="/forgot-password" 
+          element={
+            <PublicRoute>
+              <ForgotPassword />
+            </PublicRoute>
+          } 
+        />
+        <Route 
+          path="/reset-password/:token" 
+          element={
+            <PublicRoute>
+              <ResetPassword />
+            </PublicRoute>
+          } 
+        />
+        <Route 
+          path="/shared/:token" 
+          element={<PublicNote />} 
+        />
+        <Route 
+          path="/verify-email/:token" 
+          element={<VerifyEmail />} 
+        />
         <Route 
           path="*" 
           element={<Navigate to="/dashboard" replace />} 
@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import "./BulkActionsBar.css";
+
+function BulkActionsBar({ selectedCount, totalCount, categories, onAction, onSelectAll, onClearSelection }) {
+  const [color, setColor] = useState("#ffffff");
+  const disabled = selectedCount === 0;
+
+  const promptTags = (verb) => {
+    const input = window.prompt(`Tags to ${verb} (separate with commas):`);
+    const tags = (input || "").split(",").map(tag => tag.trim()).filter(tag => tag);
+    return tags.length > 0 ? tags : null;
+  };
+
+  return (
+    <div className="bulk-bar">
+      <div className="bulk-bar-selection">
+        <span>{selectedCount} selected</span>
+        {selectedCount < totalCount ? (
+          <button className="bulk-link" onClick={onSelectAll}>Select all</button>
+        ) : (
+          <button className="bulk-link" onClick={onClearSelection}>Clear</button>
+        )}
+      </div>
+
+      <div className="bulk-bar-actions">
+        <button onClick={() => onAction("pin")} disabled={disabled} title="Pin">📌 Pin</button>
+        <button onClick={() => onAction("unpin")} disabled={disabled} title="Unpin">Unpin</button>
+        <button onClick={() => onAction("archive")} disabled={disabled} title="Archive">📦 Archive</button>
+        <button onClick={() => onAction("unarchive")} disabled={disabled} title="Unarchive">Unarchive</button>
+        <button
+          onClick={() => {
+            const tags = promptTags("add");
+            if (tags) onAction("addTags", { tags });
+          }}
+          disabled={disabled}
+        >
+          🏷️ Add tags
+        </button>
+        <button
+          onClick={() => {
+            const tags = promptTags("remove");
+            if (tags) onAction("removeTags", { tags });
+          }}
+          disabled={disabled}
+        >
+          Remove tags
+        </button>
+        <select
+          value=""
+          onChange={(e) => e.target.value && onAction("setCategory", { category: e.target.value })}
+          disabled={disabled}
+          title="Move to category"
+        >
+          <option value="">Move to...</option>
+          {categories.map(category => (
+            <option key={category._id} value={category.name}>
+              {category.icon ? `${category.icon} ` : ""}{category.name}
+            </option>
+          ))}
+        </select>
+        <span className="bulk-color">
+          <input
+            type="color"
+            value={color}
+            onChange={(e) => setColor(e.target.value)}
+            disabled={disabled}
+            title="Color"
+          />
+          <button onClick={() => onAction("setColor", { color })} disabled={disabled}>🎨 Color</button>
+        </span>
+        <button
+          className="bulk-danger"
+          onClick={() => {
+            if (window.confirm(`Move ${selectedCount} note(s) to the trash?`)) {
+              onAction("delete");
+            }
+          }}
+          disabled={disabled}
+        >
+          🗑️ Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BulkActionsBar;
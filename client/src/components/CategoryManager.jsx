@@ -0,0 +1,176 @@
+import React, { useState } from "react";
+import { categoriesAPI } from "../services/api";
+import "./CategoryManager.css";
+
+function CategoryManager({ categories, onChanged, onClose }) {
+  const [newCategory, setNewCategory] = useState({ name: "", color: "#95a5a6", icon: "" });
+  const [drafts, setDrafts] = useState({});
+  const [error, setError] = useState("");
+
+  const getDraft = (category) => drafts[category._id] || category;
+
+  const updateDraft = (category, changes) => {
+    setDrafts(prev => ({ ...prev, [category._id]: { ...getDraft(category), ...changes } }));
+  };
+
+  const isDirty = (category) => {
+    const draft = drafts[category._id];
+    return draft && (
+      draft.name !== category.name ||
+      draft.color !== category.color ||
+      draft.icon !== category.icon
+    );
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newCategory.name.trim()) return;
+
+    try {
+      setError("");
+      await categoriesAPI.createCategory({
+        name: newCategory.name.trim(),
+        color: newCategory.color,
+        icon: newCategory.icon.trim()
+      });
+      setNewCategory({ name: "", color: "#95a5a6", icon: "" });
+      onChanged();
+    } catch (error) {
+      console.error("Error creating category:", error);
+      setError(error.response?.data?.message || "Failed to create category. Please try again.");
+    }
+  };
+
+  const handleSave = async (category) => {
+    const draft = getDraft(category);
+    if (!draft.name.trim()) {
+      setError("Category name cannot be empty");
+      return;
+    }
+
+    try {
+      setError("");
+      await categoriesAPI.updateCategory(category._id, {
+        name: draft.name.trim(),
+        color: draft.color,
+        icon: draft.icon.trim()
+      });
+      setDrafts(prev => {
+        const { [category._id]: _saved, ...rest } = prev;
+        return rest;
+      });
+      onChanged();
+    } catch (error) {
+      console.error("Error updating category:", error);
+      setError(error.response?.data?.message || "Failed to update category. Please try again.");
+    }
+  };
+
+  const handleDelete = async (category) => {
+    const message = category.noteCount > 0
+      ? `Delete "${category.name}"? Its ${category.noteCount} note(s) will be moved to another category.`
+      : `Delete "${category.name}"?`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      setError("");
+      await categoriesAPI.deleteCategory(category._id);
+      onChanged();
+    } catch (error) {
+      console.error("Error deleting category:", error);
+      setError(error.response?.data?.message || "Failed to delete category. Please try again.");
+    }
+  };
+
+  return (
+    <div className="category-overlay" onClick={onClose}>
+      <div className="category-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="category-header">
+          <h3>🏷️ Categories</h3>
+          <button className="category-close" onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        {error && <p className="category-error">{error}</p>}
+
+        <ul className="category-list">
+          {categories.map(category => {
+            const draft = getDraft(category);
+            return (
+              <li key={category._id} className="category-row">
+                <input
+                  type="color"
+                  value={draft.color}
+                  onChange={(e) => updateDraft(category, { color: e.target.value })}
+                  title="Color"
+                />
+                <input
+                  type="text"
+                  value={draft.icon}
+                  onChange={(e) => updateDraft(category, { icon: e.target.value })}
+                  className="category-icon-input"
+                  placeholder="🙂"
+                  maxLength={8}
+                />
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => updateDraft(category, { name: e.target.value })}
+                  className="category-name-input"
+                  maxLength={30}
+                />
+                <span className="category-count">{category.noteCount}</span>
+                {isDirty(category) && (
+                  <button className="category-save" onClick={() => handleSave(category)}>
+                    Save
+                  </button>
+                )}
+                <button
+                  className="category-remove"
+                  onClick={() => handleDelete(category)}
+                  disabled={categories.length === 1}
+                  title="Delete category"
+                >
+                  ✕
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+
+        <form className="category-row category-add" onSubmit={handleCreate}>
+          <input
+            type="color"
+            value={newCategory.color}
+            onChange={(e) => setNewCategory(prev => ({ ...prev, color: e.target.value }))}
+            title="Color"
+          />
+          <input
+            type="text"
+            value={newCategory.icon}
+            onChange={(e) => setNewCategory(prev => ({ ...prev, icon: e.target.value }))}
+            className="category-icon-input"
+            placeholder="🙂"
+            maxLength={8}
+          />
+          <input
+            type="text"
+            value={newCategory.name}
+            onChange={(e) => setNewCategory(prev => ({ ...prev, name: e.target.value }))}
+            className="category-name-input"
+            placeholder="New category..."
+            maxLength={30}
+          />
+          <button type="submit" className="category-save" disabled={!newCategory.name.trim()}>
+            Add
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default CategoryManager;
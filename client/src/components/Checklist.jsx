@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import { notesAPI } from "../services/api";
+import "./Checklist.css";
+
+function Checklist({ note, canEdit, onUpdated }) {
+  const [newItem, setNewItem] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const items = [...(note.items || [])].sort((a, b) => a.order - b.order);
+  const done = items.filter(item => item.done).length;
+  const total = items.length;
+
+  // Run an item request and hand the updated note back to the parent
+  const runUpdate = async (request, failureMessage) => {
+    try {
+      setIsSaving(true);
+      setError("");
+      const response = await request();
+      onUpdated(response.data.data);
+      return true;
+    } catch (error) {
+      console.error("Error updating checklist:", error);
+      setError(error.response?.data?.message || failureMessage);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddItem = async (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+
+    const added = await runUpdate(
+      () => notesAPI.addChecklistItem(note._id, { text: newItem.trim() }),
+      "Failed to add item. Please try again."
+    );
+    if (added) {
+      setNewItem("");
+    }
+  };
+
+  const handleToggle = (item) => {
+    runUpdate(
+      () => notesAPI.toggleChecklistItem(note._id, item._id),
+      "Failed to update item. Please try again."
+    );
+  };
+
+  const handleRemove = (item) => {
+    runUpdate(
+      () => notesAPI.removeChecklistItem(note._id, item._id),
+      "Failed to remove item. Please try again."
+    );
+  };
+
+  const handleMove = (index, offset) => {
+    const itemIds = items.map(item => item._id);
+    const [moved] = itemIds.splice(index, 1);
+    itemIds.splice(index + offset, 0, moved);
+
+    runUpdate(
+      () => notesAPI.reorderChecklistItems(note._id, itemIds),
+      "Failed to reorder items. Please try again."
+    );
+  };
+
+  return (
+    <div className="checklist">
+      <div className="checklist-progress">
+        <span>{done}/{total} done</span>
+        <div className="checklist-progress-bar">
+          <div
+            className="checklist-progress-fill"
+            style={{ width: total ? `${(done / total) * 100}%` : 0 }}
+          />
+        </div>
+      </div>
+
+      {error && <p className="checklist-error">{error}</p>}
+
+      {items.length === 0 ? (
+        <p className="checklist-empty">No items yet.</p>
+      ) : (
+        <ul className="checklist-items">
+          {items.map((item, index) => (
+            <li key={item._id} className={`checklist-item ${item.done ? "done" : ""}`}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={item.done}
+                  onChange={() => handleToggle(item)}
+                  disabled={!canEdit || isSaving}
+                />
+                <span>{item.text}</span>
+              </label>
+              {canEdit && (
+                <div className="checklist-item-actions">
+                  <button
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0 || isSaving}
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === items.length - 1 || isSaving}
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    className="checklist-remove"
+                    onClick={() => handleRemove(item)}
+                    disabled={isSaving}
+                    title="Remove item"
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <form className="checklist-add" onSubmit={handleAddItem}>
+          <input
+            type="text"
+            placeholder="Add an item..."
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+            maxLength={500}
+          />
+          <button type="submit" disabled={!newItem.trim() || isSaving}>
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default Checklist;
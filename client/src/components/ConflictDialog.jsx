@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import TagInput from "./TagInput";
+import "./ConflictDialog.css";
+
+const FIELD_LABELS = {
+  title: "Title",
+  content: "Content",
+  tags: "Tags",
+  category: "Category"
+};
+
+const formatField = (field, value) => field === "tags"
+  ? (value || []).map(tag => `#${tag}`).join(" ") || "No tags"
+  : value || "";
+
+// Shown when saving an edit finds that the note changed since editing started.
+// `mine` holds the edited fields, `theirs` the note as the server has it now.
+function ConflictDialog({ mine, theirs, onSave, onDiscard, onKeepEditing }) {
+  const fields = Object.keys(FIELD_LABELS).filter(field => mine[field] !== undefined);
+  const changedFields = fields.filter(field =>
+    formatField(field, mine[field]) !== formatField(field, theirs[field])
+  );
+  const [merged, setMerged] = useState(() =>
+    Object.fromEntries(fields.map(field => [field, mine[field]]))
+  );
+
+  const pickVersion = (field, version) => {
+    setMerged(prev => ({ ...prev, [field]: version[field] }));
+  };
+
+  return (
+    <div className="conflict-overlay">
+      <div className="conflict-dialog">
+        <div className="conflict-header">
+          <h3>⚠️ This note changed while you were editing</h3>
+        </div>
+
+        <p className="conflict-hint">
+          A newer version was saved in another tab, on another device or by a collaborator.
+          Compare the two, build the version to keep below, then save it.
+        </p>
+
+        {changedFields.map(field => (
+          <div key={field} className="conflict-field">
+            <h4>{FIELD_LABELS[field]}</h4>
+            <div className="conflict-versions">
+              <div className="conflict-version">
+                <div className="conflict-version-header">
+                  <span>Your version</span>
+                  <button onClick={() => pickVersion(field, mine)}>Use</button>
+                </div>
+                <pre>{formatField(field, mine[field])}</pre>
+              </div>
+              <div className="conflict-version">
+                <div className="conflict-version-header">
+                  <span>Current version</span>
+                  <button onClick={() => pickVersion(field, theirs)}>Use</button>
+                </div>
+                <pre>{formatField(field, theirs[field])}</pre>
+              </div>
+            </div>
+          </div>
+        ))}
+
+        <div className="conflict-merged">
+          <h4>Version to save</h4>
+          <input
+            type="text"
+            value={merged.title}
+            onChange={(e) => setMerged(prev => ({ ...prev, title: e.target.value }))}
+            maxLength={200}
+          />
+          {merged.content !== undefined && (
+            <textarea
+              value={merged.content}
+              onChange={(e) => setMerged(prev => ({ ...prev, content: e.target.value }))}
+              rows={8}
+            />
+          )}
+          <TagInput tags={merged.tags} onChange={(tags) => setMerged(prev => ({ ...prev, tags }))} />
+        </div>
+
+        <div className="conflict-actions">
+          <button
+            className="conflict-primary"
+            onClick={() => onSave(merged)}
+            disabled={!merged.title.trim()}
+          >
+            Save this version
+          </button>
+          <button className="conflict-secondary" onClick={onKeepEditing}>
+            Keep editing
+          </button>
+          <button className="conflict-secondary" onClick={onDiscard}>
+            Discard my changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictDialog;
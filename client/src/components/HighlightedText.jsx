@@ -0,0 +1,28 @@
+import React from "react";
+
+// Render text with the given [start, end) ranges wrapped in <mark>.
+// Ranges come from the search API and index into this exact string.
+function HighlightedText({ text = "", ranges = [] }) {
+  const parts = [];
+  let position = 0;
+
+  [...ranges]
+    .filter(range => range.start >= position && range.end <= text.length && range.start < range.end)
+    .sort((a, b) => a.start - b.start)
+    .forEach(range => {
+      if (range.start < position) return;
+      if (range.start > position) {
+        parts.push(text.slice(position, range.start));
+      }
+      parts.push(<mark key={range.start} className="search-highlight">{text.slice(range.start, range.end)}</mark>);
+      position = range.end;
+    });
+
+  if (position < text.length) {
+    parts.push(text.slice(position));
+  }
+
+  return <>{parts}</>;
+}
+
+export default HighlightedText;
@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { notesAPI } from "../services/api";
+import "./ImportDialog.css";
+
+const STATUS_LABELS = {
+  ready: "Ready",
+  imported: "Imported",
+  duplicate: "Duplicate",
+  skipped: "Skipped",
+  failed: "Failed"
+};
+
+function ImportDialog({ categories, onImported, onClose }) {
+  const [files, setFiles] = useState([]);
+  const [category, setCategory] = useState(categories[0]?.name || "");
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [report, setReport] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState("");
+
+  const runImport = async (dryRun) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append("files", file));
+    formData.append("dryRun", dryRun);
+    formData.append("skipDuplicates", skipDuplicates);
+    if (category) {
+      formData.append("category", category);
+    }
+
+    try {
+      setIsWorking(true);
+      setError("");
+      const response = await notesAPI.importNotes(formData);
+      setReport(response.data.data);
+      if (!dryRun) {
+        onImported();
+      }
+    } catch (error) {
+      console.error("Error importing notes:", error);
+      setError(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || "Failed to import notes. Please try again.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFilesChange = (e) => {
+    setFiles(Array.from(e.target.files));
+    setReport(null);
+  };
+
+  const readyCount = report?.dryRun ? report.summary.ready || 0 : 0;
+  const isDone = report && !report.dryRun;
+
+  return (
+    <div className="import-overlay" onClick={onClose}>
+      <div className="import-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="import-header">
+          <h3>📥 Import notes</h3>
+          <button className="import-close" onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        <p className="import-hint">
+          Markdown or text files, KeepNotes JSON exports and Google Keep notes from Google Takeout
+          (the <code>.json</code> files in <code>Takeout/Keep</code>).
+        </p>
+
+        {error && <p className="import-error">{error}</p>}
+
+        {!isDone && (
+          <div className="import-form">
+            <input
+              type="file"
+              multiple
+              accept=".md,.markdown,.txt,.json"
+              onChange={handleFilesChange}
+              disabled={isWorking}
+            />
+            <label>
+              Category for notes without one
+              <select value={category} onChange={(e) => { setCategory(e.target.value); setReport(null); }}>
+                {categories.map(c => (
+                  <option key={c._id} value={c.name}>{c.icon ? `${c.icon} ` : ""}{c.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="import-checkbox">
+              <input
+                type="checkbox"
+                checked={skipDuplicates}
+                onChange={(e) => { setSkipDuplicates(e.target.checked); setReport(null); }}
+              />
+              Skip notes I already have (same title and content)
+            </label>
+          </div>
+        )}
+
+        {report && (
+          <div className="import-report">
+            <p className="import-summary">
+              {report.dryRun ? "Preview" : "Done"}: {report.summary.total} found
+              {Object.keys(STATUS_LABELS)
+                .filter(status => report.summary[status])
+                .map(status => ` · ${report.summary[status]} ${STATUS_LABELS[status].toLowerCase()}`)
+                .join("")}
+              {report.categories.length > 0 && (
+                <> · {report.dryRun ? "new" : "created"} categories: {report.categories.join(", ")}</>
+              )}
+            </p>
+            <ul className="import-results">
+              {report.results.map((result, index) => (
+                <li key={index} className={`import-result import-${result.status}`}>
+                  <span className="import-status">{STATUS_LABELS[result.status]}</span>
+                  <div className="import-result-info">
+                    <strong>{result.title || result.source}</strong>
+                    <span>{result.source}</span>
+                    {result.message && <span>{result.message}</span>}
+                    {result.warnings?.map(warning => <span key={warning}>⚠️ {warning}</span>)}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="import-actions">
+          {isDone ? (
+            <button className="import-primary" onClick={onClose}>
+              Close
+            </button>
+          ) : report ? (
+            <button
+              className="import-primary"
+              onClick={() => runImport(false)}
+              disabled={isWorking || readyCount === 0}
+            >
+              {isWorking ? "Importing..." : `Import ${readyCount} note(s)`}
+            </button>
+          ) : (
+            <button
+              className="import-primary"
+              onClick={() => runImport(true)}
+              disabled={isWorking || files.length === 0}
+            >
+              {isWorking ? "Checking..." : "Preview"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportDialog;
@@ -0,0 +1,51 @@
+import React, { useState } from "react";
+import MarkdownPreview from "./MarkdownPreview";
+import "./MarkdownEditor.css";
+
+const MODES = [
+  { value: "write", label: "✏️ Write" },
+  { value: "split", label: "◫ Split" },
+  { value: "preview", label: "👁️ Preview" }
+];
+
+function MarkdownEditor({ value, onChange, placeholder = "Write your note here..." }) {
+  const [mode, setMode] = useState("split");
+
+  return (
+    <div className="markdown-editor">
+      <div className="markdown-toolbar">
+        <div className="markdown-modes">
+          {MODES.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`markdown-mode ${mode === option.value ? "active" : ""}`}
+              onClick={() => setMode(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <span className="markdown-hint">Markdown supported</span>
+      </div>
+
+      <div className={`markdown-panes ${mode}`}>
+        {mode !== "preview" && (
+          <textarea
+            placeholder={placeholder}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className="content-textarea"
+          />
+        )}
+        {mode !== "write" && (
+          <div className="markdown-preview-pane">
+            <MarkdownPreview content={value} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MarkdownEditor;
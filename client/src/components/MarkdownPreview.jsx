@@ -0,0 +1,37 @@
+import React, { useMemo } from "react";
+import { marked } from "marked";
+import DOMPurify from "dompurify";
+import "./MarkdownPreview.css";
+
+marked.setOptions({ gfm: true, breaks: true });
+
+// Open links in a new tab and keep task list checkboxes read-only
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A" && node.hasAttribute("href")) {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer nofollow");
+  }
+  if (node.tagName === "INPUT") {
+    node.setAttribute("disabled", "");
+  }
+});
+
+function MarkdownPreview({ content, emptyText = "Nothing to preview" }) {
+  const html = useMemo(
+    () => DOMPurify.sanitize(marked.parse(content || ""), { ADD_ATTR: ["target"] }),
+    [content]
+  );
+
+  if (!content?.trim()) {
+    return <p className="markdown-empty">{emptyText}</p>;
+  }
+
+  return (
+    <div
+      className="markdown-body"
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
+
+export default MarkdownPreview;
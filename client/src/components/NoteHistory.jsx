@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from "react";
+import { notesAPI } from "../services/api";
+import "./NoteHistory.css";
+
+function NoteHistory({ note, onRestored, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [selectedRevision, setSelectedRevision] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState("");
+
+  // Reload history whenever the note changes (e.g. after an edit or restore)
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        setIsLoading(true);
+        setError("");
+        const response = await notesAPI.getRevisions(note._id);
+        setRevisions(response.data.data);
+        setSelectedRevision(null);
+        setDiff(null);
+      } catch (error) {
+        console.error("Error loading revisions:", error);
+        setError("Failed to load history. Please try again.");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadRevisions();
+  }, [note._id, note.updatedAt]);
+
+  const handleSelectRevision = async (revision) => {
+    setSelectedRevision(revision);
+    setDiff(null);
+
+    // Compare the selected revision with the one before it
+    try {
+      const response = await notesAPI.diffRevisions(note._id, {
+        from: Math.max(revision.revision - 1, 1),
+        to: revision.revision
+      });
+      setDiff(response.data.data);
+    } catch (error) {
+      console.error("Error loading diff:", error);
+      setError("Failed to load changes for this revision.");
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!selectedRevision) return;
+
+    try {
+      setIsRestoring(true);
+      const response = await notesAPI.restoreRevision(note._id, selectedRevision.revision);
+      onRestored(response.data.data);
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      setError("Failed to restore this revision. Please try again.");
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const describeRevision = (revision) => {
+    if (revision.restoredFrom) {
+      return `Restored from revision ${revision.restoredFrom}`;
+    }
+    if (!revision.changedFields?.length) {
+      return "Created";
+    }
+    return `Changed ${revision.changedFields.join(", ")}`;
+  };
+
+  const latestRevision = revisions[0]?.revision;
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <h3>🕘 History</h3>
+        <button className="history-close" onClick={onClose} title="Close history">
+          ×
+        </button>
+      </div>
+
+      {error && <p className="history-error">{error}</p>}
+
+      {isLoading ? (
+        <p className="history-empty">Loading history...</p>
+      ) : (
+        <div className="history-body">
+          <ul className="revision-list">
+            {revisions.map(revision => (
+              <li
+                key={revision._id}
+                className={`revision-item ${selectedRevision?._id === revision._id ? 'active' : ''}`}
+                onClick={() => handleSelectRevision(revision)}
+              >
+                <div className="revision-title">
+                  <strong>Revision {revision.revision}</strong>
+                  {revision.revision === latestRevision && (
+                    <span className="revision-current">Current</span>
+                  )}
+                </div>
+                <span className="revision-description">{describeRevision(revision)}</span>
+                <span className="revision-meta">
+                  {formatDateTime(revision.createdAt)}
+                  {revision.editedBy && ` · ${revision.editedBy.firstName} ${revision.editedBy.lastName}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          {selectedRevision && (
+            <div className="revision-diff">
+              <div className="revision-diff-header">
+                <h4>
+                  {diff && diff.from.revision !== diff.to.revision
+                    ? `Changes from revision ${diff.from.revision} to ${diff.to.revision}`
+                    : `Revision ${selectedRevision.revision}`}
+                </h4>
+                {selectedRevision.revision !== latestRevision && (
+                  <button
+                    className="restore-btn"
+                    onClick={handleRestore}
+                    disabled={isRestoring}
+                  >
+                    {isRestoring ? "Restoring..." : "↩️ Restore this version"}
+                  </button>
+                )}
+              </div>
+
+              {!diff ? (
+                <p className="history-empty">Loading changes...</p>
+              ) : (
+                <>
+                  {diff.changedFields.includes("title") && (
+                    <p className="field-change">
+                      <strong>Title:</strong>{" "}
+                      <del>{diff.title.from}</del> → <ins>{diff.title.to}</ins>
+                    </p>
+                  )}
+                  {diff.changedFields.includes("category") && (
+                    <p className="field-change">
+                      <strong>Category:</strong>{" "}
+                      <del>{diff.category.from}</del> → <ins>{diff.category.to}</ins>
+                    </p>
+                  )}
+                  {diff.changedFields.includes("tags") && (
+                    <p className="field-change">
+                      <strong>Tags:</strong>{" "}
+                      {diff.tags.added.map(tag => <ins key={`+${tag}`}>+{tag} </ins>)}
+                      {diff.tags.removed.map(tag => <del key={`-${tag}`}>-{tag} </del>)}
+                    </p>
+                  )}
+                  <p className="diff-summary">
+                    <span className="diff-added">+{diff.content.summary.added}</span>{" "}
+                    <span className="diff-removed">-{diff.content.summary.removed}</span> lines
+                  </p>
+                  <pre className="diff-lines">
+                    {diff.content.lines.map((line, index) => (
+                      <div key={index} className={`diff-line diff-${line.type}`}>
+                        <span className="diff-marker">
+                          {line.type === "added" ? "+" : line.type === "removed" ? "-" : " "}
+                        </span>
+                        {line.value || " "}
+                      </div>
+                    ))}
+                  </pre>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NoteHistory;
@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import "./NotificationBell.css";
+
+const formatTime = (date) => new Date(date).toLocaleString("en-US", {
+  month: "short",
+  day: "numeric",
+  hour: "numeric",
+  minute: "2-digit"
+});
+
+// Header bell with the unread count; opens the list of recent notifications.
+// Reminder notifications can be snoozed or dismissed from the list.
+function NotificationBell({ notifications, unreadCount, onOpen, onSnooze, onDismiss, onMarkAllRead }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [desktopPermission, setDesktopPermission] = useState(
+    () => ("Notification" in window ? window.Notification.permission : "unsupported")
+  );
+
+  const handleEnableDesktop = async () => {
+    setDesktopPermission(await window.Notification.requestPermission());
+  };
+
+  const handleOpen = (notification) => {
+    setIsOpen(false);
+    onOpen(notification);
+  };
+
+  return (
+    <div className="notification-bell">
+      <button
+        className="notification-bell-btn"
+        onClick={() => setIsOpen(prev => !prev)}
+        title={unreadCount > 0 ? `${unreadCount} unread notification${unreadCount === 1 ? "" : "s"}` : "Notifications"}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-count">{unreadCount > 99 ? "99+" : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button className="notification-link" onClick={onMarkAllRead}>
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {desktopPermission === "default" && (
+            <button className="notification-link notification-desktop" onClick={handleEnableDesktop}>
+              Show reminders on this computer even when KeepNotes is in the background
+            </button>
+          )}
+
+          {notifications.length === 0 ? (
+            <p className="notification-empty">No notifications yet. Reminders you set on notes show up here.</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li
+                  key={notification._id}
+                  className={`notification-item ${notification.readAt ? "" : "unread"}`}
+                  onClick={() => handleOpen(notification)}
+                >
+                  <div className="notification-text">
+                    <strong>⏰ {notification.title || "Untitled note"}</strong>
+                    <span>
+                      {notification.snoozed ? "Snoozed reminder, due" : "Due"} {formatTime(notification.dueAt)}
+                    </span>
+                  </div>
+                  {!notification.readAt && notification.reminderId && (
+                    <div className="notification-actions" onClick={(e) => e.stopPropagation()}>
+                      <button
+                        className="notification-action"
+                        onClick={() => onSnooze(notification, { minutes: 10 })}
+                        title="Remind me again in 10 minutes"
+                      >
+                        😴 10 min
+                      </button>
+                      <button
+                        className="notification-action"
+                        onClick={() => onDismiss(notification)}
+                        title="Dismiss"
+                      >
+                        ✔️
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from "react";
+import { remindersAPI } from "../services/api";
+import ReminderList from "./ReminderList";
+import "./ReminderDialog.css";
+
+// Repeat choices, as repeat rules (see server/utils/recurrence.js)
+const REPEAT_OPTIONS = [
+  { label: "Does not repeat", rule: "" },
+  { label: "Every day", rule: "FREQ=DAILY" },
+  { label: "Every weekday", rule: "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR" },
+  { label: "Every week", rule: "FREQ=WEEKLY" },
+  { label: "Every month", rule: "FREQ=MONTHLY" },
+  { label: "Every year", rule: "FREQ=YEARLY" },
+  { label: "Custom rule...", rule: "custom" }
+];
+
+// The next full hour, as a datetime-local value in the browser's time zone
+const nextHour = () => {
+  const date = new Date();
+  date.setHours(date.getHours() + 1, 0, 0, 0);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:00`;
+};
+
+function ReminderDialog({ note, onChanged, onClose }) {
+  const [reminders, setReminders] = useState([]);
+  const [remindAt, setRemindAt] = useState(nextHour);
+  const [repeat, setRepeat] = useState("");
+  const [customRule, setCustomRule] = useState("");
+  const [notifyByEmail, setNotifyByEmail] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const loadReminders = async () => {
+      try {
+        setIsLoading(true);
+        setError("");
+        const response = await remindersAPI.getReminders({ noteId: note._id });
+        setReminders(response.data.data);
+      } catch (error) {
+        console.error("Error loading reminders:", error);
+        setError("Failed to load reminders. Please try again.");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadReminders();
+  }, [note._id]);
+
+  // Replace (or drop) a reminder in the list and let the page know
+  const updateList = (reminder, removedId) => {
+    setReminders(prev => removedId
+      ? prev.filter(r => r._id !== removedId)
+      : prev.map(r => r._id === reminder._id ? reminder : r).filter(r => r.status !== "dismissed"));
+    onChanged();
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError("");
+      const response = await remindersAPI.createReminder({
+        noteId: note._id,
+        startAt: new Date(remindAt).toISOString(),
+        rule: repeat === "custom" ? customRule.trim() : repeat || null,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        notifyByEmail
+      });
+      setReminders(prev => [...prev, response.data.data].sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt)));
+      onChanged();
+    } catch (error) {
+      console.error("Error setting reminder:", error);
+      setError(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || "Failed to set reminder. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSnooze = async (reminder, snoozeData) => {
+    try {
+      setError("");
+      const response = await remindersAPI.snoozeReminder(reminder._id, snoozeData);
+      updateList(response.data.data);
+    } catch (error) {
+      console.error("Error snoozing reminder:", error);
+      setError(error.response?.data?.message || "Failed to snooze reminder. Please try again.");
+    }
+  };
+
+  const handleDismiss = async (reminder) => {
+    try {
+      setError("");
+      const response = await remindersAPI.dismissReminder(reminder._id);
+      updateList(response.data.data);
+    } catch (error) {
+      console.error("Error dismissing reminder:", error);
+      setError(error.response?.data?.message || "Failed to dismiss reminder. Please try again.");
+    }
+  };
+
+  const handleDelete = async (reminder) => {
+    try {
+      setError("");
+      await remindersAPI.deleteReminder(reminder._id);
+      updateList(null, reminder._id);
+    } catch (error) {
+      console.error("Error deleting reminder:", error);
+      setError(error.response?.data?.message || "Failed to delete reminder. Please try again.");
+    }
+  };
+
+  return (
+    <div className="reminder-overlay" onClick={onClose}>
+      <div className="reminder-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="reminder-header">
+          <h3>⏰ Remind me about "{note.title}"</h3>
+          <button className="reminder-close" onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        <form className="reminder-form" onSubmit={handleCreate}>
+          <div className="reminder-fields">
+            <input
+              type="datetime-local"
+              value={remindAt}
+              onChange={(e) => setRemindAt(e.target.value)}
+              className="reminder-input"
+              required
+            />
+            <select
+              value={repeat}
+              onChange={(e) => setRepeat(e.target.value)}
+              className="reminder-select"
+            >
+              {REPEAT_OPTIONS.map(option => (
+                <option key={option.rule} value={option.rule}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          {repeat === "custom" && (
+            <input
+              type="text"
+              placeholder="e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10"
+              value={customRule}
+              onChange={(e) => setCustomRule(e.target.value)}
+              className="reminder-input reminder-rule-input"
+              title="FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, with optional INTERVAL, BYDAY (weekly), COUNT or UNTIL"
+            />
+          )}
+          <div className="reminder-form-footer">
+            <label className="reminder-email-option">
+              <input
+                type="checkbox"
+                checked={notifyByEmail}
+                onChange={(e) => setNotifyByEmail(e.target.checked)}
+              />
+              Also send an email
+            </label>
+            <button
+              type="submit"
+              className="reminder-submit"
+              disabled={isSaving || !remindAt || (repeat === "custom" && !customRule.trim())}
+            >
+              {isSaving ? "Saving..." : "Set reminder"}
+            </button>
+          </div>
+        </form>
+
+        {error && <p className="reminder-error">{error}</p>}
+
+        {isLoading ? (
+          <p className="reminder-empty">Loading reminders...</p>
+        ) : reminders.length === 0 ? (
+          <p className="reminder-empty">No reminders on this note yet.</p>
+        ) : (
+          <ReminderList
+            reminders={reminders}
+            showNote={false}
+            onSnooze={handleSnooze}
+            onDismiss={handleDismiss}
+            onDelete={handleDelete}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReminderDialog;
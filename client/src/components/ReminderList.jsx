@@ -0,0 +1,124 @@
+import React from "react";
+import "./ReminderList.css";
+
+const WEEKDAYS = { MO: "Mon", TU: "Tue", WE: "Wed", TH: "Thu", FR: "Fri", SA: "Sat", SU: "Sun" };
+const UNITS = { DAILY: "day", WEEKLY: "week", MONTHLY: "month", YEARLY: "year" };
+
+// "Every weekday", "Every 2 weeks on Mon, Thu", "Every month, 3 times", ...
+const describeRule = (rule) => {
+  const parts = Object.fromEntries(rule.split(";").map(part => part.split("=")));
+  const interval = parseInt(parts.INTERVAL || "1");
+  const unit = UNITS[parts.FREQ] || "time";
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+
+  if (parts.BYDAY === "MO,TU,WE,TH,FR" && interval === 1) {
+    text = "Every weekday";
+  } else if (parts.BYDAY) {
+    text += ` on ${parts.BYDAY.split(",").map(day => WEEKDAYS[day] || day).join(", ")}`;
+  }
+  if (parts.COUNT) {
+    text += `, ${parts.COUNT} times`;
+  }
+  if (parts.UNTIL) {
+    const [, year, month, day] = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/) || [];
+    text += year ? `, until ${new Date(year, month - 1, day).toLocaleDateString()}` : "";
+  }
+  return text;
+};
+
+const formatTime = (date) => new Date(date).toLocaleString("en-US", {
+  weekday: "short",
+  month: "short",
+  day: "numeric",
+  hour: "numeric",
+  minute: "2-digit"
+});
+
+// Tomorrow at 9:00 in the browser's time zone
+const tomorrowMorning = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return date.toISOString();
+};
+
+// Snooze request body for a choice in the snooze menu
+const snoozeFor = (choice) => choice === "tomorrow" ? { until: tomorrowMorning() } : { minutes: parseInt(choice) };
+
+// Reminders by due time. Reminders that went off can be snoozed or dismissed;
+// showNote lists the note each one belongs to (and opens it on click).
+function ReminderList({ reminders, showNote = true, onOpen, onSnooze, onDismiss, onDelete }) {
+  const handleSnooze = (reminder, choice) => {
+    if (choice) onSnooze(reminder, snoozeFor(choice));
+  };
+
+  return (
+    <ul className="reminder-list">
+      {reminders.map(reminder => {
+        const note = reminder.noteId;
+        const wentOff = Boolean(reminder.lastDueAt) && reminder.status !== "dismissed";
+        const isOverdue = reminder.status === "fired";
+
+        return (
+          <li
+            key={reminder._id}
+            className={`reminder-item ${isOverdue ? "overdue" : ""} ${showNote && onOpen ? "clickable" : ""}`}
+            onClick={() => showNote && onOpen?.(reminder)}
+          >
+            <div className="reminder-info">
+              {showNote && (
+                <strong className="reminder-note">
+                  {note?.title || "Deleted note"}
+                  {note?.deletedAt && <span className="reminder-flag"> (in trash)</span>}
+                </strong>
+              )}
+              <span className="reminder-time">
+                {reminder.status === "dismissed" ? "✔️" : isOverdue ? "🔔" : "⏰"} {formatTime(reminder.dueAt)}
+                {reminder.notifyByEmail && <span title="Also sent by email"> · 📧</span>}
+              </span>
+              {reminder.rule && (
+                <span className="reminder-detail">🔁 {describeRule(reminder.rule)}</span>
+              )}
+              {reminder.snoozedUntil && (
+                <span className="reminder-detail">😴 Snoozed until {formatTime(reminder.snoozedUntil)}</span>
+              )}
+            </div>
+            <div className="reminder-actions" onClick={(e) => e.stopPropagation()}>
+              {wentOff && (
+                <>
+                  <select
+                    className="reminder-snooze"
+                    value=""
+                    onChange={(e) => handleSnooze(reminder, e.target.value)}
+                    title="Remind me again later"
+                  >
+                    <option value="">😴 Snooze</option>
+                    <option value="10">10 minutes</option>
+                    <option value="60">1 hour</option>
+                    <option value="tomorrow">Tomorrow 9:00</option>
+                  </select>
+                  <button
+                    className="reminder-action"
+                    onClick={() => onDismiss(reminder)}
+                    title={reminder.rule && reminder.status !== "fired" ? "Dismiss (keeps repeating)" : "Dismiss"}
+                  >
+                    ✔️
+                  </button>
+                </>
+              )}
+              <button
+                className="reminder-action"
+                onClick={() => onDelete(reminder)}
+                title="Delete reminder"
+              >
+                ✕
+              </button>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default ReminderList;
@@ -0,0 +1,52 @@
+import React from "react";
+import "./SavedSearches.css";
+
+function SavedSearches({ searches, currentQuery, onRun, onSave, onRename, onDelete }) {
+  const query = currentQuery.trim();
+  const isSaved = searches.some(search => search.query === query);
+
+  if (searches.length === 0 && !query) {
+    return null;
+  }
+
+  return (
+    <div className="saved-searches">
+      <div className="saved-searches-header">
+        <span>⭐ Saved searches</span>
+        {query && !isSaved && (
+          <button className="saved-searches-save" onClick={() => onSave(query)} title="Save the current search">
+            Save search
+          </button>
+        )}
+      </div>
+      <div className="saved-searches-list">
+        {searches.map(search => (
+          <span
+            key={search._id}
+            className={`saved-search-item ${search.query === query ? "active" : ""}`}
+          >
+            <button className="saved-search-name" onClick={() => onRun(search)} title={search.query}>
+              {search.name}
+            </button>
+            <button
+              className="saved-search-action"
+              onClick={() => onRename(search)}
+              title="Rename saved search"
+            >
+              ✏️
+            </button>
+            <button
+              className="saved-search-action"
+              onClick={() => onDelete(search)}
+              title="Delete saved search"
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SavedSearches;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from "react";
+import { userAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import "./SessionsDialog.css";
+
+function SessionsDialog({ onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const { logout } = useAuth();
+
+  const loadSessions = async () => {
+    try {
+      setIsLoading(true);
+      setError("");
+      const response = await userAPI.getSessions();
+      setSessions(response.data.data);
+    } catch (error) {
+      console.error("Error loading sessions:", error);
+      setError("Failed to load sessions. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    try {
+      setError("");
+      await userAPI.revokeSession(session.id);
+      if (session.current) {
+        logout();
+        return;
+      }
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (error) {
+      console.error("Error revoking session:", error);
+      setError(error.response?.data?.message || "Failed to sign out device. Please try again.");
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm("Sign out of every other device?")) {
+      return;
+    }
+
+    try {
+      setError("");
+      await userAPI.revokeOtherSessions();
+      setSessions(prev => prev.filter(s => s.current));
+    } catch (error) {
+      console.error("Error revoking sessions:", error);
+      setError(error.response?.data?.message || "Failed to sign out other devices. Please try again.");
+    }
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="sessions-overlay" onClick={onClose}>
+      <div className="sessions-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="sessions-header">
+          <h3>🔐 Signed-in devices</h3>
+          <button className="sessions-close" onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        {error && <p className="sessions-error">{error}</p>}
+
+        {isLoading ? (
+          <p className="sessions-empty">Loading sessions...</p>
+        ) : (
+          <ul className="sessions-list">
+            {sessions.map(session => (
+              <li key={session.id} className="session-item">
+                <div className="session-info">
+                  <strong>
+                    {session.device}
+                    {session.current && <span className="session-current">This device</span>}
+                  </strong>
+                  <span>
+                    {session.ip || "Unknown IP"} · Last active {formatDateTime(session.lastSeenAt)}
+                  </span>
+                  <span>Signed in {formatDateTime(session.createdAt)}</span>
+                </div>
+                <button className="session-revoke" onClick={() => handleRevoke(session)}>
+                  {session.current ? "Log out" : "Sign out"}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {sessions.length > 1 && (
+          <button className="sessions-revoke-all" onClick={handleRevokeOthers}>
+            Sign out of all other devices
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SessionsDialog;
@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from "react";
+import { notesAPI } from "../services/api";
+import "./ShareDialog.css";
+
+function ShareDialog({ note, onClose }) {
+  const [collaborators, setCollaborators] = useState([]);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [links, setLinks] = useState([]);
+  const [linkExpiry, setLinkExpiry] = useState("");
+  const [linkPassword, setLinkPassword] = useState("");
+  const [copiedLinkId, setCopiedLinkId] = useState(null);
+
+  useEffect(() => {
+    const loadCollaborators = async () => {
+      try {
+        setIsLoading(true);
+        setError("");
+        const [collaboratorsResponse, linksResponse] = await Promise.all([
+          notesAPI.getCollaborators(note._id),
+          notesAPI.getShareLinks(note._id)
+        ]);
+        setCollaborators(collaboratorsResponse.data.data);
+        setLinks(linksResponse.data.data);
+      } catch (error) {
+        console.error("Error loading collaborators:", error);
+        setError("Failed to load collaborators. Please try again.");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadCollaborators();
+  }, [note._id]);
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError("Please enter a valid email address");
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError("");
+      const response = await notesAPI.shareNote(note._id, {
+        email: email.toLowerCase().trim(),
+        role
+      });
+      setCollaborators(response.data.data);
+      setEmail("");
+    } catch (error) {
+      console.error("Error sharing note:", error);
+      setError(error.response?.data?.message || "Failed to share note. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleChangeRole = async (collaborator, newRole) => {
+    try {
+      setError("");
+      const response = await notesAPI.shareNote(note._id, {
+        email: collaborator.email,
+        role: newRole
+      });
+      setCollaborators(response.data.data);
+    } catch (error) {
+      console.error("Error changing role:", error);
+      setError(error.response?.data?.message || "Failed to change role. Please try again.");
+    }
+  };
+
+  const handleRemove = async (collaborator) => {
+    try {
+      setError("");
+      const response = await notesAPI.unshareNote(note._id, collaborator.email);
+      setCollaborators(response.data.data);
+    } catch (error) {
+      console.error("Error removing collaborator:", error);
+      setError(error.response?.data?.message || "Failed to remove collaborator. Please try again.");
+    }
+  };
+
+  const handleCreateLink = async (e) => {
+    e.preventDefault();
+
+    try {
+      setError("");
+      const response = await notesAPI.createShareLink(note._id, {
+        expiresInDays: linkExpiry ? parseInt(linkExpiry) : null,
+        password: linkPassword || null
+      });
+      setLinks(prev => [response.data.data, ...prev]);
+      setLinkExpiry("");
+      setLinkPassword("");
+    } catch (error) {
+      console.error("Error creating share link:", error);
+      setError(error.response?.data?.message || "Failed to create link. Please try again.");
+    }
+  };
+
+  const handleRevokeLink = async (linkId) => {
+    try {
+      setError("");
+      await notesAPI.revokeShareLink(note._id, linkId);
+      setLinks(prev => prev.filter(link => link._id !== linkId));
+    } catch (error) {
+      console.error("Error revoking share link:", error);
+      setError(error.response?.data?.message || "Failed to revoke link. Please try again.");
+    }
+  };
+
+  const handleCopyLink = async (link) => {
+    const url = `${window.location.origin}/shared/${link.token}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopiedLinkId(link._id);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  return (
+    <div className="share-overlay" onClick={onClose}>
+      <div className="share-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="share-header">
+          <h3>👥 Share "{note.title}"</h3>
+          <button className="share-close" onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        <form className="share-form" onSubmit={handleShare}>
+          <input
+            type="email"
+            placeholder="Collaborator's email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="share-email-input"
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="share-role-select"
+          >
+            <option value="viewer">Can view</option>
+            <option value="editor">Can edit</option>
+          </select>
+          <button type="submit" className="share-submit" disabled={isSaving || !email.trim()}>
+            {isSaving ? "Sharing..." : "Share"}
+          </button>
+        </form>
+
+        {error && <p className="share-error">{error}</p>}
+
+        {isLoading ? (
+          <p className="share-empty">Loading collaborators...</p>
+        ) : collaborators.length === 0 ? (
+          <p className="share-empty">This note is not shared with anyone yet.</p>
+        ) : (
+          <ul className="collaborator-list">
+            {collaborators.map(collaborator => (
+              <li key={collaborator.id} className="collaborator-item">
+                <div className="collaborator-info">
+                  <strong>{collaborator.firstName} {collaborator.lastName}</strong>
+                  <span>{collaborator.email}</span>
+                </div>
+                <select
+                  value={collaborator.role}
+                  onChange={(e) => handleChangeRole(collaborator, e.target.value)}
+                  className="share-role-select"
+                >
+                  <option value="viewer">Can view</option>
+                  <option value="editor">Can edit</option>
+                </select>
+                <button
+                  className="collaborator-remove"
+                  onClick={() => handleRemove(collaborator)}
+                  title="Remove access"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="share-links">
+          <h4>🔗 Public links</h4>
+          <p className="share-empty">Anyone with a link can read this note without signing in.</p>
+
+          <form className="share-form" onSubmit={handleCreateLink}>
+            <select
+              value={linkExpiry}
+              onChange={(e) => setLinkExpiry(e.target.value)}
+              className="share-role-select"
+            >
+              <option value="">Never expires</option>
+              <option value="1">Expires in 1 day</option>
+              <option value="7">Expires in 7 days</option>
+              <option value="30">Expires in 30 days</option>
+            </select>
+            <input
+              type="password"
+              placeholder="Password (optional)"
+              value={linkPassword}
+              onChange={(e) => setLinkPassword(e.target.value)}
+              className="share-email-input"
+              autoComplete="new-password"
+            />
+            <button type="submit" className="share-submit">
+              Create link
+            </button>
+          </form>
+
+          {links.length > 0 && (
+            <ul className="collaborator-list">
+              {links.map(link => (
+                <li key={link._id} className="collaborator-item">
+                  <div className="collaborator-info">
+                    <strong>
+                      {link.hasPassword ? "🔒 " : ""}
+                      {link.isExpired
+                        ? "Expired"
+                        : link.expiresAt ? `Expires ${formatDate(link.expiresAt)}` : "No expiry"}
+                    </strong>
+                    <span>Created {formatDate(link.createdAt)} · Viewed {link.accessCount} times</span>
+                  </div>
+                  <button
+                    className="share-submit"
+                    onClick={() => handleCopyLink(link)}
+                    disabled={link.isExpired}
+                  >
+                    {copiedLinkId === link._id ? "Copied!" : "Copy"}
+                  </button>
+                  <button
+                    className="collaborator-remove"
+                    onClick={() => handleRevokeLink(link._id)}
+                    title="Revoke link"
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShareDialog;
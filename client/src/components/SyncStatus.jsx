@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from "react";
+import { syncAPI } from "../services/api";
+import "./SyncStatus.css";
+
+const LABELS = {
+  online: "Online",
+  offline: "Offline",
+  syncing: "Syncing"
+};
+
+// Header indicator: whether the server can be reached and how many changes
+// made offline are still waiting to be sent. Clicking it retries sending them.
+function SyncStatus() {
+  const [{ status, pending }, setSyncState] = useState(syncAPI.getStatus);
+
+  useEffect(() => syncAPI.subscribe({ onStatusChange: setSyncState }), []);
+
+  const waiting = pending > 0 ? ` · ${pending} change${pending === 1 ? "" : "s"} to sync` : "";
+  const title = status === "offline"
+    ? "The server cannot be reached. Changes are saved on this device and sent when it can."
+    : status === "syncing"
+      ? "Sending changes made offline"
+      : "Connected. Changes are saved right away.";
+
+  return (
+    <button
+      className={`sync-status ${status}`}
+      onClick={() => syncAPI.flush()}
+      disabled={pending === 0 || status === "syncing"}
+      title={pending > 0 && status === "offline" ? `${title} Click to try now.` : title}
+    >
+      <span className="sync-status-dot" />
+      {LABELS[status]}{waiting}
+    </button>
+  );
+}
+
+export default SyncStatus;
@@ -0,0 +1,58 @@
+import React from "react";
+import "./TagFilter.css";
+
+function TagFilter({ tags, selectedTags, tagMode, onToggleTag, onChangeMode, onClear, onRename, onDelete }) {
+  if (tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="tag-filter">
+      <div className="tag-filter-header">
+        <span>🏷️ Tags</span>
+        {selectedTags.length > 1 && (
+          <button
+            className="tag-filter-mode"
+            onClick={() => onChangeMode(tagMode === "all" ? "any" : "all")}
+            title="Switch between matching all or any of the selected tags"
+          >
+            Match {tagMode}
+          </button>
+        )}
+        {selectedTags.length > 0 && (
+          <button className="tag-filter-clear" onClick={onClear}>
+            Clear
+          </button>
+        )}
+      </div>
+      <div className="tag-filter-list">
+        {tags.map(tag => (
+          <span
+            key={tag.name}
+            className={`tag-filter-item ${selectedTags.includes(tag.name) ? "active" : ""}`}
+          >
+            <button className="tag-filter-name" onClick={() => onToggleTag(tag.name)}>
+              #{tag.name} <small>{tag.count}</small>
+            </button>
+            <button
+              className="tag-filter-action"
+              onClick={() => onRename(tag.name)}
+              title="Rename or merge tag"
+            >
+              ✏️
+            </button>
+            <button
+              className="tag-filter-action"
+              onClick={() => onDelete(tag.name)}
+              title="Remove tag from all notes"
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default TagFilter;
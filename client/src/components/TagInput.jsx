@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import "./TagInput.css";
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+function TagInput({ tags, onChange, suggestions = [] }) {
+  const [input, setInput] = useState("");
+
+  const addTag = (value) => {
+    const tag = value.trim().replace(/^#/, "").slice(0, MAX_TAG_LENGTH);
+    if (tag && !tags.includes(tag) && tags.length < MAX_TAGS) {
+      onChange([...tags, tag]);
+    }
+    setInput("");
+  };
+
+  const removeTag = (tag) => {
+    onChange(tags.filter(t => t !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === "Backspace" && !input && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      {tags.map(tag => (
+        <span key={tag} className="tag-chip">
+          #{tag}
+          <button type="button" onClick={() => removeTag(tag)} title="Remove tag">
+            ×
+          </button>
+        </span>
+      ))}
+      {tags.length < MAX_TAGS && (
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input.trim() && addTag(input)}
+          placeholder={tags.length === 0 ? "Add tags..." : ""}
+          list="tag-suggestions"
+          maxLength={MAX_TAG_LENGTH}
+        />
+      )}
+      <datalist id="tag-suggestions">
+        {suggestions
+          .filter(suggestion => !tags.includes(suggestion))
+          .map(suggestion => (
+            <option key={suggestion} value={suggestion} />
+          ))}
+      </datalist>
+    </div>
+  );
+}
+
+export default TagInput;
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { tokenManager } from '../services/api';
+import { authAPI, tokenManager } from '../services/api';
+import { offlineStore } from '../services/offlineStore';
 
 const AuthContext = createContext();
 
@@ -30,14 +31,28 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   const login = (token, userData) => {
+    // Notes kept offline for someone else must not show up for this user
+    offlineStore.claim(userData.id).catch((error) => {
+      console.error('Offline cache error:', error);
+    });
     tokenManager.setToken(token);
     tokenManager.setUser(userData);
     setUser(userData);
     setIsAuthenticated(true);
   };
 
-  const logout = () => {
+  const logout = async () => {
+    try {
+      // End the session on the server so its refresh token stops working
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
     tokenManager.removeToken();
+    // Do not leave the user's notes behind on a shared device
+    offlineStore.clear().catch((error) => {
+      console.error('Offline cache error:', error);
+    });
     setUser(null);
     setIsAuthenticated(false);
   };
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { userAPI } from "../services/api";
+import "./Security.css";
+
+const EXPORT_FORMATS = [
+  { value: "json", label: "JSON (everything, for backups and re-import)", extension: "json" },
+  { value: "markdown", label: "Markdown files (zip)", extension: "zip" },
+  { value: "csv", label: "CSV spreadsheet", extension: "csv" }
+];
+
+function Account() {
+  const { user, updateUser, logout } = useAuth();
+  const [names, setNames] = useState({
+    firstName: user?.firstName || "",
+    lastName: user?.lastName || "",
+  });
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
+  const [deleteForm, setDeleteForm] = useState({
+    password: "",
+    code: "",
+    confirm: "",
+  });
+  const [showDeleteForm, setShowDeleteForm] = useState(false);
+  const [exportFormat, setExportFormat] = useState("json");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const loadTwoFactorStatus = async () => {
+      try {
+        const response = await userAPI.getTwoFactorStatus();
+        setTwoFactorEnabled(response.data.data.enabled);
+      } catch (error) {
+        console.error("Error loading two-factor status:", error);
+      }
+    };
+
+    loadTwoFactorStatus();
+  }, []);
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      setIsSubmitting(true);
+      setError("");
+      setMessage("");
+      await action();
+    } catch (error) {
+      console.error("Account settings error:", error);
+      setError(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || fallbackMessage);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSaveNames = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await userAPI.updateProfile({
+        firstName: names.firstName.trim(),
+        lastName: names.lastName.trim()
+      });
+      const { firstName, lastName, fullName } = response.data.data;
+      updateUser({ firstName, lastName, fullName });
+      setMessage("Profile updated.");
+    }, "Failed to update profile. Please try again.");
+  };
+
+  const handleExport = () => {
+    runAction(async () => {
+      const response = await userAPI.exportNotes(exportFormat);
+      const { extension } = EXPORT_FORMATS.find(format => format.value === exportFormat);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `keepnotes-export-${new Date().toISOString().slice(0, 10)}.${extension}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      setMessage("Export downloaded.");
+    }, "Failed to export notes. Please try again.");
+  };
+
+  const handleDeactivate = () => {
+    if (!window.confirm("Deactivate your account? You will be signed out everywhere, and your account will be permanently deleted unless you log in again before the grace period ends.")) {
+      return;
+    }
+
+    runAction(async () => {
+      const response = await userAPI.deactivateAccount();
+      window.alert(response.data.data.message);
+      await logout();
+    }, "Failed to deactivate account. Please try again.");
+  };
+
+  const handleDelete = (e) => {
+    e.preventDefault();
+    if (!window.confirm("This permanently deletes your account and all of your notes. This cannot be undone. Continue?")) {
+      return;
+    }
+
+    runAction(async () => {
+      await userAPI.deleteAccountPermanently({
+        password: deleteForm.password,
+        confirm: deleteForm.confirm,
+        ...(twoFactorEnabled ? { code: deleteForm.code.trim() } : {})
+      });
+      window.alert("Your account and all of your data have been deleted.");
+      await logout();
+    }, "Failed to delete account. Please try again.");
+  };
+
+  const handleDeleteFormChange = (e) => {
+    const { name, value } = e.target;
+    setDeleteForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  return (
+    <div className="security-container">
+      <div className="security-card">
+        <div className="security-header">
+          <Link to="/dashboard" className="security-back">← Back to notes</Link>
+          <h1>⚙️ Account</h1>
+        </div>
+
+        {error && <p className="security-error">{error}</p>}
+        {message && <p className="security-message">{message}</p>}
+
+        <section className="security-section">
+          <h2>Profile</h2>
+          <form className="security-form" onSubmit={handleSaveNames}>
+            <input
+              type="text"
+              value={names.firstName}
+              onChange={(e) => setNames(prev => ({ ...prev, firstName: e.target.value }))}
+              placeholder="First name"
+              autoComplete="given-name"
+              className="security-input"
+            />
+            <input
+              type="text"
+              value={names.lastName}
+              onChange={(e) => setNames(prev => ({ ...prev, lastName: e.target.value }))}
+              placeholder="Last name"
+              autoComplete="family-name"
+              className="security-input"
+            />
+            <div className="security-actions">
+              <button
+                type="submit"
+                className="security-primary"
+                disabled={isSubmitting || names.firstName.trim().length < 2 || names.lastName.trim().length < 2}
+              >
+                Save
+              </button>
+            </div>
+          </form>
+          <p className="security-muted">
+            Email, two-factor authentication and signed-in devices are on the{" "}
+            <Link to="/security" className="security-back">Security</Link> page.
+          </p>
+        </section>
+
+        <section className="security-section">
+          <h2>Export your notes</h2>
+          <p className="security-muted">
+            Download every note you own, including archived notes, with their tags, colors and dates.
+            Notes in the trash are not included.
+          </p>
+          <div className="security-actions">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="security-input"
+            >
+              {EXPORT_FORMATS.map(format => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+            <button className="security-primary" onClick={handleExport} disabled={isSubmitting}>
+              Export
+            </button>
+          </div>
+        </section>
+
+        <section className="security-section security-danger-zone">
+          <h2>Deactivate account</h2>
+          <p className="security-muted">
+            Signs you out everywhere and hides your account. Log in again during the grace period
+            to reactivate it with all of your notes; after that it is deleted permanently.
+          </p>
+          <button className="security-danger" onClick={handleDeactivate} disabled={isSubmitting}>
+            Deactivate account
+          </button>
+        </section>
+
+        <section className="security-section security-danger-zone">
+          <h2>Delete account</h2>
+          <p className="security-muted">
+            Immediately and permanently erases your account, notes, history, categories and share links.
+            Notes others shared with you are not affected. This cannot be undone.
+          </p>
+
+          {showDeleteForm ? (
+            <form className="security-form" onSubmit={handleDelete}>
+              <input
+                type="password"
+                name="password"
+                value={deleteForm.password}
+                onChange={handleDeleteFormChange}
+                placeholder="Current password"
+                autoComplete="current-password"
+                className="security-input"
+              />
+              {twoFactorEnabled && (
+                <input
+                  type="text"
+                  name="code"
+                  value={deleteForm.code}
+                  onChange={handleDeleteFormChange}
+                  placeholder="Authenticator or recovery code"
+                  autoComplete="one-time-code"
+                  className="security-input"
+                />
+              )}
+              <input
+                type="text"
+                name="confirm"
+                value={deleteForm.confirm}
+                onChange={handleDeleteFormChange}
+                placeholder='Type "DELETE" to confirm'
+                className="security-input"
+              />
+              <div className="security-actions">
+                <button
+                  type="submit"
+                  className="security-danger"
+                  disabled={isSubmitting || !deleteForm.password || deleteForm.confirm !== "DELETE"}
+                >
+                  Delete everything
+                </button>
+                <button
+                  type="button"
+                  className="security-secondary"
+                  onClick={() => {
+                    setShowDeleteForm(false);
+                    setDeleteForm({ password: "", code: "", confirm: "" });
+                  }}
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button className="security-danger" onClick={() => setShowDeleteForm(true)}>
+              Delete account permanently
+            </button>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default Account;
@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { authAPI } from "../services/api";
+import "./Login.css";
+
+function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [errors, setErrors] = useState({});
+  const [successMessage, setSuccessMessage] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setEmail(e.target.value);
+    // Clear error when user starts typing
+    if (errors.email) {
+      setErrors(prev => ({
+        ...prev,
+        email: ""
+      }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setErrors({ email: "Email is required" });
+      return;
+    } else if (!/\S+@\S+\.\S+/.test(email)) {
+      setErrors({ email: "Email is invalid" });
+      return;
+    }
+
+    setIsLoading(true);
+    setErrors({});
+    setSuccessMessage("");
+
+    try {
+      const response = await authAPI.forgotPassword(email.toLowerCase());
+      setSuccessMessage(response.data.message);
+    } catch (error) {
+      console.error("Forgot password error:", error);
+
+      if (error.response?.data?.errors) {
+        // Validation errors from server
+        const serverErrors = {};
+        error.response.data.errors.forEach(err => {
+          serverErrors[err.field] = err.message;
+        });
+        setErrors(serverErrors);
+      } else if (error.response?.data?.message) {
+        setErrors({ general: error.response.data.message });
+      } else if (error.code === 'ECONNREFUSED') {
+        setErrors({ general: "Unable to connect to server. Please make sure the server is running." });
+      } else {
+        setErrors({ general: "Unable to send reset link. Please try again." });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Forgot Password</h1>
+          <p>Enter your email and we'll send you a link to reset your password</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          {errors.general && (
+            <div className="error-message general-error">
+              {errors.general}
+            </div>
+          )}
+
+          {successMessage && (
+            <div className="success-message">
+              {successMessage}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="email">Email Address</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={email}
+              onChange={handleChange}
+              className={errors.email ? "error" : ""}
+              placeholder="Enter your email"
+              autoComplete="email"
+            />
+            {errors.email && (
+              <span className="error-message">{errors.email}</span>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            className={`login-button ${isLoading ? "loading" : ""}`}
+            disabled={isLoading}
+          >
+            {isLoading ? "Sending..." : "Send Reset Link"}
+          </button>
+        </form>
+
+        <div className="login-footer">
+          <p>
+            Remembered your password?{" "}
+            <Link to="/login" className="signup-link">
+              Sign in here
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
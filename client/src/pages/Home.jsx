@@ -1,61 +1,622 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { Link } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
-import { notesAPI } from "../services/api";
+import {
+  notesAPI,
+  categoriesAPI,
+  searchesAPI,
+  eventsAPI,
+  syncAPI,
+  userAPI,
+  remindersAPI,
+  notificationsAPI,
+  conflictingNote,
+  isLocalNote
+} from "../services/api";
+import NoteHistory from "../components/NoteHistory";
+import ShareDialog from "../components/ShareDialog";
+import ImportDialog from "../components/ImportDialog";
+import ConflictDialog from "../components/ConflictDialog";
+import BulkActionsBar from "../components/BulkActionsBar";
+import HighlightedText from "../components/HighlightedText";
+import MarkdownEditor from "../components/MarkdownEditor";
+import MarkdownPreview from "../components/MarkdownPreview";
+import Checklist from "../components/Checklist";
+import CategoryManager from "../components/CategoryManager";
+import TagInput from "../components/TagInput";
+import TagFilter from "../components/TagFilter";
+import SavedSearches from "../components/SavedSearches";
+import SyncStatus from "../components/SyncStatus";
+import ReminderList from "../components/ReminderList";
+import ReminderDialog from "../components/ReminderDialog";
+import NotificationBell from "../components/NotificationBell";
 import "./Home.css";
 
+// Notes fetched per page in the notes and archive lists
+const NOTES_PAGE_SIZE = 20;
+// Pause after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+// "is:archived" in the search box finds archived notes from the notes view too
+const ARCHIVED_FILTER = /(^|\s)is:archived(?=\s|$)/i;
+
+// What a change queued offline would have done, for conflicts that stopped it
+const UNAPPLIED_CHANGES = {
+  delete: "moved to the trash",
+  pin: "pinned or unpinned",
+  archive: "archived or unarchived"
+};
+
 function Home() {
   const [notes, setNotes] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedNote, setSelectedNote] = useState(null);
   const [isCreating, setIsCreating] = useState(false);
-  const [newNote, setNewNote] = useState({ title: "", content: "", category: "personal" });
+  const [newNote, setNewNote] = useState({ title: "", content: "", category: "", type: "text", tags: [] });
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState("");
   const [isEditing, setIsEditing] = useState(false);
-  const [editNote, setEditNote] = useState({ title: "", content: "", category: "personal" });
+  const [editNote, setEditNote] = useState({ title: "", content: "", category: "personal", tags: [] });
+  const [showHistory, setShowHistory] = useState(false);
+  const [view, setView] = useState("notes");
+  const [trashedNotes, setTrashedNotes] = useState([]);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(null);
+  const [sharedNotes, setSharedNotes] = useState([]);
+  const [archivedNotes, setArchivedNotes] = useState([]);
+  const [showShareDialog, setShowShareDialog] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [showCategoryManager, setShowCategoryManager] = useState(false);
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [selectMode, setSelectMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMode, setTagMode] = useState("all");
+  const [savedSearches, setSavedSearches] = useState([]);
+  // Edits that could not be saved because the note changed meanwhile; the first is shown
+  const [conflicts, setConflicts] = useState([]);
+  const [verificationSent, setVerificationSent] = useState(false);
+  const [notePage, setNotePage] = useState({ page: 1, hasNextPage: false });
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [reminders, setReminders] = useState([]);
+  const [showReminderDialog, setShowReminderDialog] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const noteRequestRef = useRef(0);
+  const lastListViewRef = useRef(null);
+  const noteEventHandlerRef = useRef(null);
+  const notificationHandlerRef = useRef(null);
+  const syncHandlersRef = useRef(null);
   const { user, logout } = useAuth();
 
-  // Load notes from API
   useEffect(() => {
-    loadNotes();
+    loadCategories();
+    loadTags();
+    loadSavedSearches();
+    loadNotifications();
   }, []);
 
-  const loadNotes = async () => {
+  // Load a page of the notes (or archive) list with the current search and tag
+  // filter. Page 1 replaces the list; later pages are appended to it.
+  const loadNotePage = useCallback(async (page = 1, { showSpinner = false } = {}) => {
+    const archived = view === "archive";
+    const setList = archived ? setArchivedNotes : setNotes;
+    const search = searchTerm.trim();
+    const requestId = ++noteRequestRef.current;
+
     try {
-      setIsLoading(true);
+      if (showSpinner) setIsLoading(true);
+      if (page > 1) setIsLoadingMore(true);
       setError("");
-      const response = await notesAPI.getAllNotes();
-      setNotes(response.data.data.notes || []);
+      const response = await notesAPI.getAllNotes({
+        page,
+        limit: NOTES_PAGE_SIZE,
+        isArchived: archived,
+        ...(search ? { search } : { pinnedFirst: !archived }),
+        ...(!archived && selectedTags.length > 0 && { tags: selectedTags.join(","), tagMode })
+      });
+      // A newer search or filter was sent meanwhile; its results win
+      if (requestId !== noteRequestRef.current) return;
+
+      const { notes: pageNotes = [], pagination } = response.data.data;
+      setList(prev => page === 1
+        ? pageNotes
+        : [...prev, ...pageNotes.filter(note => !prev.some(p => p._id === note._id))]);
+      setNotePage({ page, hasNextPage: pagination.hasNextPage });
     } catch (error) {
       console.error("Error loading notes:", error);
-      if (error.code === 'ECONNREFUSED') {
-        setError("Unable to connect to server. Please make sure the server is running.");
+      if (!error.response) {
+        setError("Unable to connect to server, and no notes are saved on this device yet.");
+      } else if (error.response?.data?.errors) {
+        // A malformed search query, e.g. an unknown filter or a bad date
+        setError(error.response.data.errors[0].message);
       } else {
         setError("Failed to load notes. Please try again.");
       }
+    } finally {
+      if (requestId === noteRequestRef.current) {
+        setIsLoading(false);
+        setIsLoadingMore(false);
+      }
+    }
+  }, [view, searchTerm, selectedTags, tagMode]);
+
+  // The notes and archive lists are searched and filtered on the server: reload
+  // them when the view, search or tag filter changes (typing is debounced)
+  useEffect(() => {
+    const viewChanged = lastListViewRef.current !== view;
+    lastListViewRef.current = view;
+    if (view !== "notes" && view !== "archive") return;
+
+    const timer = setTimeout(
+      () => loadNotePage(1, { showSpinner: viewChanged }),
+      viewChanged ? 0 : SEARCH_DEBOUNCE_MS
+    );
+    return () => clearTimeout(timer);
+  }, [view, loadNotePage]);
+
+  // Changes made in other tabs, on other devices or by collaborators arrive
+  // over a live stream; after it drops, the list is reloaded to catch up
+  useEffect(() => eventsAPI.subscribe({
+    onNoteEvent: (event) => noteEventHandlerRef.current?.(event),
+    onNotification: (event) => notificationHandlerRef.current?.(event),
+    onReconnect: () => noteEventHandlerRef.current?.({ type: "resync" })
+  }), []);
+
+  // Changes made offline are sent once the server can be reached again
+  useEffect(() => syncAPI.subscribe({
+    onNoteSynced: (change) => syncHandlersRef.current?.noteSynced(change),
+    onConflict: (conflict) => syncHandlersRef.current?.conflict(conflict),
+    onSyncFailed: (failure) => syncHandlersRef.current?.failed(failure),
+    onSyncComplete: () => syncHandlersRef.current?.complete()
+  }), []);
+
+  const handleResendVerification = async () => {
+    try {
+      await userAPI.resendVerification();
+      setVerificationSent(true);
+    } catch (error) {
+      console.error("Error resending verification email:", error);
+      setError(error.response?.data?.message || "Failed to send verification email. Please try again.");
+    }
+  };
+
+  const loadNotes = () => loadNotePage(1);
+
+  // Fetch the next page when the sidebar is scrolled near the end of the list
+  const handleSidebarScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollHeight - scrollTop - clientHeight < 200) {
+      loadMoreNotes();
+    }
+  };
+
+  const loadMoreNotes = () => {
+    if ((view === "notes" || view === "archive") && notePage.hasNextPage && !isLoadingMore) {
+      loadNotePage(notePage.page + 1);
+    }
+  };
+
+  const loadCategories = async () => {
+    try {
+      const response = await categoriesAPI.getCategories();
+      const userCategories = response.data.data;
+      setCategories(userCategories);
+      // Keep the new-note form pointing at a category that still exists
+      setNewNote(prev => userCategories.some(c => c.name === prev.category)
+        ? prev
+        : { ...prev, category: userCategories[0]?.name || "" });
+    } catch (error) {
+      console.error("Error loading categories:", error);
+      setError("Failed to load categories. Please try again.");
+    }
+  };
+
+  const loadTags = async () => {
+    try {
+      const response = await notesAPI.getTags();
+      const userTags = response.data.data;
+      setTags(userTags);
+      // Drop filters for tags that no longer exist
+      setSelectedTags(prev => {
+        const remaining = prev.filter(tag => userTags.some(t => t.name === tag));
+        return remaining.length === prev.length ? prev : remaining;
+      });
+    } catch (error) {
+      console.error("Error loading tags:", error);
+    }
+  };
+
+  const handleToggleTag = (tag) => {
+    setSelectedTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+  };
+
+  const handleRenameTag = async (tag) => {
+    const name = window.prompt(`Rename #${tag} to (an existing tag name merges them):`, tag);
+    if (!name || !name.trim() || name.trim() === tag) {
+      return;
+    }
+
+    try {
+      await notesAPI.renameTag(tag, name.trim());
+      setSelectedTags(prev => prev.map(t => t === tag ? name.trim() : t));
+      loadTags();
+      loadNotes();
+    } catch (error) {
+      console.error("Error renaming tag:", error);
+      setError(error.response?.data?.message || "Failed to rename tag. Please try again.");
+    }
+  };
+
+  const handleDeleteTag = async (tag) => {
+    if (!window.confirm(`Remove #${tag} from all of your notes?`)) {
+      return;
+    }
+
+    try {
+      await notesAPI.deleteTag(tag);
+      loadTags();
+      loadNotes();
+    } catch (error) {
+      console.error("Error removing tag:", error);
+      setError(error.response?.data?.message || "Failed to remove tag. Please try again.");
+    }
+  };
+
+  const loadSavedSearches = async () => {
+    try {
+      const response = await searchesAPI.getSearches();
+      setSavedSearches(response.data.data);
+    } catch (error) {
+      console.error("Error loading saved searches:", error);
+    }
+  };
+
+  const handleSaveSearch = async (query) => {
+    const name = window.prompt("Name for this search:");
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      await searchesAPI.createSearch({ name: name.trim(), query });
+      loadSavedSearches();
+    } catch (error) {
+      console.error("Error saving search:", error);
+      setError(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || "Failed to save search. Please try again.");
+    }
+  };
+
+  const handleRenameSearch = async (search) => {
+    const name = window.prompt(`Rename "${search.name}" to:`, search.name);
+    if (!name || !name.trim() || name.trim() === search.name) {
+      return;
+    }
+
+    try {
+      await searchesAPI.updateSearch(search._id, { name: name.trim() });
+      loadSavedSearches();
+    } catch (error) {
+      console.error("Error renaming saved search:", error);
+      setError(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || "Failed to rename search. Please try again.");
+    }
+  };
+
+  const handleDeleteSearch = async (search) => {
+    if (!window.confirm(`Delete the saved search "${search.name}"?`)) {
+      return;
+    }
+
+    try {
+      await searchesAPI.deleteSearch(search._id);
+      setSavedSearches(prev => prev.filter(s => s._id !== search._id));
+    } catch (error) {
+      console.error("Error deleting saved search:", error);
+      setError(error.response?.data?.message || "Failed to delete search. Please try again.");
+    }
+  };
+
+  // Renaming or deleting a category also changes the notes filed under it
+  const handleCategoriesChanged = () => {
+    loadCategories();
+    loadNotes();
+  };
+
+  const loadTrash = async () => {
+    try {
+      setIsLoading(true);
+      setError("");
+      const response = await notesAPI.getTrash({ limit: 100 });
+      setTrashedNotes(response.data.data.notes || []);
+      setTrashRetentionDays(response.data.data.retentionDays);
+    } catch (error) {
+      console.error("Error loading trash:", error);
+      setError("Failed to load trash. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadSharedNotes = async () => {
+    try {
+      setIsLoading(true);
+      setError("");
+      const response = await notesAPI.getSharedNotes({ limit: 100 });
+      setSharedNotes(response.data.data.notes || []);
+    } catch (error) {
+      console.error("Error loading shared notes:", error);
+      setError("Failed to load shared notes. Please try again.");
     } finally {
       setIsLoading(false);
     }
   };
 
-  const filteredNotes = notes.filter(note =>
-    note.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    note.content.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    note.category.toLowerCase().includes(searchTerm.toLowerCase())
+  const loadReminders = async ({ showSpinner = false } = {}) => {
+    try {
+      if (showSpinner) setIsLoading(true);
+      setError("");
+      const response = await remindersAPI.getReminders();
+      setReminders(response.data.data);
+    } catch (error) {
+      console.error("Error loading reminders:", error);
+      setError("Failed to load reminders. Please try again.");
+    } finally {
+      if (showSpinner) setIsLoading(false);
+    }
+  };
+
+  const loadNotifications = async () => {
+    try {
+      const response = await notificationsAPI.getNotifications();
+      setNotifications(response.data.data.notifications);
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      console.error("Error loading notifications:", error);
+    }
+  };
+
+  const handleChangeView = (nextView) => {
+    if (nextView === view) return;
+    setView(nextView);
+    setSelectedNote(null);
+    setIsCreating(false);
+    setIsEditing(false);
+    setShowHistory(false);
+    setShowShareDialog(false);
+    setShowReminderDialog(false);
+    setConflicts([]);
+    setSelectMode(false);
+    setSelectedIds([]);
+    if (nextView === "trash") {
+      loadTrash();
+    } else if (nextView === "shared") {
+      loadSharedNotes();
+    } else if (nextView === "reminders") {
+      loadReminders({ showSpinner: true });
+    }
+  };
+
+  // A note archived or unarchived from another view may sit in both lists until they reload
+  const visibleNotes = view === "trash"
+    ? trashedNotes
+    : view === "shared"
+      ? sharedNotes
+      : view === "archive"
+        ? archivedNotes.filter(note => note.isArchived)
+        : notes.filter(note => note.isArchived === ARCHIVED_FILTER.test(searchTerm));
+
+  // The current user's access to a note: owner, editor or viewer
+  const getNoteRole = (note) => {
+    if (note.userId === user?.id) return "owner";
+    return note.role || note.collaborators?.find(c => c.userId === user?.id)?.role || "viewer";
+  };
+
+  // Merge an updated note from the API into whichever lists hold it
+  const applyNoteUpdate = (updated) => {
+    // Search highlights point into the old text, so edits drop them
+    const edited = "title" in updated || "content" in updated;
+    const merge = (note) => note._id === updated._id
+      ? { ...note, ...updated, ...(edited && { highlights: undefined }) }
+      : note;
+    setNotes(prev => prev.map(merge));
+    setSharedNotes(prev => prev.map(merge));
+    setArchivedNotes(prev => prev.map(merge));
+    setSelectedNote(prev => prev ? merge(prev) : prev);
+  };
+
+  // Apply a change pushed by the server
+  const handleNoteEvent = ({ type, noteId, note }) => {
+    const without = (list) => list.filter(n => n._id !== noteId);
+
+    if (type === "resync") {
+      loadNotes();
+      loadNotifications();
+      if (view === "reminders") loadReminders();
+      return;
+    }
+
+    if (type === "deleted" || type === "purged") {
+      setNotes(without);
+      setArchivedNotes(without);
+      setSharedNotes(without);
+      if (type === "purged") setTrashedNotes(without);
+      setSelectedNote(prev => prev?._id === noteId ? null : prev);
+      return;
+    }
+
+    const addTo = (list) => list.some(n => n._id === noteId) ? list : [note, ...list];
+
+    if (note.userId !== user?.id) {
+      // Shared with us: the role may have changed too
+      const role = note.collaborators?.find(c => c.userId === user?.id)?.role;
+      applyNoteUpdate({ ...note, role });
+      setSharedNotes(addTo);
+      return;
+    }
+
+    applyNoteUpdate(note);
+    if (type === "restored") setTrashedNotes(without);
+
+    // A searched or tag-filtered list may not include the note; fetch it again
+    // for new notes and leave it alone otherwise
+    if (searchTerm.trim() || selectedTags.length > 0) {
+      if (type === "created" || type === "restored") loadNotes();
+      return;
+    }
+    // A note archived or unarchived elsewhere joins the other list
+    if (note.isArchived) {
+      setArchivedNotes(addTo);
+    } else {
+      setNotes(addTo);
+    }
+  };
+
+  // Results of sending the changes queued while offline
+  const syncHandlers = {
+    noteSynced: ({ localId, note }) => {
+      if (!localId) {
+        applyNoteUpdate(note);
+        return;
+      }
+      // A note created offline now has its id from the server
+      const replace = (n) => n._id === localId ? { ...n, ...note } : n;
+      setNotes(prev => prev.map(replace));
+      setArchivedNotes(prev => prev.map(replace));
+      setSelectedNote(prev => prev ? replace(prev) : prev);
+      setSelectedIds(prev => prev.map(id => id === localId ? note._id : id));
+    },
+    conflict: ({ action, mine, theirs }) => {
+      applyNoteUpdate(theirs);
+      if (mine) {
+        setConflicts(prev => [...prev, { mine, theirs }]);
+        return;
+      }
+      if (action === "delete" && theirs.userId === user?.id) {
+        const setList = theirs.isArchived ? setArchivedNotes : setNotes;
+        setList(prev => prev.some(n => n._id === theirs._id) ? prev : [theirs, ...prev]);
+      }
+      setError(`"${theirs.title}" was changed elsewhere while you were offline, so it was not ${UNAPPLIED_CHANGES[action]}.`);
+    },
+    failed: ({ action, noteId, title, message }) => {
+      if (action === "create") {
+        const without = (list) => list.filter(n => n._id !== noteId);
+        setNotes(without);
+        setArchivedNotes(without);
+        setSelectedNote(prev => prev?._id === noteId ? null : prev);
+      }
+      setError(`A change made offline${title ? ` to "${title}"` : ""} could not be saved: ${message}`);
+    },
+    complete: () => {
+      loadNotes();
+      loadTags();
+    }
+  };
+
+  // A reminder went off (pushed by the server's reminder scheduler)
+  const handleNotification = ({ notification, reminder }) => {
+    setNotifications(prev => [notification, ...prev.filter(n => n._id !== notification._id)]);
+    setUnreadCount(prev => prev + 1);
+    // The pushed reminder only has the note's id; keep the note details we have
+    setReminders(prev => prev.map(r => r._id === reminder._id ? { ...reminder, noteId: r.noteId } : r));
+
+    // Also show it outside the page when the tab is in the background
+    if (document.hidden && window.Notification?.permission === "granted") {
+      const desktopNotification = new window.Notification(`⏰ ${notification.title || "Reminder"}`, {
+        body: "Reminder from KeepNotes",
+        tag: notification._id
+      });
+      desktopNotification.onclick = () => {
+        window.focus();
+        handleOpenNotification(notification);
+      };
+    }
+  };
+
+  useEffect(() => {
+    noteEventHandlerRef.current = handleNoteEvent;
+    notificationHandlerRef.current = handleNotification;
+    syncHandlersRef.current = syncHandlers;
+  });
+
+  // Pin or unpin right away and roll back if the server refuses
+  const handleTogglePin = async (note) => {
+    const isPinned = note.isPinned;
+    applyNoteUpdate({ _id: note._id, isPinned: !isPinned });
+
+    try {
+      const response = await notesAPI.pinNote(note._id, note.version);
+      const { isPinned: pinned, version } = response.data.data;
+      applyNoteUpdate({ _id: note._id, isPinned: pinned, version });
+    } catch (error) {
+      console.error("Error pinning note:", error);
+      // Changed elsewhere meanwhile: show the current copy instead of rolling back
+      applyNoteUpdate(conflictingNote(error) || { _id: note._id, isPinned });
+      setError(error.response?.data?.message || "Failed to pin note. Please try again.");
+    }
+  };
+
+  // Archive or unarchive right away, moving the note to the other list, and roll back on failure
+  const handleToggleArchive = async (note) => {
+    const isArchived = note.isArchived;
+    const addTo = (list) => list.some(n => n._id === note._id) ? list : [{ ...note, isArchived: !isArchived }, ...list];
+    if (isArchived) {
+      setNotes(addTo);
+    } else {
+      setArchivedNotes(addTo);
+    }
+    applyNoteUpdate({ _id: note._id, isArchived: !isArchived });
+
+    try {
+      const response = await notesAPI.archiveNote(note._id, note.version);
+      const { isArchived: archived, version } = response.data.data;
+      applyNoteUpdate({ _id: note._id, isArchived: archived, version });
+    } catch (error) {
+      console.error("Error archiving note:", error);
+      applyNoteUpdate(conflictingNote(error) || { _id: note._id, isArchived });
+      setError(error.response?.data?.message || "Failed to archive note. Please try again.");
+    }
+  };
+
+  const matchesSelectedTags = (note) => {
+    if (view !== "notes" || selectedTags.length === 0) return true;
+    const noteTags = note.tags || [];
+    return tagMode === "all"
+      ? selectedTags.every(tag => noteTags.includes(tag))
+      : selectedTags.some(tag => noteTags.includes(tag));
+  };
+
+  // The notes and archive lists arrive already searched; trash and shared notes are searched here
+  const isSearchedOnServer = view === "notes" || view === "archive";
+  const filteredNotes = visibleNotes.filter(note =>
+    matchesSelectedTags(note) && (
+      isSearchedOnServer ||
+      note.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      note.content.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      note.category.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      (note.tags || []).some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()))
+    )
   );
 
+  // Pinned notes are listed first, under their own heading, in the notes view
+  const pinnedCount = view === "notes" ? filteredNotes.filter(note => note.isPinned).length : 0;
+  const listedNotes = pinnedCount > 0
+    ? [...filteredNotes.filter(note => note.isPinned), ...filteredNotes.filter(note => !note.isPinned)]
+    : filteredNotes;
+
   const handleCreateNote = async () => {
-    if (newNote.title.trim() && newNote.content.trim()) {
+    if (newNote.title.trim() && (newNote.content.trim() || newNote.type === "checklist")) {
       try {
         const response = await notesAPI.createNote({
           title: newNote.title.trim(),
           content: newNote.content.trim(),
-          category: newNote.category
+          category: newNote.category,
+          type: newNote.type,
+          tags: newNote.tags
         });
         
         const createdNote = response.data.data;
         setNotes(prev => [createdNote, ...prev]);
-        setNewNote({ title: "", content: "", category: "personal" });
+        loadTags();
+        setNewNote(prev => ({ title: "", content: "", category: prev.category, type: "text", tags: [] }));
         setIsCreating(false);
         setSelectedNote(createdNote);
       } catch (error) {
@@ -69,6 +630,7 @@ function Home() {
     try {
       await notesAPI.deleteNote(noteId);
       setNotes(prev => prev.filter(note => note._id !== noteId));
+      setArchivedNotes(prev => prev.filter(note => note._id !== noteId));
       if (selectedNote && selectedNote._id === noteId) {
         setSelectedNote(null);
       }
@@ -78,56 +640,321 @@ function Home() {
     }
   };
 
-  const handleUpdateNote = async (noteId, updatedNote) => {
+  const handleToggleSelectMode = () => {
+    setSelectMode(prev => !prev);
+    setSelectedIds([]);
+  };
+
+  const handleToggleSelected = (noteId) => {
+    setSelectedIds(prev => prev.includes(noteId) ? prev.filter(id => id !== noteId) : [...prev, noteId]);
+  };
+
+  const handleBulkAction = async (action, params = {}) => {
+    try {
+      const response = await notesAPI.bulkUpdateNotes(selectedIds, action, params);
+      const { results, failed } = response.data.data;
+      const succeededIds = results.filter(result => result.success).map(result => result.id);
+
+      if (action === "delete") {
+        setNotes(prev => prev.filter(note => !succeededIds.includes(note._id)));
+        setArchivedNotes(prev => prev.filter(note => !succeededIds.includes(note._id)));
+        setSelectedNote(prev => prev && succeededIds.includes(prev._id) ? null : prev);
+        setSelectedIds(prev => prev.filter(id => !succeededIds.includes(id)));
+      } else {
+        results
+          .filter(result => result.success)
+          .forEach(result => applyNoteUpdate({ _id: result.id, ...result.data }));
+      }
+      // Archived and unarchived notes leave this view for the other one
+      if (action === "archive" || action === "unarchive") {
+        const moved = visibleNotes
+          .filter(note => succeededIds.includes(note._id))
+          .map(note => ({ ...note, isArchived: action === "archive" }));
+        const addMoved = (prev) => [...moved.filter(m => !prev.some(note => note._id === m._id)), ...prev];
+        if (action === "archive") {
+          setArchivedNotes(addMoved);
+        } else {
+          setNotes(addMoved);
+        }
+        setSelectedIds(prev => prev.filter(id => !succeededIds.includes(id)));
+      }
+      if (["addTags", "removeTags", "delete"].includes(action)) {
+        loadTags();
+      }
+
+      if (failed > 0) {
+        const firstFailure = results.find(result => !result.success);
+        setError(`${failed} note(s) could not be updated: ${firstFailure.message}`);
+      }
+    } catch (error) {
+      console.error("Error updating notes:", error);
+      setError(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || "Failed to update notes. Please try again.");
+    }
+  };
+
+  const handleRestoreNote = async (noteId) => {
+    try {
+      const response = await notesAPI.restoreNote(noteId);
+      const restoredNote = response.data.data;
+      setTrashedNotes(prev => prev.filter(note => note._id !== noteId));
+      setNotes(prev => [restoredNote, ...prev]);
+      if (selectedNote && selectedNote._id === noteId) {
+        setSelectedNote(null);
+      }
+    } catch (error) {
+      console.error("Error restoring note:", error);
+      setError("Failed to restore note. Please try again.");
+    }
+  };
+
+  const handleDeleteForever = async (noteId) => {
+    if (!window.confirm("Permanently delete this note? This cannot be undone.")) {
+      return;
+    }
+
     try {
-      const response = await notesAPI.updateNote(noteId, updatedNote);
-      const updated = response.data.data;
-      setNotes(prev => prev.map(note => 
-        note._id === noteId ? updated : note
-      ));
+      await notesAPI.deleteNotePermanently(noteId);
+      setTrashedNotes(prev => prev.filter(note => note._id !== noteId));
       if (selectedNote && selectedNote._id === noteId) {
-        setSelectedNote(updated);
+        setSelectedNote(null);
       }
+    } catch (error) {
+      console.error("Error permanently deleting note:", error);
+      setError("Failed to delete note. Please try again.");
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm("Permanently delete all notes in the trash? This cannot be undone.")) {
+      return;
+    }
+
+    try {
+      await notesAPI.emptyTrash();
+      setTrashedNotes([]);
+      setSelectedNote(null);
+    } catch (error) {
+      console.error("Error emptying trash:", error);
+      setError("Failed to empty trash. Please try again.");
+    }
+  };
+
+  // Saves only apply to the version editing started from; if the note changed
+  // meanwhile, both versions are shown so the user can merge them
+  const handleUpdateNote = async (noteId, updatedNote, version) => {
+    try {
+      const response = await notesAPI.updateNote(noteId, updatedNote, version);
+      applyNoteUpdate(response.data.data);
+      loadTags();
+      setConflicts(prev => prev.filter(c => c.theirs._id !== noteId));
       setIsEditing(false);
-      setEditNote({ title: "", content: "", category: "personal" });
+      setEditNote({ title: "", content: "", category: "personal", tags: [] });
     } catch (error) {
       console.error("Error updating note:", error);
-      setError("Failed to update note. Please try again.");
+      const current = conflictingNote(error);
+      if (current) {
+        applyNoteUpdate(current);
+        setConflicts(prev => [{ mine: updatedNote, theirs: current }, ...prev.filter(c => c.theirs._id !== noteId)]);
+      } else {
+        setError("Failed to update note. Please try again.");
+      }
     }
   };
 
+  // Back in the editor after seeing the conflict, the next save goes over the current version
+  const handleKeepEditing = () => {
+    const { mine, theirs } = conflicts[0];
+    setSelectedNote(prev => prev?._id === theirs._id ? prev : theirs);
+    setEditNote({
+      title: theirs.title,
+      content: theirs.content,
+      category: theirs.category,
+      tags: theirs.tags || [],
+      ...mine,
+      version: theirs.version
+    });
+    setIsEditing(true);
+    setConflicts(prev => prev.slice(1));
+  };
+
+  const handleDiscardEdit = () => {
+    setConflicts(prev => prev.slice(1));
+    handleCancelEdit();
+  };
+
+  const handleLogout = () => {
+    const { pending } = syncAPI.getStatus();
+    if (pending > 0 && !window.confirm(`${pending} change(s) made offline have not been sent yet and will be lost. Log out anyway?`)) {
+      return;
+    }
+    logout();
+  };
+
   const handleStartEdit = (note) => {
     setIsEditing(true);
     setEditNote({
       title: note.title,
       content: note.content,
-      category: note.category
+      category: note.category,
+      tags: note.tags || [],
+      version: note.version
     });
   };
 
   const handleCancelEdit = () => {
     setIsEditing(false);
-    setEditNote({ title: "", content: "", category: "personal" });
+    setEditNote({ title: "", content: "", category: "personal", tags: [] });
   };
 
   const handleSaveEdit = () => {
-    if (editNote.title.trim() && editNote.content.trim()) {
+    if (editNote.title.trim() && (editNote.content.trim() || selectedNote.type === "checklist")) {
       handleUpdateNote(selectedNote._id, {
         title: editNote.title.trim(),
-        content: editNote.content.trim(),
-        category: editNote.category
-      });
+        // Checklist content is the items as a task list; the server rebuilds them from it
+        ...(editNote.content.trim() && { content: editNote.content.trim() }),
+        tags: editNote.tags,
+        // Collaborators cannot see the owner's categories, so only owners refile notes
+        ...(getNoteRole(selectedNote) === "owner" && { category: editNote.category })
+      }, editNote.version);
+    }
+  };
+
+  const handleConvertNote = async (noteId, type) => {
+    try {
+      const response = await notesAPI.convertNote(noteId, type);
+      applyNoteUpdate(response.data.data);
+    } catch (error) {
+      console.error("Error converting note:", error);
+      setError(error.response?.data?.message || "Failed to convert note. Please try again.");
+    }
+  };
+
+  const getChecklistProgress = (note) => {
+    const items = note.items || [];
+    return `${items.filter(item => item.done).length}/${items.length} done`;
+  };
+
+  const handleRevisionRestored = (restoredNote) => {
+    applyNoteUpdate(restoredNote);
+  };
+
+  const handleLeaveNote = async (noteId) => {
+    if (!window.confirm("Remove this shared note from your list? You will lose access to it.")) {
+      return;
+    }
+
+    try {
+      await notesAPI.unshareNote(noteId, user.email);
+      setSharedNotes(prev => prev.filter(note => note._id !== noteId));
+      if (selectedNote && selectedNote._id === noteId) {
+        setSelectedNote(null);
+      }
+    } catch (error) {
+      console.error("Error leaving shared note:", error);
+      setError("Failed to leave shared note. Please try again.");
+    }
+  };
+
+  // Show a note a reminder or notification points at, fetching it if it is in no loaded list
+  const handleOpenNoteById = async (noteId) => {
+    const loaded = [...notes, ...archivedNotes, ...sharedNotes].find(note => note._id === noteId);
+    setIsCreating(false);
+    setIsEditing(false);
+    setShowHistory(false);
+
+    if (loaded) {
+      setSelectedNote(loaded);
+      return;
+    }
+
+    try {
+      const response = await notesAPI.getNote(noteId);
+      setSelectedNote(response.data.data);
+    } catch (error) {
+      console.error("Error opening note:", error);
+      setError(error.response?.status === 404
+        ? "That note is in the trash or no longer shared with you."
+        : "Failed to open note. Please try again.");
+    }
+  };
+
+  // After a reminder changed, refresh the list and the notifications it marked as read
+  const applyReminderUpdate = (updated) => {
+    setReminders(prev => prev
+      .map(r => r._id === updated._id ? updated : r)
+      .filter(r => r.status !== "dismissed"));
+    loadNotifications();
+  };
+
+  const handleSnoozeReminder = async (reminderId, snoozeData) => {
+    try {
+      const response = await remindersAPI.snoozeReminder(reminderId, snoozeData);
+      applyReminderUpdate(response.data.data);
+    } catch (error) {
+      console.error("Error snoozing reminder:", error);
+      setError(error.response?.data?.message || "Failed to snooze reminder. Please try again.");
+    }
+  };
+
+  const handleDismissReminder = async (reminderId) => {
+    try {
+      const response = await remindersAPI.dismissReminder(reminderId);
+      applyReminderUpdate(response.data.data);
+    } catch (error) {
+      console.error("Error dismissing reminder:", error);
+      setError(error.response?.data?.message || "Failed to dismiss reminder. Please try again.");
+    }
+  };
+
+  const handleDeleteReminder = async (reminder) => {
+    if (!window.confirm("Delete this reminder?")) {
+      return;
+    }
+
+    try {
+      await remindersAPI.deleteReminder(reminder._id);
+      setReminders(prev => prev.filter(r => r._id !== reminder._id));
+      loadNotifications();
+    } catch (error) {
+      console.error("Error deleting reminder:", error);
+      setError(error.response?.data?.message || "Failed to delete reminder. Please try again.");
+    }
+  };
+
+  const handleOpenNotification = async (notification) => {
+    if (notification.noteId) {
+      handleOpenNoteById(notification.noteId);
+    }
+    if (notification.readAt) return;
+
+    try {
+      const response = await notificationsAPI.markRead(notification._id);
+      setNotifications(prev => prev.map(n => n._id === notification._id ? { ...n, readAt: new Date().toISOString() } : n));
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      console.error("Error marking notification as read:", error);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(n => n.readAt ? n : { ...n, readAt }));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error("Error marking notifications as read:", error);
+      setError("Failed to mark notifications as read. Please try again.");
     }
   };
 
   const getCategoryColor = (category) => {
-    const colors = {
-      work: "#3498db",
-      personal: "#2ecc71",
-      creative: "#e74c3c",
-      study: "#f39c12"
-    };
-    return colors[category] || "#95a5a6";
+    return categories.find(c => c.name === category)?.color || "#95a5a6";
+  };
+
+  const getCategoryLabel = (category) => {
+    const icon = categories.find(c => c.name === category)?.icon;
+    return icon ? `${icon} ${category}` : category;
   };
 
   const formatDate = (date) => {
@@ -147,8 +974,31 @@ function Home() {
           <div className="header-actions">
             <div className="user-info">
               <span>Welcome, {user?.firstName || 'User'}!</span>
+              <SyncStatus />
+              <NotificationBell
+                notifications={notifications}
+                unreadCount={unreadCount}
+                onOpen={handleOpenNotification}
+                onSnooze={(notification, snoozeData) => handleSnoozeReminder(notification.reminderId, snoozeData)}
+                onDismiss={(notification) => handleDismissReminder(notification.reminderId)}
+                onMarkAllRead={handleMarkAllRead}
+              />
+              <Link
+                to="/security"
+                className="security-btn"
+                title="Two-factor authentication and signed-in devices"
+              >
+                🛡️ Security
+              </Link>
+              <Link
+                to="/account"
+                className="security-btn"
+                title="Profile, deactivation and account deletion"
+              >
+                ⚙️ Account
+              </Link>
               <button 
-                onClick={logout}
+                onClick={handleLogout}
                 className="logout-btn"
                 title="Logout"
               >
@@ -159,6 +1009,7 @@ function Home() {
               <input
                 type="text"
                 placeholder="Search notes..."
+                title='Filters: tag:name category:name is:pinned is:archived is:shared type:checklist created:>2026-01-01 updated:2026-09-01..2026-09-30, "exact phrase", -exclude'
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="search-input"
@@ -167,7 +1018,10 @@ function Home() {
             </div>
             <button 
               className="create-btn"
-              onClick={() => setIsCreating(true)}
+              onClick={() => {
+                handleChangeView("notes");
+                setIsCreating(true);
+              }}
             >
               ✏️ New Note
             </button>
@@ -175,6 +1029,19 @@ function Home() {
         </div>
       </header>
 
+      {user?.emailVerified === false && (
+        <div className="verify-banner">
+          {verificationSent ? (
+            <span>📧 Verification email sent to {user.email}. Check your inbox.</span>
+          ) : (
+            <>
+              <span>📧 Please verify your email address to share notes.</span>
+              <button onClick={handleResendVerification}>Resend email</button>
+            </>
+          )}
+        </div>
+      )}
+
       <div className="dashboard-content">
         {/* Error message */}
         {error && (
@@ -193,54 +1060,301 @@ function Home() {
         ) : (
           <>
             {/* Sidebar with notes list */}
-            <aside className="notes-sidebar">
+            <aside className="notes-sidebar" onScroll={handleSidebarScroll}>
+              <div className="sidebar-tabs">
+                <button
+                  className={`sidebar-tab ${view === "notes" ? "active" : ""}`}
+                  onClick={() => handleChangeView("notes")}
+                >
+                  📝 Notes
+                </button>
+                <button
+                  className={`sidebar-tab ${view === "shared" ? "active" : ""}`}
+                  onClick={() => handleChangeView("shared")}
+                >
+                  👥 Shared
+                </button>
+                <button
+                  className={`sidebar-tab ${view === "archive" ? "active" : ""}`}
+                  onClick={() => handleChangeView("archive")}
+                >
+                  📦 Archive
+                </button>
+                <button
+                  className={`sidebar-tab ${view === "trash" ? "active" : ""}`}
+                  onClick={() => handleChangeView("trash")}
+                >
+                  🗑️ Trash
+                </button>
+                <button
+                  className={`sidebar-tab ${view === "reminders" ? "active" : ""}`}
+                  onClick={() => handleChangeView("reminders")}
+                >
+                  ⏰ Reminders
+                </button>
+              </div>
+
               <div className="sidebar-header">
-                <h3>Your Notes ({filteredNotes.length})</h3>
+                <h3>
+                  {view === "reminders" ? "Reminders" : view === "trash" ? "Trash" : view === "shared" ? "Shared with me" : view === "archive" ? "Archive" : "Your Notes"} ({view === "reminders" ? reminders.length : filteredNotes.length})
+                </h3>
+                {view === "trash" && trashedNotes.length > 0 && (
+                  <button className="empty-trash-btn" onClick={handleEmptyTrash}>
+                    Empty trash
+                  </button>
+                )}
+                {view === "notes" && (
+                  <button
+                    className="manage-categories-btn"
+                    onClick={() => setShowCategoryManager(true)}
+                    title="Manage categories"
+                  >
+                    🏷️ Categories
+                  </button>
+                )}
+                {(view === "notes" || view === "archive") && (
+                  <button
+                    className="manage-categories-btn"
+                    onClick={handleToggleSelectMode}
+                    title="Select several notes to change them at once"
+                  >
+                    {selectMode ? "✔️ Done" : "☑️ Select"}
+                  </button>
+                )}
+                {view === "notes" && (
+                  <button
+                    className="manage-categories-btn"
+                    onClick={() => setShowImportDialog(true)}
+                    title="Import notes from files"
+                  >
+                    📥 Import
+                  </button>
+                )}
               </div>
+
+              {(view === "notes" || view === "archive") && (
+                <SavedSearches
+                  searches={savedSearches}
+                  currentQuery={searchTerm}
+                  onRun={(search) => setSearchTerm(search.query)}
+                  onSave={handleSaveSearch}
+                  onRename={handleRenameSearch}
+                  onDelete={handleDeleteSearch}
+                />
+              )}
+
+              {view === "notes" && (
+                <TagFilter
+                  tags={tags}
+                  selectedTags={selectedTags}
+                  tagMode={tagMode}
+                  onToggleTag={handleToggleTag}
+                  onChangeMode={setTagMode}
+                  onClear={() => setSelectedTags([])}
+                  onRename={handleRenameTag}
+                  onDelete={handleDeleteTag}
+                />
+              )}
+
+              {(view === "notes" || view === "archive") && selectMode && (
+                <BulkActionsBar
+                  selectedCount={selectedIds.length}
+                  totalCount={filteredNotes.length}
+                  categories={categories}
+                  onAction={handleBulkAction}
+                  onSelectAll={() => setSelectedIds(filteredNotes.map(note => note._id))}
+                  onClearSelection={() => setSelectedIds([])}
+                />
+              )}
+
+              {view === "trash" && trashRetentionDays && (
+                <p className="trash-notice">
+                  Notes in the trash are permanently deleted after {trashRetentionDays} days.
+                </p>
+              )}
               
               <div className="notes-list">
-                {filteredNotes.length === 0 ? (
-                  <div className="empty-state">
-                    <p>{searchTerm ? "No notes found" : "No notes yet"}</p>
-                    <button onClick={() => setIsCreating(true)}>
-                      Create your first note
-                    </button>
-                  </div>
-                ) : (
-                  filteredNotes.map(note => (
-                    <div
-                      key={note._id}
-                      className={`note-item ${selectedNote?._id === note._id ? 'active' : ''}`}
-                      onClick={() => setSelectedNote(note)}
-                    >
-                      <div className="note-header">
-                        <h4>{note.title}</h4>
-                        <span 
-                          className="category-badge"
-                          style={{ backgroundColor: getCategoryColor(note.category) }}
-                        >
-                          {note.category}
-                        </span>
-                      </div>
-                      <p className="note-preview">
-                        {note.content.substring(0, 100)}
-                        {note.content.length > 100 ? '...' : ''}
+                {view === "reminders" ? (
+                  reminders.length === 0 ? (
+                    <div className="empty-state">
+                      <p>No reminders. Open a note and choose ⏰ Remind me to set one.</p>
+                    </div>
+                  ) : (
+                    <ReminderList
+                      reminders={reminders}
+                      onOpen={(reminder) => reminder.noteId && handleOpenNoteById(reminder.noteId._id)}
+                      onSnooze={(reminder, snoozeData) => handleSnoozeReminder(reminder._id, snoozeData)}
+                      onDismiss={(reminder) => handleDismissReminder(reminder._id)}
+                      onDelete={handleDeleteReminder}
+                    />
+                  )
+                ) : filteredNotes.length === 0 ? (
+                  view !== "notes" ? (
+                    <div className="empty-state">
+                      <p>
+                        {searchTerm
+                          ? "No notes found"
+                          : view === "trash"
+                            ? "Trash is empty"
+                            : view === "archive" ? "No archived notes" : "No notes have been shared with you yet"}
                       </p>
-                      <div className="note-meta">
-                        <span>{formatDate(note.updatedAt)}</span>
-                        <button
-                          className="delete-btn"
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            handleDeleteNote(note._id);
-                          }}
-                        >
-                          🗑️
-                        </button>
-                      </div>
                     </div>
+                  ) : (
+                    <div className="empty-state">
+                      <p>{searchTerm || selectedTags.length > 0 ? "No notes found" : "No notes yet"}</p>
+                      <button onClick={() => setIsCreating(true)}>
+                        Create your first note
+                      </button>
+                    </div>
+                  )
+                ) : (
+                  listedNotes.map((note, index) => (
+                    <React.Fragment key={note._id}>
+                      {pinnedCount > 0 && index === 0 && (
+                        <h5 className="notes-group-label">📌 Pinned</h5>
+                      )}
+                      {pinnedCount > 0 && index === pinnedCount && (
+                        <h5 className="notes-group-label">Others</h5>
+                      )}
+                      <div
+                        className={`note-item ${selectedNote?._id === note._id ? 'active' : ''} ${selectMode && selectedIds.includes(note._id) ? 'selected' : ''}`}
+                        onClick={() => selectMode ? handleToggleSelected(note._id) : setSelectedNote(note)}
+                      >
+                        <div className="note-header">
+                          {selectMode && (
+                            <input
+                              type="checkbox"
+                              className="note-select"
+                              checked={selectedIds.includes(note._id)}
+                              onChange={() => handleToggleSelected(note._id)}
+                              onClick={(e) => e.stopPropagation()}
+                            />
+                          )}
+                          <h4>
+                            <HighlightedText text={note.title} ranges={note.highlights?.title} />
+                            {note.pending && (
+                              <span className="pending-badge" title="Saved on this device, not synced yet">⏳</span>
+                            )}
+                          </h4>
+                          <span 
+                            className="category-badge"
+                            style={{ backgroundColor: getCategoryColor(note.category) }}
+                          >
+                            {getCategoryLabel(note.category)}
+                          </span>
+                        </div>
+                        {note.highlights?.snippet.matches.length > 0 ? (
+                          <p className="note-preview">
+                            <HighlightedText text={note.highlights.snippet.text} ranges={note.highlights.snippet.matches} />
+                          </p>
+                        ) : note.type === "checklist" ? (
+                          <p className="note-preview checklist-preview">
+                            ☑️ {getChecklistProgress(note)}
+                          </p>
+                        ) : (
+                          <p className="note-preview">
+                            {note.content.substring(0, 100)}
+                            {note.content.length > 100 ? '...' : ''}
+                          </p>
+                        )}
+                        {note.tags?.length > 0 && (
+                          <div className="note-tags">
+                            {/* Tags the search matched come first */}
+                            {[...note.tags]
+                              .sort((a, b) => (note.highlights?.tags.includes(b) ? 1 : 0) - (note.highlights?.tags.includes(a) ? 1 : 0))
+                              .slice(0, 3)
+                              .map(tag => (
+                                <span
+                                  key={tag}
+                                  className={`note-tag ${note.highlights?.tags.includes(tag) ? "matched" : ""}`}
+                                >
+                                  #{tag}
+                                </span>
+                              ))}
+                            {note.tags.length > 3 && (
+                              <span className="note-tag">+{note.tags.length - 3}</span>
+                            )}
+                          </div>
+                        )}
+                        {view === "trash" ? (
+                          <div className="note-meta">
+                            <span>Deleted {formatDate(note.deletedAt)}</span>
+                            <div className="note-item-actions">
+                              <button
+                                className="delete-btn"
+                                title="Restore"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleRestoreNote(note._id);
+                                }}
+                              >
+                                ♻️
+                              </button>
+                              <button
+                                className="delete-btn"
+                                title="Delete forever"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleDeleteForever(note._id);
+                                }}
+                              >
+                                ❌
+                              </button>
+                            </div>
+                          </div>
+                        ) : view === "shared" ? (
+                          <div className="note-meta">
+                            <span>
+                              {note.owner ? `${note.owner.firstName} ${note.owner.lastName}` : ""} · {formatDate(note.updatedAt)}
+                            </span>
+                            <span className="role-badge">{note.role === "editor" ? "Can edit" : "Can view"}</span>
+                          </div>
+                        ) : (
+                          <div className="note-meta">
+                            <span>{formatDate(note.updatedAt)}</span>
+                            <div className="note-item-actions">
+                              <button
+                                className={`delete-btn ${note.isPinned ? "toggled" : ""}`}
+                                title={note.isPinned ? "Unpin" : "Pin"}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleTogglePin(note);
+                                }}
+                              >
+                                📌
+                              </button>
+                              <button
+                                className="delete-btn"
+                                title={note.isArchived ? "Unarchive" : "Archive"}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleToggleArchive(note);
+                                }}
+                              >
+                                {note.isArchived ? "📤" : "📦"}
+                              </button>
+                              <button
+                                className="delete-btn"
+                                title="Move to trash"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleDeleteNote(note._id);
+                                }}
+                              >
+                                🗑️
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    </React.Fragment>
                   ))
                 )}
+                {(view === "notes" || view === "archive") && notePage.hasNextPage && (
+                  <button className="load-more-btn" onClick={loadMoreNotes} disabled={isLoadingMore}>
+                    {isLoadingMore ? "Loading..." : "Load more"}
+                  </button>
+                )}
               </div>
             </aside>
 
@@ -255,7 +1369,7 @@ function Home() {
                         className="cancel-btn"
                         onClick={() => {
                           setIsCreating(false);
-                          setNewNote({ title: "", content: "", category: "personal" });
+                          setNewNote(prev => ({ title: "", content: "", category: prev.category, type: "text", tags: [] }));
                         }}
                       >
                         Cancel
@@ -263,7 +1377,7 @@ function Home() {
                       <button
                         className="save-btn"
                         onClick={handleCreateNote}
-                        disabled={!newNote.title.trim() || !newNote.content.trim()}
+                        disabled={!newNote.title.trim() || (newNote.type === "text" && !newNote.content.trim())}
                       >
                         Save Note
                       </button>
@@ -284,18 +1398,49 @@ function Home() {
                       onChange={(e) => setNewNote(prev => ({ ...prev, category: e.target.value }))}
                       className="category-select"
                     >
-                      <option value="personal">Personal</option>
-                      <option value="work">Work</option>
-                      <option value="creative">Creative</option>
-                      <option value="study">Study</option>
+                      {categories.map(category => (
+                        <option key={category._id} value={category.name}>
+                          {category.icon ? `${category.icon} ${category.name}` : category.name}
+                        </option>
+                      ))}
                     </select>
                     
-                    <textarea
-                      placeholder="Write your note here..."
-                      value={newNote.content}
-                      onChange={(e) => setNewNote(prev => ({ ...prev, content: e.target.value }))}
-                      className="content-textarea"
+                    <TagInput
+                      tags={newNote.tags}
+                      onChange={(tags) => setNewNote(prev => ({ ...prev, tags }))}
+                      suggestions={tags.map(tag => tag.name)}
                     />
+                    
+                    <div className="note-type-toggle">
+                      <button
+                        type="button"
+                        className={newNote.type === "text" ? "active" : ""}
+                        onClick={() => setNewNote(prev => ({ ...prev, type: "text" }))}
+                      >
+                        📝 Text
+                      </button>
+                      <button
+                        type="button"
+                        className={newNote.type === "checklist" ? "active" : ""}
+                        onClick={() => setNewNote(prev => ({ ...prev, type: "checklist" }))}
+                      >
+                        ☑️ Checklist
+                      </button>
+                    </div>
+                    
+                    {newNote.type === "checklist" ? (
+                      <textarea
+                        placeholder="One item per line..."
+                        value={newNote.content}
+                        onChange={(e) => setNewNote(prev => ({ ...prev, content: e.target.value }))}
+                        className="content-textarea"
+                      />
+                    ) : (
+                      <MarkdownEditor
+                        value={newNote.content}
+                        onChange={(content) => setNewNote(prev => ({ ...prev, content }))}
+                      />
+                    )}
                   </div>
                 </div>
               ) : selectedNote ? (
@@ -314,7 +1459,7 @@ function Home() {
                           <button
                             className="save-btn"
                             onClick={handleSaveEdit}
-                            disabled={!editNote.title.trim() || !editNote.content.trim()}
+                            disabled={!editNote.title.trim() || (selectedNote.type !== "checklist" && !editNote.content.trim())}
                           >
                             Save Changes
                           </button>
@@ -330,22 +1475,29 @@ function Home() {
                           className="title-input"
                         />
                         
-                        <select
-                          value={editNote.category}
-                          onChange={(e) => setEditNote(prev => ({ ...prev, category: e.target.value }))}
-                          className="category-select"
-                        >
-                          <option value="personal">Personal</option>
-                          <option value="work">Work</option>
-                          <option value="creative">Creative</option>
-                          <option value="study">Study</option>
-                        </select>
+                        {getNoteRole(selectedNote) === "owner" && (
+                          <select
+                            value={editNote.category}
+                            onChange={(e) => setEditNote(prev => ({ ...prev, category: e.target.value }))}
+                            className="category-select"
+                          >
+                            {categories.map(category => (
+                              <option key={category._id} value={category.name}>
+                                {category.icon ? `${category.icon} ${category.name}` : category.name}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                        
+                        <TagInput
+                          tags={editNote.tags}
+                          onChange={(tags) => setEditNote(prev => ({ ...prev, tags }))}
+                          suggestions={tags.map(tag => tag.name)}
+                        />
                         
-                        <textarea
-                          placeholder="Write your note here..."
+                        <MarkdownEditor
                           value={editNote.content}
-                          onChange={(e) => setEditNote(prev => ({ ...prev, content: e.target.value }))}
-                          className="content-textarea"
+                          onChange={(content) => setEditNote(prev => ({ ...prev, content }))}
                         />
                       </div>
                     </div>
@@ -359,7 +1511,7 @@ function Home() {
                               className="category-badge"
                               style={{ backgroundColor: getCategoryColor(selectedNote.category) }}
                             >
-                              {selectedNote.category}
+                              {getCategoryLabel(selectedNote.category)}
                             </span>
                             <span className="date-info">
                               Created: {formatDate(selectedNote.createdAt)}
@@ -367,19 +1519,154 @@ function Home() {
                             <span className="date-info">
                               Updated: {formatDate(selectedNote.updatedAt)}
                             </span>
+                            {selectedNote.pending && (
+                              <span className="date-info">⏳ Not synced yet</span>
+                            )}
                           </div>
+                          {selectedNote.tags?.length > 0 && (
+                            <div className="note-tags">
+                              {selectedNote.tags.map(tag => (
+                                <button
+                                  key={tag}
+                                  className={`note-tag ${selectedTags.includes(tag) ? "active" : ""}`}
+                                  onClick={() => {
+                                    handleChangeView("notes");
+                                    handleToggleTag(tag);
+                                  }}
+                                  title="Filter by this tag"
+                                >
+                                  #{tag}
+                                </button>
+                              ))}
+                            </div>
+                          )}
                         </div>
-                        <button
-                          className="edit-btn"
-                          onClick={() => handleStartEdit(selectedNote)}
-                        >
-                          ✏️ Edit
-                        </button>
+                        {selectedNote.deletedAt ? (
+                          <div className="viewer-actions">
+                            <button
+                              className="save-btn"
+                              onClick={() => handleRestoreNote(selectedNote._id)}
+                            >
+                              ♻️ Restore
+                            </button>
+                            <button
+                              className="danger-btn"
+                              onClick={() => handleDeleteForever(selectedNote._id)}
+                            >
+                              Delete forever
+                            </button>
+                          </div>
+                        ) : (
+                          <div className="viewer-actions">
+                            {/* Notes created offline only reach the server, with their history, once synced */}
+                            {!isLocalNote(selectedNote._id) && (
+                              <>
+                                {getNoteRole(selectedNote) === "owner" ? (
+                                  <button
+                                    className="share-btn"
+                                    onClick={() => setShowShareDialog(true)}
+                                  >
+                                    👥 Share
+                                  </button>
+                                ) : (
+                                  <button
+                                    className="share-btn"
+                                    onClick={() => handleLeaveNote(selectedNote._id)}
+                                  >
+                                    🚪 Leave
+                                  </button>
+                                )}
+                                <button
+                                  className="history-btn"
+                                  onClick={() => setShowHistory(prev => !prev)}
+                                >
+                                  🕘 History
+                                </button>
+                                <button
+                                  className="history-btn"
+                                  onClick={() => setShowReminderDialog(true)}
+                                >
+                                  ⏰ Remind me
+                                </button>
+                              </>
+                            )}
+                            {getNoteRole(selectedNote) !== "viewer" && (
+                              <>
+                                <button
+                                  className="history-btn"
+                                  onClick={() => handleTogglePin(selectedNote)}
+                                >
+                                  {selectedNote.isPinned ? "📌 Unpin" : "📌 Pin"}
+                                </button>
+                                <button
+                                  className="history-btn"
+                                  onClick={() => handleToggleArchive(selectedNote)}
+                                >
+                                  {selectedNote.isArchived ? "📤 Unarchive" : "📦 Archive"}
+                                </button>
+                                <button
+                                  className="history-btn"
+                                  disabled={isLocalNote(selectedNote._id)}
+                                  onClick={() => handleConvertNote(
+                                    selectedNote._id,
+                                    selectedNote.type === "checklist" ? "text" : "checklist"
+                                  )}
+                                >
+                                  {selectedNote.type === "checklist" ? "📝 To text" : "☑️ To checklist"}
+                                </button>
+                                <button
+                                  className="edit-btn"
+                                  onClick={() => handleStartEdit(selectedNote)}
+                                >
+                                  ✏️ Edit
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
                       </div>
+
+                      {selectedNote.deletedAt && (
+                        <div className="trash-banner">
+                          This note is in the trash and will be permanently deleted on{" "}
+                          {formatDate(selectedNote.purgeAt)}.
+                        </div>
+                      )}
                       
                       <div className="note-content">
-                        <p>{selectedNote.content}</p>
+                        {selectedNote.type === "checklist" ? (
+                          <Checklist
+                            note={selectedNote}
+                            canEdit={!selectedNote.deletedAt && !isLocalNote(selectedNote._id) && getNoteRole(selectedNote) !== "viewer"}
+                            onUpdated={applyNoteUpdate}
+                          />
+                        ) : (
+                          <MarkdownPreview content={selectedNote.content} />
+                        )}
                       </div>
+
+                      {showShareDialog && (
+                        <ShareDialog
+                          note={selectedNote}
+                          onClose={() => setShowShareDialog(false)}
+                        />
+                      )}
+
+                      {showReminderDialog && (
+                        <ReminderDialog
+                          note={selectedNote}
+                          onChanged={() => view === "reminders" && loadReminders()}
+                          onClose={() => setShowReminderDialog(false)}
+                        />
+                      )}
+
+                      {showHistory && (
+                        <NoteHistory
+                          note={selectedNote}
+                          onRestored={handleRevisionRestored}
+                          onClose={() => setShowHistory(false)}
+                        />
+                      )}
                     </>
                   )}
                 </div>
@@ -394,7 +1681,7 @@ function Home() {
                         <span>Total Notes</span>
                       </div>
                       <div className="stat">
-                        <strong>{new Set(notes.map(n => n.category)).size}</strong>
+                        <strong>{categories.length}</strong>
                         <span>Categories</span>
                       </div>
                       <div className="stat">
@@ -419,6 +1706,37 @@ function Home() {
           </>
         )}
       </div>
+
+      {showCategoryManager && (
+        <CategoryManager
+          categories={categories}
+          onChanged={handleCategoriesChanged}
+          onClose={() => setShowCategoryManager(false)}
+        />
+      )}
+
+      {conflicts.length > 0 && (
+        <ConflictDialog
+          key={`${conflicts[0].theirs._id}-${conflicts[0].theirs.version}`}
+          mine={conflicts[0].mine}
+          theirs={conflicts[0].theirs}
+          onSave={(merged) => handleUpdateNote(conflicts[0].theirs._id, merged, conflicts[0].theirs.version)}
+          onKeepEditing={handleKeepEditing}
+          onDiscard={handleDiscardEdit}
+        />
+      )}
+
+      {showImportDialog && (
+        <ImportDialog
+          categories={categories}
+          onImported={() => {
+            loadNotes();
+            loadCategories();
+            loadTags();
+          }}
+          onClose={() => setShowImportDialog(false)}
+        />
+      )}
     </div>
   );
 }
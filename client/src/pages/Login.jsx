@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { authAPI } from "../services/api";
@@ -11,9 +11,34 @@ function Login() {
   });
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  // Set once the password checks out on an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState("");
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Seconds until the server accepts another attempt (423 locked / 429 throttled)
+  const [retryAfter, setRetryAfter] = useState(0);
+  // Set when the account must verify its email before signing in
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [successMessage, setSuccessMessage] = useState("");
+  // Set when the account is deactivated but can still be reactivated
+  const [reactivation, setReactivation] = useState(null);
+  const [reactivationCode, setReactivationCode] = useState("");
   const { login } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    if (retryAfter <= 0) return;
+    const timer = setTimeout(() => setRetryAfter(prev => prev - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryAfter]);
+
+  const formatRetryAfter = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0
+      ? `${minutes}:${String(seconds % 60).padStart(2, "0")}`
+      : `${seconds}s`;
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -60,6 +85,7 @@ function Login() {
 
     setIsLoading(true);
     setErrors({});
+    setReactivation(null);
 
     try {
       const response = await authAPI.login({
@@ -67,6 +93,12 @@ function Login() {
         password: formData.password
       });
       
+      // Ask for the second factor before signing in
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
+      
       // Extract token and user data from response
       const { token, user } = response.data;
       
@@ -78,28 +110,207 @@ function Login() {
       
     } catch (error) {
       console.error("Login error:", error);
-      
-      // Handle different types of errors
-      if (error.response?.data?.errors) {
-        // Validation errors from server
-        const serverErrors = {};
-        error.response.data.errors.forEach(err => {
-          serverErrors[err.field] = err.message;
-        });
-        setErrors(serverErrors);
-      } else if (error.response?.data?.message) {
-        // General error message from server
-        setErrors({ general: error.response.data.message });
-      } else if (error.code === 'ECONNREFUSED') {
-        setErrors({ general: "Unable to connect to server. Please make sure the server is running." });
-      } else {
-        setErrors({ general: "Login failed. Please try again." });
+      handleServerError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!twoFactorCode.trim()) {
+      setErrors({ code: useRecoveryCode ? "Recovery code is required" : "Authentication code is required" });
+      return;
+    }
+
+    setIsLoading(true);
+    setErrors({});
+
+    try {
+      const response = await authAPI.verifyTwoFactor({
+        challengeToken,
+        code: twoFactorCode.trim()
+      });
+
+      const { token, user, usedRecoveryCode, recoveryCodesRemaining } = response.data;
+
+      if (usedRecoveryCode) {
+        window.alert(`You have ${recoveryCodesRemaining} recovery code(s) left. You can generate new ones on the Security page.`);
+      }
+
+      login(token, user);
+      navigate('/dashboard');
+
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+
+      // The challenge expired: start over from the password step
+      if (error.response?.status === 401) {
+        handleBackToPassword();
       }
+      handleServerError(error);
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleBackToPassword = () => {
+    setChallengeToken("");
+    setTwoFactorCode("");
+    setUseRecoveryCode(false);
+    setFormData(prev => ({ ...prev, password: "" }));
+  };
+
+  const handleReactivate = async () => {
+    setIsLoading(true);
+    setErrors({});
+
+    try {
+      const response = await authAPI.reactivate({
+        email: formData.email.toLowerCase(),
+        password: formData.password,
+        ...(reactivation?.twoFactorRequired ? { code: reactivationCode.trim() } : {})
+      });
+
+      const { token, user } = response.data;
+      login(token, user);
+      navigate('/dashboard');
+
+    } catch (error) {
+      console.error("Reactivate account error:", error);
+      handleServerError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      setErrors({});
+      const response = await authAPI.resendVerification(formData.email.toLowerCase());
+      setNeedsVerification(false);
+      setSuccessMessage(response.data.message);
+    } catch (error) {
+      console.error("Resend verification error:", error);
+      handleServerError(error);
+    }
+  };
+
+  const handleServerError = (error) => {
+    const status = error.response?.status;
+    setNeedsVerification(Boolean(error.response?.data?.emailVerificationRequired));
+    setSuccessMessage("");
+    if (error.response?.data?.reactivationAvailable) {
+      setReactivation({
+        deletionScheduledFor: error.response.data.deletionScheduledFor,
+        twoFactorRequired: error.response.data.twoFactorRequired
+      });
+    } else if (!error.response?.data?.twoFactorRequired) {
+      setReactivation(null);
+    }
+
+    // Handle different types of errors
+    if (status === 423 || status === 429) {
+      // Locked account or too many attempts: wait before trying again
+      const seconds = error.response.data?.retryAfter
+        || parseInt(error.response.headers?.["retry-after"] || "0");
+      setRetryAfter(seconds);
+      setErrors({
+        general: error.response.data?.message
+          || "Too many attempts. Please wait a moment before trying again."
+      });
+    } else if (error.response?.data?.errors) {
+      // Validation errors from server
+      const serverErrors = {};
+      error.response.data.errors.forEach(err => {
+        serverErrors[err.field] = err.message;
+      });
+      setErrors(serverErrors);
+    } else if (error.response?.data?.message) {
+      // General error message from server
+      setErrors({ general: error.response.data.message });
+    } else if (error.code === 'ECONNREFUSED') {
+      setErrors({ general: "Unable to connect to server. Please make sure the server is running." });
+    } else {
+      setErrors({ general: "Login failed. Please try again." });
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <div className="login-header">
+            <h1>Two-Step Verification</h1>
+            <p>
+              {useRecoveryCode
+                ? "Enter one of the recovery codes you saved when you turned on two-factor authentication"
+                : "Enter the 6-digit code from your authenticator app"}
+            </p>
+          </div>
+
+          <form onSubmit={handleTwoFactorSubmit} className="login-form">
+            {errors.general && (
+              <div className="error-message general-error">
+                {errors.general}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="code">{useRecoveryCode ? "Recovery Code" : "Authentication Code"}</label>
+              <input
+                type="text"
+                id="code"
+                name="code"
+                value={twoFactorCode}
+                onChange={(e) => {
+                  setTwoFactorCode(e.target.value);
+                  if (errors.code) setErrors(prev => ({ ...prev, code: "" }));
+                }}
+                className={errors.code ? "error" : ""}
+                placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                autoFocus
+              />
+              {errors.code && (
+                <span className="error-message">{errors.code}</span>
+              )}
+            </div>
+
+            <div className="form-options">
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => {
+                  setUseRecoveryCode(prev => !prev);
+                  setTwoFactorCode("");
+                  setErrors({});
+                }}
+              >
+                {useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+              </button>
+              <button type="button" className="link-button" onClick={handleBackToPassword}>
+                Back to sign in
+              </button>
+            </div>
+
+            <button
+              type="submit"
+              className={`login-button ${isLoading ? "loading" : ""}`}
+              disabled={isLoading || retryAfter > 0}
+            >
+              {isLoading
+                ? "Verifying..."
+                : retryAfter > 0 ? `Try again in ${formatRetryAfter(retryAfter)}` : "Verify"}
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <div className="login-card">
@@ -115,6 +326,44 @@ function Login() {
             </div>
           )}
 
+          {reactivation && (
+            <div className="reactivate-panel">
+              <p>
+                Reactivating restores your notes and cancels the deletion scheduled for{" "}
+                {new Date(reactivation.deletionScheduledFor).toLocaleDateString()}.
+              </p>
+              {reactivation.twoFactorRequired && (
+                <input
+                  type="text"
+                  value={reactivationCode}
+                  onChange={(e) => setReactivationCode(e.target.value)}
+                  placeholder="Authenticator or recovery code"
+                  autoComplete="one-time-code"
+                />
+              )}
+              <button
+                type="button"
+                className="login-button"
+                onClick={handleReactivate}
+                disabled={isLoading || (reactivation.twoFactorRequired && !reactivationCode.trim())}
+              >
+                {isLoading ? "Reactivating..." : "Reactivate Account"}
+              </button>
+            </div>
+          )}
+
+          {needsVerification && (
+            <button type="button" className="link-button" onClick={handleResendVerification}>
+              Resend verification email
+            </button>
+          )}
+
+          {successMessage && (
+            <div className="success-message">
+              {successMessage}
+            </div>
+          )}
+
           <div className="form-group">
             <label htmlFor="email">Email Address</label>
             <input
@@ -163,9 +412,11 @@ function Login() {
           <button
             type="submit"
             className={`login-button ${isLoading ? "loading" : ""}`}
-            disabled={isLoading}
+            disabled={isLoading || retryAfter > 0}
           >
-            {isLoading ? "Signing in..." : "Sign In"}
+            {isLoading
+              ? "Signing in..."
+              : retryAfter > 0 ? `Try again in ${formatRetryAfter(retryAfter)}` : "Sign In"}
           </button>
         </form>
 
@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link, useParams } from "react-router-dom";
+import { publicAPI } from "../services/api";
+import MarkdownPreview from "../components/MarkdownPreview";
+import "./PublicNote.css";
+
+function PublicNote() {
+  const { token } = useParams();
+  const [note, setNote] = useState(null);
+  const [password, setPassword] = useState("");
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const loadNote = useCallback(async (linkPassword) => {
+    try {
+      setIsLoading(true);
+      setError("");
+      const response = await publicAPI.getNote(token, linkPassword);
+      setNote(response.data.data);
+      setPasswordRequired(false);
+    } catch (error) {
+      console.error("Error loading shared note:", error);
+      if (error.response?.data?.passwordRequired) {
+        setPasswordRequired(true);
+        // Only complain about the password once the visitor has entered one
+        if (linkPassword) {
+          setError(error.response.data.message);
+        }
+      } else if (error.response?.data?.message) {
+        setError(error.response.data.message);
+      } else {
+        setError("Unable to load this note. Please try again.");
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadNote();
+  }, [loadNote]);
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    if (password) {
+      loadNote(password);
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  return (
+    <div className="public-note-container">
+      <div className="public-note-card">
+        {isLoading ? (
+          <p className="public-note-status">Loading note...</p>
+        ) : note ? (
+          <>
+            <div className="public-note-header">
+              <h1>{note.title}</h1>
+              <div className="public-note-meta">
+                <span className="public-category">{note.category}</span>
+                {note.author && <span>Shared by {note.author}</span>}
+                <span>Updated {formatDate(note.updatedAt)}</span>
+              </div>
+              {note.tags?.length > 0 && (
+                <div className="public-note-tags">
+                  {note.tags.map(tag => (
+                    <span key={tag} className="public-tag">#{tag}</span>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="public-note-content">
+              <MarkdownPreview content={note.content} />
+            </div>
+          </>
+        ) : passwordRequired ? (
+          <form className="public-note-unlock" onSubmit={handleUnlock}>
+            <h2>🔒 This note is password protected</h2>
+            {error && <p className="public-note-error">{error}</p>}
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Enter the link password"
+              autoFocus
+            />
+            <button type="submit" disabled={!password}>
+              View note
+            </button>
+          </form>
+        ) : (
+          <div className="public-note-status">
+            <h2>Note unavailable</h2>
+            <p className="public-note-error">{error}</p>
+          </div>
+        )}
+
+        <div className="public-note-footer">
+          <Link to="/signup">Create your own notes with KeepNotes</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PublicNote;
@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { authAPI } from "../services/api";
+import "./Login.css";
+
+function ResetPassword() {
+  const { token } = useParams();
+  const [formData, setFormData] = useState({
+    password: "",
+    confirmPassword: "",
+  });
+  const [errors, setErrors] = useState({});
+  const [successMessage, setSuccessMessage] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    // Clear error when user starts typing
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ""
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    // Password validation
+    if (!formData.password) {
+      newErrors.password = "Password is required";
+    } else if (formData.password.length < 8) {
+      newErrors.password = "Password must be at least 8 characters";
+    } else if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(formData.password)) {
+      newErrors.password = "Password must contain at least one uppercase letter, one lowercase letter, and one number";
+    }
+
+    // Confirm password validation
+    if (!formData.confirmPassword) {
+      newErrors.confirmPassword = "Please confirm your password";
+    } else if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = "Passwords do not match";
+    }
+
+    return newErrors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = validateForm();
+    if (Object.keys(newErrors).length > 0) {
+      setErrors(newErrors);
+      return;
+    }
+
+    setIsLoading(true);
+    setErrors({});
+
+    try {
+      const response = await authAPI.resetPassword({
+        token,
+        password: formData.password,
+        confirmPassword: formData.confirmPassword
+      });
+
+      setSuccessMessage(response.data.message);
+
+      // Send the user to the login page after a short pause
+      setTimeout(() => navigate('/login'), 3000);
+
+    } catch (error) {
+      console.error("Reset password error:", error);
+
+      if (error.response?.data?.errors) {
+        // Validation errors from server
+        const serverErrors = {};
+        error.response.data.errors.forEach(err => {
+          serverErrors[err.field === 'token' ? 'general' : err.field] = err.message;
+        });
+        setErrors(serverErrors);
+      } else if (error.response?.data?.message) {
+        setErrors({ general: error.response.data.message });
+      } else if (error.code === 'ECONNREFUSED') {
+        setErrors({ general: "Unable to connect to server. Please make sure the server is running." });
+      } else {
+        setErrors({ general: "Failed to reset password. Please try again." });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Reset Password</h1>
+          <p>Choose a new password for your KeepNotes account</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          {errors.general && (
+            <div className="error-message general-error">
+              {errors.general}{" "}
+              <Link to="/forgot-password" className="forgot-link">
+                Request a new link
+              </Link>
+            </div>
+          )}
+
+          {successMessage && (
+            <div className="success-message">
+              {successMessage}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="password">New Password</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              className={errors.password ? "error" : ""}
+              placeholder="Create a strong password"
+              autoComplete="new-password"
+            />
+            {errors.password && (
+              <span className="error-message">{errors.password}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm New Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              className={errors.confirmPassword ? "error" : ""}
+              placeholder="Confirm your new password"
+              autoComplete="new-password"
+            />
+            {errors.confirmPassword && (
+              <span className="error-message">{errors.confirmPassword}</span>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            className={`login-button ${isLoading ? "loading" : ""}`}
+            disabled={isLoading || !!successMessage}
+          >
+            {isLoading ? "Resetting..." : "Reset Password"}
+          </button>
+        </form>
+
+        <div className="login-footer">
+          <p>
+            Back to{" "}
+            <Link to="/login" className="signup-link">
+              Sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
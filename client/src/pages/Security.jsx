@@ -0,0 +1,436 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { userAPI } from "../services/api";
+import SessionsDialog from "../components/SessionsDialog";
+import "./Security.css";
+
+function Security() {
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  // idle | password | scan (enrolling) or disable | regenerate (when enabled)
+  const [step, setStep] = useState("idle");
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [showSessions, setShowSessions] = useState(false);
+  const [events, setEvents] = useState([]);
+  const [profile, setProfile] = useState(null);
+  const [newEmail, setNewEmail] = useState("");
+
+  const loadStatus = async () => {
+    try {
+      setIsLoading(true);
+      const response = await userAPI.getTwoFactorStatus();
+      setStatus(response.data.data);
+    } catch (error) {
+      console.error("Error loading two-factor status:", error);
+      setError("Failed to load security settings. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadProfile = async () => {
+    try {
+      const response = await userAPI.getProfile();
+      setProfile(response.data.data);
+    } catch (error) {
+      console.error("Error loading profile:", error);
+    }
+  };
+
+  const loadEvents = async () => {
+    try {
+      const response = await userAPI.getSecurityEvents();
+      setEvents(response.data.data);
+    } catch (error) {
+      console.error("Error loading security events:", error);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+    loadProfile();
+    loadEvents();
+  }, []);
+
+  const resetForm = (nextStep = "idle") => {
+    setStep(nextStep);
+    setPassword("");
+    setCode("");
+    setError("");
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      setIsSubmitting(true);
+      setError("");
+      setMessage("");
+      await action();
+    } catch (error) {
+      console.error("Security settings error:", error);
+      setError(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || fallbackMessage);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await userAPI.setupTwoFactor(password);
+      setSetupData(response.data.data);
+      resetForm("scan");
+    }, "Failed to start two-factor setup. Please try again.");
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await userAPI.enableTwoFactor(code.trim());
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setSetupData(null);
+      resetForm();
+      setMessage("Two-factor authentication is on. Other devices have been signed out.");
+      await loadStatus();
+    }, "Failed to enable two-factor authentication. Please try again.");
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await userAPI.disableTwoFactor({ password, code: code.trim() });
+      setRecoveryCodes([]);
+      resetForm();
+      setMessage("Two-factor authentication is off.");
+      await loadStatus();
+    }, "Failed to disable two-factor authentication. Please try again.");
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await userAPI.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      resetForm();
+      setMessage("New recovery codes generated. Your old codes no longer work.");
+      await loadStatus();
+    }, "Failed to generate recovery codes. Please try again.");
+  };
+
+  const handleChangeEmail = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await userAPI.updateProfile({ email: newEmail.trim().toLowerCase() });
+      setNewEmail("");
+      setMessage(response.data.message);
+      await loadProfile();
+    }, "Failed to change email address. Please try again.");
+  };
+
+  const handleResendVerification = () => {
+    runAction(async () => {
+      const response = await userAPI.resendVerification();
+      setMessage(response.data.message);
+    }, "Failed to send verification email. Please try again.");
+  };
+
+  const handleCancelEmailChange = () => {
+    runAction(async () => {
+      await userAPI.cancelEmailChange();
+      setMessage("Email change cancelled.");
+      await loadProfile();
+    }, "Failed to cancel the email change. Please try again.");
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join("\n"));
+      setMessage("Recovery codes copied to the clipboard.");
+    } catch (error) {
+      console.error("Error copying recovery codes:", error);
+      setError("Could not copy the codes. Please copy them by hand.");
+    }
+  };
+
+  const describeEvent = (event) => {
+    switch (event.type) {
+      case "account_locked":
+        return `Account locked after ${event.details?.failedAttempts || "too many"} failed sign-in attempts`;
+      default:
+        return event.type;
+    }
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="Authenticator or recovery code"
+      autoComplete="one-time-code"
+      className="security-input"
+    />
+  );
+
+  const passwordInput = (
+    <input
+      type="password"
+      value={password}
+      onChange={(e) => setPassword(e.target.value)}
+      placeholder="Current password"
+      autoComplete="current-password"
+      className="security-input"
+    />
+  );
+
+  return (
+    <div className="security-container">
+      <div className="security-card">
+        <div className="security-header">
+          <Link to="/dashboard" className="security-back">← Back to notes</Link>
+          <h1>🛡️ Security</h1>
+        </div>
+
+        {error && <p className="security-error">{error}</p>}
+        {message && <p className="security-message">{message}</p>}
+
+        <section className="security-section">
+          <h2>Email address</h2>
+
+          {!profile ? (
+            <p className="security-muted">Loading...</p>
+          ) : (
+            <>
+              <p>
+                <span className={`security-badge ${profile.emailVerified ? "enabled" : ""}`}>
+                  {profile.emailVerified ? "Verified" : "Unverified"}
+                </span>
+                {profile.email}
+              </p>
+
+              {profile.pendingEmail ? (
+                <>
+                  <p className="security-muted">
+                    Changing to <strong>{profile.pendingEmail}</strong> once you open the link we sent there.
+                  </p>
+                  <div className="security-actions">
+                    <button className="security-secondary" onClick={handleResendVerification} disabled={isSubmitting}>
+                      Resend link
+                    </button>
+                    <button className="security-danger" onClick={handleCancelEmailChange} disabled={isSubmitting}>
+                      Cancel change
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  {!profile.emailVerified && (
+                    <button className="security-secondary" onClick={handleResendVerification} disabled={isSubmitting}>
+                      Resend verification email
+                    </button>
+                  )}
+                  <form className="security-form security-email-form" onSubmit={handleChangeEmail}>
+                    <input
+                      type="email"
+                      value={newEmail}
+                      onChange={(e) => setNewEmail(e.target.value)}
+                      placeholder="New email address"
+                      autoComplete="email"
+                      className="security-input"
+                    />
+                    <div className="security-actions">
+                      <button type="submit" className="security-primary" disabled={isSubmitting || !newEmail.trim()}>
+                        Change email
+                      </button>
+                    </div>
+                  </form>
+                </>
+              )}
+            </>
+          )}
+        </section>
+
+        <section className="security-section">
+          <h2>Two-factor authentication</h2>
+
+          {isLoading || !status ? (
+            <p className="security-muted">Loading...</p>
+          ) : status.enabled ? (
+            <>
+              <p>
+                <span className="security-badge enabled">On</span>
+                Enabled since {formatDate(status.enabledAt)} · {status.recoveryCodesRemaining} recovery code(s) left
+              </p>
+
+              {step === "regenerate" ? (
+                <form className="security-form" onSubmit={handleRegenerate}>
+                  <p className="security-muted">Enter a current code to replace your recovery codes.</p>
+                  {codeInput}
+                  <div className="security-actions">
+                    <button type="submit" className="security-primary" disabled={isSubmitting}>
+                      Generate new codes
+                    </button>
+                    <button type="button" className="security-secondary" onClick={() => resetForm()}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : step === "disable" ? (
+                <form className="security-form" onSubmit={handleDisable}>
+                  <p className="security-muted">Confirm with your password and a current code.</p>
+                  {passwordInput}
+                  {codeInput}
+                  <div className="security-actions">
+                    <button type="submit" className="security-danger" disabled={isSubmitting}>
+                      Turn off
+                    </button>
+                    <button type="button" className="security-secondary" onClick={() => resetForm()}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="security-actions">
+                  <button className="security-secondary" onClick={() => resetForm("regenerate")}>
+                    Regenerate recovery codes
+                  </button>
+                  <button className="security-danger" onClick={() => resetForm("disable")}>
+                    Turn off
+                  </button>
+                </div>
+              )}
+            </>
+          ) : step === "password" ? (
+            <form className="security-form" onSubmit={handleStartSetup}>
+              <p className="security-muted">Confirm your password to continue.</p>
+              {passwordInput}
+              <div className="security-actions">
+                <button type="submit" className="security-primary" disabled={isSubmitting || !password}>
+                  Continue
+                </button>
+                <button type="button" className="security-secondary" onClick={() => resetForm()}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : step === "scan" && setupData ? (
+            <form className="security-form" onSubmit={handleEnable}>
+              <p className="security-muted">
+                Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy...),
+                then enter the 6-digit code it shows.
+              </p>
+              <img src={setupData.qrCode} alt="Two-factor QR code" className="security-qr" />
+              <p className="security-muted">
+                Can't scan it? Enter this key instead: <code className="security-secret">{setupData.secret}</code>
+              </p>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                className="security-input"
+              />
+              <div className="security-actions">
+                <button type="submit" className="security-primary" disabled={isSubmitting || !code.trim()}>
+                  Turn on
+                </button>
+                <button type="button" className="security-secondary" onClick={() => { setSetupData(null); resetForm(); }}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              <p>
+                <span className="security-badge">Off</span>
+                Add a second step to sign-in with a code from an authenticator app.
+              </p>
+              <button className="security-primary" onClick={() => resetForm("password")}>
+                Set up two-factor authentication
+              </button>
+            </>
+          )}
+
+          {recoveryCodes.length > 0 && (
+            <div className="security-recovery">
+              <p>
+                <strong>Save these recovery codes.</strong> Each one signs you in once if you lose your
+                authenticator. They will not be shown again.
+              </p>
+              <ul className="security-codes">
+                {recoveryCodes.map(recoveryCode => (
+                  <li key={recoveryCode}><code>{recoveryCode}</code></li>
+                ))}
+              </ul>
+              <div className="security-actions">
+                <button className="security-secondary" onClick={handleCopyCodes}>
+                  Copy codes
+                </button>
+                <button className="security-primary" onClick={() => setRecoveryCodes([])}>
+                  I've saved them
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+
+        <section className="security-section">
+          <h2>Signed-in devices</h2>
+          <p className="security-muted">See where you're signed in and sign out devices you don't recognize.</p>
+          <button className="security-secondary" onClick={() => setShowSessions(true)}>
+            Manage devices
+          </button>
+        </section>
+
+        <section className="security-section">
+          <h2>Recent security activity</h2>
+          {events.length === 0 ? (
+            <p className="security-muted">Nothing to report.</p>
+          ) : (
+            <ul className="security-events">
+              {events.map(event => (
+                <li key={event.id}>
+                  <strong>{describeEvent(event)}</strong>
+                  <span className="security-muted">
+                    {formatDateTime(event.createdAt)} · {event.device} · {event.ip || "Unknown IP"}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+
+      {showSessions && (
+        <SessionsDialog onClose={() => setShowSessions(false)} />
+      )}
+    </div>
+  );
+}
+
+export default Security;
@@ -15,6 +15,7 @@ function Signup() {
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [agreedToTerms, setAgreedToTerms] = useState(false);
+  const [successMessage, setSuccessMessage] = useState("");
   const { login } = useAuth();
   const navigate = useNavigate();
 
@@ -111,6 +112,12 @@ function Signup() {
         password: formData.password
       });
       
+      // Accounts that must verify their email first cannot sign in yet
+      if (response.data.emailVerificationRequired) {
+        setSuccessMessage(response.data.message);
+        return;
+      }
+      
       // Extract token and user data from response
       const { token, user } = response.data;
       
@@ -159,6 +166,12 @@ function Signup() {
             </div>
           )}
 
+          {successMessage && (
+            <div className="success-message">
+              {successMessage}
+            </div>
+          )}
+
           <div className="form-row">
             <div className="form-group">
               <label htmlFor="firstName">First Name</label>
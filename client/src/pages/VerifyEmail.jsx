@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { authAPI } from "../services/api";
+import "./Login.css";
+
+function VerifyEmail() {
+  const { token } = useParams();
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+  const [verified, setVerified] = useState(null);
+  const { user, isAuthenticated, updateUser } = useAuth();
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setStatus("verified");
+        setMessage(response.data.message);
+        setVerified(response.data.data);
+      } catch (error) {
+        console.error("Verify email error:", error);
+        setStatus("failed");
+        setMessage(error.response?.data?.message || "Unable to verify email address. Please try again.");
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  // Keep the signed-in user's details in step with the verified address
+  useEffect(() => {
+    if (!verified || !user || user.id !== verified.id) return;
+    if (user.email !== verified.email || !user.emailVerified) {
+      updateUser({ email: verified.email, emailVerified: true });
+    }
+  }, [verified, user, updateUser]);
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Verify Email</h1>
+          <p>
+            {status === "verifying"
+              ? "Confirming your email address..."
+              : status === "verified"
+                ? "Thanks for confirming your email address"
+                : "We couldn't confirm your email address"}
+          </p>
+        </div>
+
+        {status === "verified" && (
+          <div className="success-message">{message}</div>
+        )}
+        {status === "failed" && (
+          <div className="error-message general-error">{message}</div>
+        )}
+
+        <div className="login-footer">
+          <p>
+            {isAuthenticated ? (
+              <Link to="/dashboard" className="signup-link">
+                Go to your notes
+              </Link>
+            ) : (
+              <Link to="/login" className="signup-link">
+                Sign in
+              </Link>
+            )}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { offlineStore } from './offlineStore';
 
 // Create axios instance with base configuration
 const API = axios.create({
@@ -6,8 +7,61 @@ const API = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
+  // Send the httpOnly refresh token cookie to /auth endpoints
+  withCredentials: true,
 });
 
+// Identifies this browser tab, so the server does not echo our own changes
+// back to us over the live events stream
+const randomId = () => window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+const CLIENT_ID = randomId();
+
+// Auth endpoints answer 401 for bad credentials or sessions; never retry those
+const AUTH_URLS = ['/auth/login', '/auth/register', '/auth/reactivate', '/auth/refresh', '/auth/logout'];
+
+let refreshRequest = null;
+
+// Get a new access token from the refresh token cookie. Requests that fail
+// at the same time share a single refresh call, and tabs take turns (they
+// share the cookie): a tab that waited for another one to refresh uses the
+// token it got instead of refreshing again. Pass the token that was refused,
+// if it was read before another tab could have replaced it.
+const refreshAccessToken = (expiredToken = localStorage.getItem('keepnotes_token')) => {
+  if (!refreshRequest) {
+    const refresh = async () => {
+      const currentToken = localStorage.getItem('keepnotes_token');
+      if (currentToken && currentToken !== expiredToken) return currentToken;
+
+      const response = await API.post('/auth/refresh');
+      localStorage.setItem('keepnotes_token', response.data.token);
+      return response.data.token;
+    };
+
+    refreshRequest = (navigator.locks ? navigator.locks.request('keepnotes-refresh', refresh) : refresh())
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Whether the server can be reached and how many changes made offline are
+// still waiting to be sent: 'online', 'offline' or 'syncing'
+let syncState = { status: navigator.onLine ? 'online' : 'offline', pending: 0 };
+const syncListeners = new Set();
+
+const notifySync = (event, payload) => {
+  syncListeners.forEach(listener => listener[event]?.(payload));
+};
+
+const setSyncState = (changes) => {
+  syncState = { ...syncState, ...changes };
+  notifySync('onStatusChange', syncState);
+};
+
+// A request that never got an answer: no network, or the server is down
+const isNetworkError = (error) => axios.isAxiosError(error) && !error.response && error.code !== 'ERR_CANCELED';
+
 // Add token to requests if available
 API.interceptors.request.use(
   (config) => {
@@ -15,6 +69,7 @@ API.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    config.headers['X-Client-Id'] = CLIENT_ID;
     return config;
   },
   (error) => {
@@ -24,13 +79,32 @@ API.interceptors.request.use(
 
 // Handle responses and token expiration
 API.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('keepnotes_token');
-      localStorage.removeItem('keepnotes_user');
-      window.location.href = '/login';
+  (response) => {
+    markReachable();
+    return response;
+  },
+  async (error) => {
+    const request = error.config;
+    if (isNetworkError(error) && syncState.status !== 'offline') {
+      setSyncState({ status: 'offline' });
+    }
+    // Public share links answer 401 when a password is needed; that is not a session problem
+    const isPublicRequest = request?.url?.startsWith('/public/');
+    const isAuthRequest = AUTH_URLS.some(url => request?.url?.startsWith(url));
+
+    if (error.response?.status === 401 && !isPublicRequest && !isAuthRequest && !request._retried) {
+      // Access token expired or revoked: refresh it once and replay the request
+      request._retried = true;
+      try {
+        const token = await refreshAccessToken(request.headers.Authorization?.replace(/^Bearer /, ''));
+        request.headers.Authorization = `Bearer ${token}`;
+        return API(request);
+      } catch {
+        // The session itself is gone
+        localStorage.removeItem('keepnotes_token');
+        localStorage.removeItem('keepnotes_user');
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }
@@ -40,19 +114,663 @@ API.interceptors.response.use(
 export const authAPI = {
   register: (userData) => API.post('/auth/register', userData),
   login: (credentials) => API.post('/auth/login', credentials),
+  verifyTwoFactor: (challengeData) => API.post('/auth/login/2fa', challengeData),
+  reactivate: (credentials) => API.post('/auth/reactivate', credentials),
+  logout: () => API.post('/auth/logout'),
   forgotPassword: (email) => API.post('/auth/forgot-password', { email }),
+  resetPassword: (resetData) => API.post('/auth/reset-password', resetData),
+  verifyEmail: (token) => API.post('/auth/verify-email', { token }),
+  resendVerification: (email) => API.post('/auth/resend-verification', { email }),
+};
+
+// Conditional request header: the server refuses the change (409/412) if the
+// note is no longer at this version
+const ifMatch = (version) => version === undefined ? {} : { headers: { 'If-Match': `"${version}"` } };
+
+// The server's current copy of a note when a change was refused because the
+// note had moved on to a newer version (409/412), otherwise null
+export const conflictingNote = (error) => [409, 412].includes(error.response?.status)
+  ? error.response.data.data || null
+  : null;
+
+// --- Working offline ---------------------------------------------------------
+// The user's notes are kept on this device, current through delta sync
+// (GET /notes/changes) and the live stream. Creating, editing, pinning,
+// archiving and deleting notes keep working without the server: the change is
+// made to the local copy and queued in the outbox, then sent in order once the
+// server can be reached again.
+
+// Notes created offline carry a temporary id until the server assigns theirs
+const LOCAL_ID_PREFIX = 'local-';
+export const isLocalNote = (id) => String(id).startsWith(LOCAL_ID_PREFIX);
+
+// Pause before trying again to send queued changes to a server that did not answer
+const SYNC_RETRY_MS = 15000;
+
+// "is:archived" in a search lists the archive, offline too
+const ARCHIVED_FILTER = /(^|\s)is:archived(?=\s|$)/i;
+
+// Server ids of notes created offline, by temporary id, for changes still using
+// the old one. Also kept in the local store, for other tabs and after a reload.
+const syncedIds = new Map();
+
+// Tabs share the outbox: only one of them sends it at a time
+const OUTBOX_LOCK = 'keepnotes-outbox';
+
+let flushing = null;
+let retryTimer = null;
+
+// The local copy is a convenience: failing to update it never fails the request
+const cacheQuietly = (promise) => promise.catch((error) => {
+  console.error('Offline cache error:', error);
+});
+
+// Search highlights only make sense for the search that returned them
+const storableNote = (note) => ({ ...note, highlights: undefined });
+
+// The same as the server's Note.parseChecklist, for checklists created offline
+const parseChecklist = (text = '') => text
+  .split(/\r?\n/)
+  .map(line => line.trim().replace(/^(?:[-*+]|\d+[.)])\s+/, ''))
+  .filter(line => line)
+  .map((line, index) => {
+    const match = line.match(/^\[( |x|X)\]\s+(.+)$/);
+    return {
+      _id: randomId(),
+      text: (match ? match[2] : line).slice(0, 500),
+      done: match ? match[1] !== ' ' : false,
+      order: index,
+    };
+  });
+
+// Answer shaped like the server's, for a change that was made locally and queued
+const localResponse = (data) => ({ data: { message: 'Saved on this device', data }, queued: true });
+
+// The fields of a note a sent change returned
+const noteChanges = (action, data) => {
+  if (action === 'pin') return { isPinned: data.isPinned, version: data.version };
+  if (action === 'archive') return { isArchived: data.isArchived, version: data.version };
+  return storableNote(data);
+};
+
+const cacheSentChange = (action, noteId, data, pending = false) => {
+  if (action === 'delete') return offlineStore.removeNote(noteId);
+  if (action === 'pin' || action === 'archive') {
+    return offlineStore.mergeNote(noteId, { ...noteChanges(action, data), pending });
+  }
+  return offlineStore.putNotes([{ ...noteChanges(action, data), pending }]);
+};
+
+const sendChange = ({ action, noteId, data }, version) => {
+  switch (action) {
+    case 'create': return API.post('/notes', data);
+    case 'update': return API.put(`/notes/${noteId}`, data, ifMatch(version));
+    case 'delete': return API.delete(`/notes/${noteId}`);
+    case 'pin': return API.post(`/notes/${noteId}/pin`, undefined, ifMatch(version));
+    default: return API.post(`/notes/${noteId}/archive`, undefined, ifMatch(version));
+  }
+};
+
+const scheduleRetry = () => {
+  // Without a network the browser's "online" event starts the next attempt
+  if (retryTimer || !navigator.onLine) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushOutbox();
+  }, SYNC_RETRY_MS);
+};
+
+// The id to send a note's changes to: its server id once a note created
+// offline has been sent, by this tab or another one
+const resolveNoteId = async (id) => {
+  if (!isLocalNote(id)) return id;
+  if (!syncedIds.has(id)) {
+    const syncedId = await offlineStore.getSyncedId(id).catch(() => undefined);
+    if (syncedId) syncedIds.set(id, syncedId);
+  }
+  return syncedIds.get(id) || id;
+};
+
+// Whether queued changes are being sent right now, by this tab or another one
+const isFlushing = async () => Boolean(flushing) || Boolean(navigator.locks
+  && (await navigator.locks.query()).held?.some(lock => lock.name === OUTBOX_LOCK));
+
+// Send a note change, or make it locally and queue it when the server cannot be
+// reached. While changes are queued, new ones queue behind them so the server
+// receives them in the order they were made. applyLocally(cachedNote) updates
+// the local copy and returns what the server would have answered.
+const sendOrQueue = async (change, applyLocally) => {
+  const noteId = await resolveNoteId(change.noteId);
+
+  if (navigator.onLine && syncState.pending === 0 && !isLocalNote(noteId)) {
+    try {
+      const response = await sendChange({ ...change, noteId }, change.version);
+      const data = response.data.data;
+      cacheQuietly(cacheSentChange(change.action, noteId || data._id, data));
+      return response;
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+    }
+  }
+
+  const cached = noteId ? await offlineStore.getNote(noteId) : undefined;
+  const data = await applyLocally(cached);
+  await offlineStore.addToOutbox({
+    ...change,
+    noteId: noteId || data._id,
+    version: change.version ?? cached?.version,
+    // The server's last change this one was made on top of, to detect conflicts
+    baseUpdatedAt: cached?.updatedAt,
+    queuedAt: new Date().toISOString(),
+  });
+  setSyncState({ pending: syncState.pending + 1, ...(!navigator.onLine && { status: 'offline' }) });
+  scheduleRetry();
+  return localResponse(data);
+};
+
+const createLocalNote = async (noteData) => {
+  const now = new Date().toISOString();
+  const note = {
+    type: 'text',
+    content: '',
+    tags: [],
+    color: '#ffffff',
+    isPinned: false,
+    isArchived: false,
+    collaborators: [],
+    ...noteData,
+    _id: `${LOCAL_ID_PREFIX}${randomId()}`,
+    items: noteData.type === 'checklist' ? parseChecklist(noteData.content) : [],
+    userId: tokenManager.getUser()?.id,
+    createdAt: now,
+    updatedAt: now,
+    pending: true,
+  };
+  await offlineStore.putNotes([note]);
+  return note;
+};
+
+// updatedAt stays the server's until the change is sent, so it can be compared
+const updateLocalNote = (noteId, changes) => async (note) => {
+  const updated = { ...note, ...changes, _id: noteId, pending: true };
+  if (updated.type === 'checklist' && changes.content !== undefined) {
+    updated.items = parseChecklist(changes.content);
+  }
+  if (note) await offlineStore.putNotes([updated]);
+  return updated;
+};
+
+// Pin and archive toggle the note's current state, which must be known here
+const toggleLocalNote = (noteId, field) => async (note) => {
+  if (!note) throw new Error('This note is not available offline.');
+  const changes = { [field]: !note[field] };
+  await offlineStore.putNotes([{ ...note, ...changes, pending: true }]);
+  return { id: noteId, ...changes, version: note.version };
+};
+
+// The user's notes saved on this device, paged the way GET /notes pages them.
+// Offline searches match plain words only; filters such as tag: are left out.
+const listLocalNotes = async (params) => {
+  const { page = 1, limit = 20, search = '', tags, tagMode = 'all' } = params;
+  const isArchived = ARCHIVED_FILTER.test(search) || String(params.isArchived) === 'true';
+  const pinnedFirst = String(params.pinnedFirst) === 'true';
+  const tagList = tags ? tags.split(',') : [];
+  const words = search.toLowerCase().replace(/"/g, ' ').split(/\s+/)
+    .filter(word => word && word !== '-' && !word.includes(':'));
+  const userId = tokenManager.getUser()?.id;
+
+  const matchesWords = (note) => {
+    const text = [note.title, note.content, ...(note.tags || [])].join('\n').toLowerCase();
+    return words.every(word => word.startsWith('-') ? !text.includes(word.slice(1)) : text.includes(word));
+  };
+  const matchesTags = (note) => tagList.length === 0 || (tagMode === 'any'
+    ? tagList.some(tag => note.tags?.includes(tag))
+    : tagList.every(tag => note.tags?.includes(tag)));
+
+  const notes = (await offlineStore.getNotes())
+    .filter(note => note.userId === userId && note.isArchived === isArchived && matchesTags(note) && matchesWords(note))
+    .sort((a, b) => (pinnedFirst && b.isPinned - a.isPinned) || new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  const start = (page - 1) * limit;
+  const totalPages = Math.ceil(notes.length / limit);
+  return {
+    data: {
+      message: 'Notes retrieved from this device',
+      data: {
+        notes: notes.slice(start, start + limit),
+        pagination: {
+          currentPage: Number(page),
+          totalPages,
+          totalNotes: notes.length,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    },
+    offline: true,
+  };
+};
+
+// GET that answers with its last response, saved on this device, when offline
+const cachedGet = async (url, config = {}) => {
+  const key = `${url}?${new URLSearchParams(config.params || {})}`;
+  try {
+    const response = await API.get(url, config);
+    cacheQuietly(offlineStore.putResponse(key, response.data));
+    return response;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    const data = await offlineStore.getResponse(key).catch(() => undefined);
+    if (data === undefined) throw error;
+    return { data, offline: true };
+  }
+};
+
+// The server's copy of a note if it was changed after the queued change was
+// made on top of it, judged by the server's own updatedAt timestamps
+const changedOnServer = async (noteId, baseUpdatedAt) => {
+  if (!baseUpdatedAt) return null;
+  const current = (await API.get(`/notes/${noteId}`)).data.data;
+  return new Date(current.updatedAt) > new Date(baseUpdatedAt) ? current : null;
+};
+
+// Notes changed per delta sync request
+const SYNC_PAGE_SIZE = 500;
+
+// Bring the notes kept on this device up to date with the changes made since
+// the last sync, a page at a time. The first sync, or one from a cursor the
+// server no longer keeps changes for, fetches every note.
+const refreshLocalNotes = async () => {
+  let since = await offlineStore.getCursor();
+
+  try {
+    for (;;) {
+      // Queued changes are newer than the server's copy; catch up after sending them
+      if (syncState.pending > 0) return;
+
+      let response;
+      try {
+        response = await notesAPI.getChanges({ since, limit: SYNC_PAGE_SIZE });
+      } catch (error) {
+        if (error.response?.status !== 410 || !since) throw error;
+        await offlineStore.resetNotes();
+        since = undefined;
+        continue;
+      }
+
+      const { notes, deleted, cursor, hasMore } = response.data.data;
+      await offlineStore.applyChanges(notes.map(storableNote), deleted.map(note => note.id), cursor);
+      since = cursor;
+      if (!hasMore) return;
+    }
+  } catch (error) {
+    // Offline again; the next flush picks up from the saved cursor
+    if (!isNetworkError(error)) throw error;
+  }
+};
+
+const failureMessage = (error) => error.response?.data?.errors?.[0]?.message
+  || error.response?.data?.message
+  || error.message;
+
+// Send the queued changes in the order they were made. A change to a note that
+// was also changed elsewhere meanwhile is not sent: it is reported to
+// onConflict with the server's copy, and later changes to that note are held
+// back with it. Changes the server refuses are reported to onSyncFailed.
+// Once nothing is left to send, the local copy catches up with the server.
+const replayOutbox = async () => {
+  if (!tokenManager.getToken()) return;
+
+  // Version after our last change to a note, so its next change passes If-Match
+  const versions = new Map();
+  // Notes whose earlier queued change was already checked against the server
+  const checked = new Set();
+  // Conflicts and failures by note; their remaining changes are not sent
+  const conflicts = new Map();
+  const failed = new Set();
+  let sent = 0;
+  let entries;
+
+  try {
+    while ((entries = await offlineStore.getOutbox()).length > 0) {
+      if (!navigator.onLine) {
+        setSyncState({ status: 'offline', pending: entries.length });
+        return;
+      }
+      setSyncState({ status: 'syncing', pending: entries.length });
+
+      for (const [index, entry] of entries.entries()) {
+        const { action, noteId: key } = entry;
+        const noteId = await resolveNoteId(key);
+        const version = versions.has(key) ? versions.get(key) : entry.version;
+        const conflict = conflicts.get(key);
+
+        if (conflict) {
+          // Held back with the conflicting change: edits join the user's version
+          if (action === 'update') conflict.mine = { ...conflict.mine, ...entry.data };
+        } else if (!failed.has(key)) {
+          try {
+            // Without a version to send in If-Match, compare timestamps first
+            const current = !checked.has(key) && (action === 'delete' || (action !== 'create' && version === undefined))
+              ? await changedOnServer(noteId, entry.baseUpdatedAt)
+              : null;
+            if (current) {
+              throw Object.assign(new Error('Changed on the server'), { current });
+            }
+
+            const response = await sendChange({ ...entry, noteId }, version);
+            const data = response.data.data;
+            const realId = action === 'create' ? data._id : noteId;
+            const pending = entries.slice(index + 1).some(next => next.noteId === key);
+
+            checked.add(key);
+            if (data.version !== undefined) versions.set(key, data.version);
+            if (action === 'create') {
+              syncedIds.set(key, realId);
+              await cacheQuietly(offlineStore.putSyncedId(key, realId));
+              await cacheQuietly(offlineStore.removeNote(key));
+            }
+            await cacheQuietly(cacheSentChange(action, realId, data, pending));
+            sent += 1;
+
+            if (action !== 'delete') {
+              notifySync('onNoteSynced', {
+                action,
+                ...(action === 'create' && { localId: key }),
+                note: { ...noteChanges(action, data), _id: realId, pending },
+              });
+            }
+          } catch (error) {
+            if (isNetworkError(error)) {
+              setSyncState({ status: 'offline', pending: entries.length - index });
+              scheduleRetry();
+              return;
+            }
+
+            const current = error.current || conflictingNote(error);
+            if (current) {
+              await cacheQuietly(offlineStore.putNotes([storableNote(current)]));
+              conflicts.set(key, { action, noteId, mine: entry.data, theirs: current });
+            } else if (!(action === 'delete' && error.response?.status === 404)) {
+              // A note created offline that the server refused only ever existed here
+              if (action === 'create') await cacheQuietly(offlineStore.removeNote(key));
+              failed.add(key);
+              notifySync('onSyncFailed', {
+                action,
+                noteId: key,
+                title: entry.data?.title,
+                message: failureMessage(error),
+              });
+            }
+          }
+        }
+
+        await offlineStore.removeFromOutbox(entry.id);
+        setSyncState({ pending: entries.length - index - 1 });
+      }
+    }
+
+    setSyncState({ pending: 0, ...(syncState.status === 'syncing' && { status: 'online' }) });
+    await refreshLocalNotes();
+  } finally {
+    conflicts.forEach(conflict => notifySync('onConflict', conflict));
+    if (sent > 0) notifySync('onSyncComplete');
+  }
+};
+
+const flushOutbox = () => {
+  if (!flushing) {
+    flushing = (navigator.locks ? navigator.locks.request(OUTBOX_LOCK, replayOutbox) : replayOutbox())
+      .catch((error) => {
+        console.error('Offline sync error:', error);
+      })
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+};
+
+// The server answered: if it could not be reached before, send what was queued meanwhile
+const markReachable = () => {
+  if (syncState.status !== 'offline') return;
+  setSyncState({ status: 'online' });
+  flushOutbox();
+};
+
+window.addEventListener('online', () => {
+  setSyncState({ status: 'online' });
+  flushOutbox();
+});
+window.addEventListener('offline', () => {
+  setSyncState({ status: 'offline' });
+});
+
+// Offline sync API
+export const syncAPI = {
+  // Listen for onStatusChange({ status, pending }), onNoteSynced({ action, note, localId }),
+  // onConflict({ action, noteId, mine, theirs }), onSyncFailed({ action, noteId, title, message })
+  // and onSyncComplete(). Also sends anything still queued. Returns a function that stops listening.
+  subscribe: (listener) => {
+    syncListeners.add(listener);
+    listener.onStatusChange?.(syncState);
+    flushOutbox();
+    return () => {
+      syncListeners.delete(listener);
+    };
+  },
+  getStatus: () => syncState,
+  flush: () => flushOutbox(),
 };
 
 // Notes API calls
 export const notesAPI = {
-  getAllNotes: (params = {}) => API.get('/notes', { params }),
-  getNote: (id) => API.get(`/notes/${id}`),
-  createNote: (noteData) => API.post('/notes', noteData),
-  updateNote: (id, noteData) => API.put(`/notes/${id}`, noteData),
-  deleteNote: (id) => API.delete(`/notes/${id}`),
-  pinNote: (id) => API.post(`/notes/${id}/pin`),
-  archiveNote: (id) => API.post(`/notes/${id}/archive`),
+  // While changes are queued, the local copy is the most recent one
+  getAllNotes: async (params = {}) => {
+    if (syncState.pending > 0) return listLocalNotes(params);
+    try {
+      const response = await API.get('/notes', { params });
+      cacheQuietly(offlineStore.putNotes(response.data.data.notes.map(storableNote)));
+      return response;
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      return listLocalNotes(params).catch(() => Promise.reject(error));
+    }
+  },
+  getNote: (id, params = {}) => API.get(`/notes/${id}`, { params }),
+  getChanges: (params = {}) => API.get('/notes/changes', { params }),
+  createNote: (noteData) => sendOrQueue({ action: 'create', data: noteData }, () => createLocalNote(noteData)),
+  updateNote: (id, noteData, version) => sendOrQueue(
+    { action: 'update', noteId: id, data: noteData, version },
+    updateLocalNote(id, noteData)
+  ),
+  deleteNote: async (id) => {
+    // Created and deleted before it was ever sent: forget it, unless it is being sent right now
+    const noteId = await resolveNoteId(id);
+    if (isLocalNote(noteId) && !(await isFlushing())) {
+      await offlineStore.removeNoteFromOutbox(id);
+      await offlineStore.removeNote(id);
+      setSyncState({ pending: await offlineStore.countOutbox() });
+      return localResponse({ id });
+    }
+    return sendOrQueue({ action: 'delete', noteId: id }, async () => {
+      await offlineStore.removeNote(noteId);
+      return { id };
+    });
+  },
+  bulkUpdateNotes: (ids, action, params = {}) => API.post('/notes/bulk', { ids, action, ...params }),
+  importNotes: (formData) => API.post('/notes/import', formData, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  getTags: () => cachedGet('/notes/tags'),
+  renameTag: (tag, name) => API.put(`/notes/tags/${encodeURIComponent(tag)}`, { name }),
+  deleteTag: (tag) => API.delete(`/notes/tags/${encodeURIComponent(tag)}`),
+  getTrash: (params = {}) => cachedGet('/notes/trash', { params }),
+  restoreNote: (id) => API.post(`/notes/${id}/restore`),
+  deleteNotePermanently: (id) => API.delete(`/notes/${id}/permanent`),
+  emptyTrash: () => API.delete('/notes/trash'),
+  pinNote: (id, version) => sendOrQueue({ action: 'pin', noteId: id, version }, toggleLocalNote(id, 'isPinned')),
+  convertNote: (id, type) => API.post(`/notes/${id}/convert`, { type }),
+  addChecklistItem: (id, itemData) => API.post(`/notes/${id}/items`, itemData),
+  updateChecklistItem: (id, itemId, itemData) => API.put(`/notes/${id}/items/${itemId}`, itemData),
+  toggleChecklistItem: (id, itemId) => API.post(`/notes/${id}/items/${itemId}/toggle`),
+  removeChecklistItem: (id, itemId) => API.delete(`/notes/${id}/items/${itemId}`),
+  reorderChecklistItems: (id, itemIds) => API.put(`/notes/${id}/items/reorder`, { itemIds }),
+  archiveNote: (id, version) => sendOrQueue({ action: 'archive', noteId: id, version }, toggleLocalNote(id, 'isArchived')),
   getStats: () => API.get('/notes/stats'),
+  getSharedNotes: (params = {}) => cachedGet('/notes/shared', { params }),
+  getCollaborators: (id) => API.get(`/notes/${id}/collaborators`),
+  shareNote: (id, shareData) => API.post(`/notes/${id}/share`, shareData),
+  unshareNote: (id, email) => API.post(`/notes/${id}/unshare`, { email }),
+  getRevisions: (id) => API.get(`/notes/${id}/revisions`),
+  getRevision: (id, rev) => API.get(`/notes/${id}/revisions/${rev}`),
+  diffRevisions: (id, params = {}) => API.get(`/notes/${id}/revisions/diff`, { params }),
+  restoreRevision: (id, rev) => API.post(`/notes/${id}/revisions/${rev}/restore`),
+  getShareLinks: (id) => API.get(`/notes/${id}/links`),
+  createShareLink: (id, linkData) => API.post(`/notes/${id}/links`, linkData),
+  revokeShareLink: (id, linkId) => API.delete(`/notes/${id}/links/${linkId}`),
+};
+
+// Categories API calls
+export const categoriesAPI = {
+  getCategories: () => cachedGet('/categories'),
+  createCategory: (categoryData) => API.post('/categories', categoryData),
+  updateCategory: (id, categoryData) => API.put(`/categories/${id}`, categoryData),
+  deleteCategory: (id, moveTo) => API.delete(`/categories/${id}`, { params: moveTo ? { moveTo } : {} }),
+};
+
+// Saved searches API calls
+export const searchesAPI = {
+  getSearches: () => cachedGet('/searches'),
+  createSearch: (searchData) => API.post('/searches', searchData),
+  updateSearch: (id, searchData) => API.put(`/searches/${id}`, searchData),
+  deleteSearch: (id) => API.delete(`/searches/${id}`),
+};
+
+// Reminders API calls
+export const remindersAPI = {
+  getReminders: (params = {}) => cachedGet('/reminders', { params }),
+  createReminder: (reminderData) => API.post('/reminders', reminderData),
+  updateReminder: (id, reminderData) => API.put(`/reminders/${id}`, reminderData),
+  deleteReminder: (id) => API.delete(`/reminders/${id}`),
+  snoozeReminder: (id, snoozeData) => API.post(`/reminders/${id}/snooze`, snoozeData),
+  dismissReminder: (id) => API.post(`/reminders/${id}/dismiss`),
+};
+
+// Notifications API calls
+export const notificationsAPI = {
+  getNotifications: () => API.get('/notifications'),
+  markAllRead: () => API.post('/notifications/read'),
+  markRead: (id) => API.post(`/notifications/${id}/read`),
+};
+
+// Waits between reconnection attempts to the live events stream
+const EVENTS_RETRY_MS = [1000, 2000, 5000, 10000, 30000];
+// Streams end when the access token expires, in every tab at once; each tab
+// waits a random extra moment so they do not all reconnect (and refresh) together
+const EVENTS_RECONNECT_JITTER_MS = 10000;
+
+// Read Server-Sent Events from a fetch response body, calling onMessage(event, data)
+const readEventStream = async (body, onMessage) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const data = [];
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      if (data.length > 0) onMessage(event, JSON.parse(data.join('\n')));
+    }
+  }
+};
+
+// Live note events API. EventSource cannot send an Authorization header, so
+// the stream is read with fetch, using the same access token as every other call.
+export const eventsAPI = {
+  // Calls onNoteEvent for every change to the user's notes made elsewhere,
+  // onNotification for each new notification (such as a reminder going off),
+  // and onReconnect after the stream dropped (changes may have been missed
+  // meanwhile). Returns a function that closes the stream.
+  subscribe: ({ onNoteEvent, onNotification, onReconnect }) => {
+    const controller = new AbortController();
+    let attempt = 0;
+    let connectedBefore = false;
+
+    const connect = async () => {
+      while (!controller.signal.aborted) {
+        const token = localStorage.getItem('keepnotes_token');
+        try {
+          const response = await fetch(`${API.defaults.baseURL}/events`, {
+            headers: {
+              Authorization: `Bearer ${token}`,
+              'X-Client-Id': CLIENT_ID,
+            },
+            signal: controller.signal,
+          });
+
+          if (response.status === 401) {
+            // The access token expired; the stream also ends when it does
+            await refreshAccessToken(token);
+          } else if (response.ok) {
+            await readEventStream(response.body, (event, data) => {
+              if (event === 'ready') {
+                attempt = 0;
+                markReachable();
+                if (connectedBefore) {
+                  // Changes made meanwhile were not sent over the stream
+                  onReconnect();
+                  flushOutbox();
+                }
+                connectedBefore = true;
+              } else if (event === 'note') {
+                // Queued changes win locally until they are sent and checked
+                if (syncState.pending === 0) {
+                  cacheQuietly(['deleted', 'purged'].includes(data.type)
+                    ? offlineStore.removeNote(data.noteId)
+                    : offlineStore.putNotes([storableNote(data.note)]));
+                }
+                onNoteEvent(data);
+              } else if (event === 'notification') {
+                onNotification?.(data);
+              }
+            });
+          }
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          if (error.response?.status === 401) {
+            // The session itself is gone; the next API call sends the user to login
+            return;
+          }
+          console.error('Live events error:', error);
+        }
+
+        if (controller.signal.aborted) return;
+        const delay = EVENTS_RETRY_MS[Math.min(attempt, EVENTS_RETRY_MS.length - 1)] + Math.random() * EVENTS_RECONNECT_JITTER_MS;
+        await new Promise(resolve => setTimeout(resolve, delay));
+        attempt += 1;
+      }
+    };
+
+    connect();
+    return () => controller.abort();
+  },
+};
+
+// Public (unauthenticated) API calls
+export const publicAPI = {
+  getNote: (token, password) => API.get(`/public/notes/${token}`, {
+    headers: password ? { 'X-Share-Password': password } : {},
+  }),
 };
 
 // User API calls
@@ -60,8 +778,21 @@ export const userAPI = {
   getProfile: () => API.get('/users/profile'),
   updateProfile: (profileData) => API.put('/users/profile', profileData),
   changePassword: (passwordData) => API.post('/users/change-password', passwordData),
+  resendVerification: () => API.post('/users/resend-verification'),
+  cancelEmailChange: () => API.delete('/users/pending-email'),
   getDashboard: () => API.get('/users/dashboard'),
+  exportNotes: (format) => API.get('/users/export', { params: { format }, responseType: 'blob' }),
   deactivateAccount: () => API.delete('/users/account'),
+  deleteAccountPermanently: (confirmData) => API.delete('/users/account/permanent', { data: confirmData }),
+  getSessions: () => API.get('/users/sessions'),
+  revokeSession: (sessionId) => API.delete(`/users/sessions/${sessionId}`),
+  revokeOtherSessions: () => API.delete('/users/sessions'),
+  getSecurityEvents: () => API.get('/users/security-events'),
+  getTwoFactorStatus: () => API.get('/users/2fa'),
+  setupTwoFactor: (password) => API.post('/users/2fa/setup', { password }),
+  enableTwoFactor: (code) => API.post('/users/2fa/enable', { code }),
+  disableTwoFactor: (disableData) => API.post('/users/2fa/disable', disableData),
+  regenerateRecoveryCodes: (code) => API.post('/users/2fa/recovery-codes', { code }),
 };
 
 // Helper functions for token management
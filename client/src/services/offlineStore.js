@@ -0,0 +1,115 @@
+// Local copy of the user's notes, kept in IndexedDB so the dashboard still
+// opens without a connection, plus the outbox of changes waiting to be sent.
+const DB_NAME = 'keepnotes';
+const DB_VERSION = 1;
+
+// notes: the user's own notes by _id
+// outbox: queued changes, replayed in the order they were made
+// responses: last answer to other reads (categories, tags, ...) by URL
+// meta: which user the data belongs to, the delta sync cursor, and the server
+//   ids of notes created offline (by temporary id) once they have been sent
+const STORES = ['notes', 'outbox', 'responses', 'meta'];
+
+let dbRequest = null;
+
+const openDB = () => {
+  if (!dbRequest) {
+    dbRequest = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('notes', { keyPath: '_id' });
+        db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+        db.createObjectStore('responses');
+        db.createObjectStore('meta');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Try again next time, e.g. after private browsing refused the first open
+      dbRequest = null;
+      throw error;
+    });
+  }
+  return dbRequest;
+};
+
+// Run work(stores) in one transaction and resolve once it has committed,
+// with the result of the request work returned (if any)
+const transact = async (storeNames, mode, work) => {
+  const db = await openDB();
+  const names = [].concat(storeNames);
+  const tx = db.transaction(names, mode);
+  const stores = names.map(name => tx.objectStore(name));
+  const request = work(...stores);
+
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return request?.result;
+};
+
+export const offlineStore = {
+  // Keep the local data only while the same user is signed in
+  claim: async (userId) => {
+    const owner = await transact('meta', 'readonly', meta => meta.get('owner'));
+    if (owner === userId) return;
+    await transact(STORES, 'readwrite', (notes, outbox, responses, meta) => {
+      notes.clear();
+      outbox.clear();
+      responses.clear();
+      meta.put(userId, 'owner');
+    });
+  },
+  clear: () => transact(STORES, 'readwrite', (...stores) => {
+    stores.forEach(store => store.clear());
+  }),
+
+  getNotes: () => transact('notes', 'readonly', notes => notes.getAll()),
+  getNote: (id) => transact('notes', 'readonly', notes => notes.get(id)),
+  putNotes: (list) => transact('notes', 'readwrite', (notes) => {
+    list.forEach(note => notes.put(note));
+  }),
+  // Merge a partial update (e.g. { isPinned }) into the stored note, if there is one
+  mergeNote: (id, changes) => transact('notes', 'readwrite', (notes) => {
+    const request = notes.get(id);
+    request.onsuccess = () => {
+      if (request.result) notes.put({ ...request.result, ...changes, _id: id });
+    };
+  }),
+  removeNote: (id) => transact('notes', 'readwrite', notes => notes.delete(id)),
+  // Apply a page of delta sync changes and remember where it ended, all or nothing
+  applyChanges: (changed, deletedIds, cursor) => transact(['notes', 'meta'], 'readwrite', (notes, meta) => {
+    changed.forEach(note => notes.put(note));
+    deletedIds.forEach(id => notes.delete(id));
+    meta.put(cursor, 'cursor');
+  }),
+  // Forget every note and the sync cursor, to fetch them all again
+  resetNotes: () => transact(['notes', 'meta'], 'readwrite', (notes, meta) => {
+    notes.clear();
+    meta.delete('cursor');
+  }),
+  getCursor: () => transact('meta', 'readonly', meta => meta.get('cursor')),
+  getSyncedId: (localId) => transact('meta', 'readonly', meta => meta.get(`synced:${localId}`)),
+  putSyncedId: (localId, id) => transact('meta', 'readwrite', meta => meta.put(id, `synced:${localId}`)),
+
+  getResponse: (key) => transact('responses', 'readonly', responses => responses.get(key)),
+  putResponse: (key, data) => transact('responses', 'readwrite', responses => responses.put(data, key)),
+
+  getOutbox: () => transact('outbox', 'readonly', outbox => outbox.getAll()),
+  countOutbox: () => transact('outbox', 'readonly', outbox => outbox.count()),
+  addToOutbox: (entry) => transact('outbox', 'readwrite', outbox => outbox.add(entry)),
+  removeFromOutbox: (id) => transact('outbox', 'readwrite', outbox => outbox.delete(id)),
+  // Forget every queued change to a note, e.g. one created and deleted while offline
+  removeNoteFromOutbox: (noteId) => transact('outbox', 'readwrite', (outbox) => {
+    const request = outbox.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (cursor.value.noteId === noteId) cursor.delete();
+      cursor.continue();
+    };
+  }),
+};
@@ -0,0 +1,39 @@
+const User = require('../models/User');
+const { deleteAccountData } = require('../utils/accountDeletion');
+
+// Permanently delete accounts whose reactivation grace period has ended
+const deleteExpiredAccounts = async () => {
+  const expired = await User.findDueForDeletion();
+
+  for (const user of expired) {
+    await deleteAccountData(user._id);
+  }
+
+  return expired.length;
+};
+
+// Run the deletion periodically (ACCOUNT_DELETION_INTERVAL_MINUTES, default hourly)
+const startAccountDeletionJob = () => {
+  const intervalMinutes = parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MINUTES || '60');
+
+  const run = async () => {
+    try {
+      const deleted = await deleteExpiredAccounts();
+      if (deleted > 0) {
+        console.log(`🗑️  Deleted ${deleted} deactivated account(s)`);
+      }
+    } catch (error) {
+      console.error('Account deletion error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  deleteExpiredAccounts,
+  startAccountDeletionJob
+};
@@ -0,0 +1,46 @@
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const ShareLink = require('../models/ShareLink');
+const NoteTombstone = require('../models/NoteTombstone');
+const Reminder = require('../models/Reminder');
+
+// Permanently delete notes that have been in the trash longer than the retention window
+const purgeExpiredTrash = async () => {
+  const expired = await Note.findExpiredTrash();
+  if (expired.length === 0) return 0;
+
+  const noteIds = expired.map(note => note._id);
+  await Note.deleteMany({ _id: { $in: noteIds } });
+  await NoteRevision.deleteMany({ noteId: { $in: noteIds } });
+  await ShareLink.deleteMany({ noteId: { $in: noteIds } });
+  await Reminder.deleteMany({ noteId: { $in: noteIds } });
+  await NoteTombstone.record(expired);
+
+  return noteIds.length;
+};
+
+// Run the purge periodically (TRASH_PURGE_INTERVAL_MINUTES, default hourly)
+const startTrashPurgeJob = () => {
+  const intervalMinutes = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES || '60');
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`🗑️  Purged ${purged} note(s) from trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeExpiredTrash,
+  startTrashPurgeJob
+};
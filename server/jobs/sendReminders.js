@@ -0,0 +1,123 @@
+const Reminder = require('../models/Reminder');
+const Notification = require('../models/Notification');
+const Note = require('../models/Note');
+const User = require('../models/User');
+const { sendMail } = require('../utils/mailer');
+const { publishUserEvent } = require('../utils/noteEvents');
+
+// Reminders handled per run; any left over are picked up by the next one
+const REMINDER_BATCH_SIZE = 500;
+
+const formatDueTime = (date, timeZone) => `${date.toLocaleString('en-US', {
+  timeZone,
+  dateStyle: 'medium',
+  timeStyle: 'short'
+})} (${timeZone})`;
+
+// Email a reminder through the configured mail transport (see utils/mailer.js)
+const sendReminderEmail = async (reminder, note, { dueAt, snoozed }) => {
+  const user = await User.findById(reminder.userId).select('firstName email emailVerified');
+  // Unverified addresses may not belong to the user; they still get the in-app notification
+  if (!user || user.emailVerified === false) return;
+
+  const title = note.title || 'Untitled note';
+  await sendMail({
+    to: user.email,
+    subject: `Reminder: ${title}`,
+    text: `Hi ${user.firstName},\n\n` +
+      `${snoozed ? 'Here is your snoozed reminder' : 'This is your reminder'} for "${title}", ` +
+      `due ${formatDueTime(dueAt, reminder.timeZone)}.\n\n` +
+      `${process.env.CLIENT_URL || 'http://localhost:5173'}\n\n` +
+      `You get this email because you asked to be reminded by email. ` +
+      `Change the reminder in KeepNotes to stop these emails.`
+  });
+};
+
+// Notify the user in the app, and by email if they asked for it. Returns false
+// when the note is in the trash or no longer shared with them.
+const deliverReminder = async (reminder, occurrence) => {
+  const note = await Note.findById(reminder.noteId).select('title userId collaborators deletedAt');
+  if (!note || note.deletedAt || !note.getRoleFor(reminder.userId)) return false;
+
+  const notification = await Notification.create({
+    userId: reminder.userId,
+    type: 'reminder',
+    noteId: note._id,
+    reminderId: reminder._id,
+    title: note.title,
+    dueAt: occurrence.dueAt,
+    snoozed: occurrence.snoozed
+  });
+  publishUserEvent(reminder.userId, 'notification', {
+    notification: notification.toJSON(),
+    reminder: reminder.toJSON()
+  });
+
+  if (reminder.notifyByEmail) {
+    try {
+      await sendReminderEmail(reminder, note, occurrence);
+    } catch (error) {
+      console.error('Reminder email error:', error);
+    }
+  }
+
+  return true;
+};
+
+// Deliver every reminder that is due. Each reminder is moved on to its next
+// occurrence before it is delivered, so a reminder saved by another server
+// instance first is skipped rather than sent twice.
+const sendDueReminders = async (now = new Date()) => {
+  const due = await Reminder.findDue(now, REMINDER_BATCH_SIZE);
+  let sent = 0;
+
+  for (const reminder of due) {
+    try {
+      const occurrence = reminder.fire(now);
+      await reminder.save();
+
+      if (await deliverReminder(reminder, occurrence)) {
+        sent += 1;
+      }
+    } catch (error) {
+      if (error.name !== 'VersionError') {
+        console.error(`Reminder ${reminder._id} error:`, error);
+      }
+    }
+  }
+
+  return sent;
+};
+
+// Check for due reminders periodically (REMINDER_CHECK_INTERVAL_SECONDS, default 30)
+const startReminderJob = () => {
+  const intervalSeconds = parseInt(process.env.REMINDER_CHECK_INTERVAL_SECONDS || '30');
+  let running = false;
+
+  const run = async () => {
+    // A slow run (say, many emails) must not overlap the next one
+    if (running) return;
+    running = true;
+
+    try {
+      const sent = await sendDueReminders();
+      if (sent > 0) {
+        console.log(`⏰ Sent ${sent} reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Reminder job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sendDueReminders,
+  startReminderJob
+};
@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getPolicy } = require('../utils/emailVerification');
+
+// Only write lastSeenAt this often, not on every request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
 
 const auth = async (req, res, next) => {
   try {
@@ -33,7 +38,38 @@ const auth = async (req, res, next) => {
       });
     }
     
+    if (getPolicy() === 'block' && !user.hasVerifiedEmail()) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Please verify your email address to continue.',
+        emailVerificationRequired: true
+      });
+    }
+    
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        error: 'Password changed',
+        message: 'Your password was changed recently. Please login again.'
+      });
+    }
+    
+    // Access tokens belong to a session; revoking the session cuts them off immediately
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+    
+    if (!session || !session.isActive() || !session.userId.equals(user._id)) {
+      return res.status(401).json({
+        error: 'Session revoked',
+        message: 'Your session has ended. Please login again.'
+      });
+    }
+    
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+    }
+
     req.user = user;
+    req.sessionId = session._id;
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
     next();
     
   } catch (error) {
@@ -0,0 +1,105 @@
+const Note = require('../models/Note');
+
+// Higher rank includes every permission of the lower ones
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+// Check whether a role grants at least the given access
+const hasNoteRole = (role, minimumRole) => {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minimumRole];
+};
+
+// Load the note in req.params.id if the user may access it with at least
+// `minimumRole`, and attach it as req.note (with the user's role as req.noteRole)
+const requireNoteAccess = (minimumRole = 'viewer') => async (req, res, next) => {
+  try {
+    const note = await Note.findAccessible(req.params.id, req.user._id);
+
+    if (!note) {
+      return res.status(404).json({
+        error: 'Note not found',
+        message: 'The requested note does not exist or you do not have permission to access it.'
+      });
+    }
+
+    const role = note.getRoleFor(req.user._id);
+
+    if (!hasNoteRole(role, minimumRole)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: minimumRole === 'owner'
+          ? 'Only the owner of this note can do that.'
+          : 'You have view-only access to this note.'
+      });
+    }
+
+    req.note = note;
+    req.noteRole = role;
+    next();
+
+  } catch (error) {
+    console.error('Note access error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Error checking note permissions.'
+    });
+  }
+};
+
+// Entity tag for the current version of a note
+const noteETag = (note) => `"${note.__v}"`;
+
+// Honour an If-Match header on routes that change req.note: a client that
+// edited an older version gets 412 with the current note instead of
+// overwriting someone else's changes. Requests without If-Match go through.
+const checkNoteVersion = (req, res, next) => {
+  const ifMatch = req.get('If-Match');
+
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return next();
+  }
+
+  if (!ifMatch.split(',').map(tag => tag.trim()).includes(noteETag(req.note))) {
+    res.set('ETag', noteETag(req.note));
+    return res.status(412).json({
+      error: 'Note has changed',
+      message: 'This note was changed since you opened it. Review the current version and try again.',
+      data: req.note
+    });
+  }
+
+  next();
+};
+
+// Answer a note save that lost a race with another edit
+// (a Mongoose VersionError) with 409 and the note as it is now
+const versionConflict = async (res, noteId) => {
+  try {
+    const current = await Note.findById(noteId);
+    if (current) {
+      res.set('ETag', noteETag(current));
+    }
+    res.status(409).json({
+      error: 'Edit conflict',
+      message: 'This note was changed by someone else while saving. Review the current version and try again.',
+      data: current
+    });
+  } catch (error) {
+    console.error('Version conflict error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Unable to load the current version of this note.'
+    });
+  }
+};
+
+module.exports = {
+  requireNoteAccess,
+  checkNoteVersion,
+  noteETag,
+  versionConflict,
+  hasNoteRole
+};
@@ -0,0 +1,24 @@
+const rateLimit = require('express-rate-limit');
+
+// Stricter per-IP limit for credential endpoints (login, 2FA, registration,
+// password reset). Per-account lockout lives on the User model; this stops
+// one address from spraying guesses across many accounts.
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX || '20'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      error: 'Too many requests',
+      message: 'Too many sign-in attempts from this device. Please try again later.',
+      retryAfter: req.rateLimit.resetTime
+        ? Math.max(Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000), 1)
+        : Math.ceil(options.windowMs / 1000)
+    });
+  }
+});
+
+module.exports = {
+  authLimiter
+};
@@ -0,0 +1,87 @@
+const multer = require('multer');
+
+const MAX_IMPORT_FILES = parseInt(process.env.IMPORT_MAX_FILES || '500');
+const MAX_IMPORT_FILE_MB = parseInt(process.env.IMPORT_MAX_FILE_MB || '5');
+const MAX_IMPORT_TOTAL_MB = parseInt(process.env.IMPORT_MAX_TOTAL_MB || '50');
+
+const MAX_IMPORT_TOTAL_BYTES = MAX_IMPORT_TOTAL_MB * 1024 * 1024;
+
+// Multer's memory storage, but giving up once the files of one request add up
+// to more than MAX_IMPORT_TOTAL_MB, so a single upload cannot fill the memory
+const limitedMemoryStorage = {
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    let failed = false;
+
+    file.stream.on('data', (chunk) => {
+      if (failed) return;
+
+      req.importBytes = (req.importBytes || 0) + chunk.length;
+      if (req.importBytes > MAX_IMPORT_TOTAL_BYTES) {
+        failed = true;
+        chunks.length = 0;
+        const error = new Error(`Upload at most ${MAX_IMPORT_TOTAL_MB} MB at a time`);
+        error.code = 'LIMIT_TOTAL_SIZE';
+        return cb(error);
+      }
+      chunks.push(chunk);
+    });
+
+    file.stream.on('end', () => {
+      if (failed) return;
+
+      const buffer = Buffer.concat(chunks);
+      cb(null, { buffer, size: buffer.length });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+};
+
+// Files for POST /api/notes/import, kept in memory (they are parsed and discarded
+// within the request). Multer errors become 400 responses in the API's error format,
+// and uploads over the total size 413 responses.
+const importFiles = (req, res, next) => {
+  // Refuse uploads that announce they are too big before reading any of them
+  if (parseInt(req.headers['content-length'] || '0') > MAX_IMPORT_TOTAL_BYTES) {
+    return res.status(413).json({
+      error: 'Upload failed',
+      message: `Upload at most ${MAX_IMPORT_TOTAL_MB} MB at a time`
+    });
+  }
+
+  const upload = multer({
+    storage: limitedMemoryStorage,
+    limits: {
+      files: MAX_IMPORT_FILES,
+      fileSize: MAX_IMPORT_FILE_MB * 1024 * 1024
+    }
+  }).array('files');
+
+  upload(req, res, (error) => {
+    if (error?.code === 'LIMIT_TOTAL_SIZE') {
+      return res.status(413).json({
+        error: 'Upload failed',
+        message: error.message
+      });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: 'Upload failed',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Each file must be ${MAX_IMPORT_FILE_MB} MB or smaller`
+          : error.code === 'LIMIT_FILE_COUNT'
+            ? `Upload at most ${MAX_IMPORT_FILES} files at a time`
+            : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  importFiles
+};
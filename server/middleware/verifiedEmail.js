@@ -0,0 +1,17 @@
+const { getPolicy } = require('../utils/emailVerification');
+
+// Refuse the request until the account's email address is verified, unless
+// EMAIL_VERIFICATION_POLICY is "off". Use after the auth middleware.
+const requireVerifiedEmail = (req, res, next) => {
+  if (getPolicy() === 'off' || req.user.hasVerifiedEmail()) {
+    return next();
+  }
+  
+  res.status(403).json({
+    error: 'Email not verified',
+    message: 'Please verify your email address to use this feature.',
+    emailVerificationRequired: true
+  });
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('./models/User');
+const Category = require('./models/Category');
+
+// Create category documents for existing users: the default categories plus
+// any other category their notes already use. Users are also migrated lazily
+// the first time they touch categories, so running this is optional.
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/keepnotes');
+
+  const userIds = await User.find().distinct('_id');
+  let migrated = 0;
+
+  for (const userId of userIds) {
+    if (!(await Category.exists({ userId }))) {
+      await Category.ensureDefaults(userId);
+      migrated++;
+    }
+  }
+
+  console.log(`Migrated categories for ${migrated} of ${userIds.length} user(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Category migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Categories every user starts with (the old fixed category list)
+const DEFAULT_CATEGORIES = [
+  { name: 'personal', color: '#2ecc71', icon: '🏠' },
+  { name: 'work', color: '#3498db', icon: '💼' },
+  { name: 'creative', color: '#e74c3c', icon: '🎨' },
+  { name: 'study', color: '#f39c12', icon: '📚' }
+];
+
+// Category names are unique per user, ignoring case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const categorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [30, 'Category name cannot exceed 30 characters']
+  },
+  color: {
+    type: String,
+    default: '#95a5a6',
+    match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please provide a valid hex color']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [8, 'Icon cannot exceed 8 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+categorySchema.index({ userId: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// Static method to create a user's categories the first time they are needed:
+// the defaults plus any category already used by their notes
+categorySchema.statics.ensureDefaults = async function(userId) {
+  const exists = await this.exists({ userId });
+  if (exists) return;
+
+  const usedNames = await mongoose.model('Note').distinct('category', { userId });
+  const defaultNames = DEFAULT_CATEGORIES.map(category => category.name);
+  const categories = [
+    ...DEFAULT_CATEGORIES,
+    ...usedNames
+      .filter(name => name && !defaultNames.includes(name.toLowerCase()))
+      .map(name => ({ name }))
+  ];
+
+  try {
+    await this.insertMany(categories.map(category => ({ ...category, userId })), { ordered: false });
+  } catch (error) {
+    // Another request seeded the same categories concurrently
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Static method to list a user's categories alphabetically
+categorySchema.statics.findUserCategories = async function(userId) {
+  await this.ensureDefaults(userId);
+  return this.find({ userId }).collation(NAME_COLLATION).sort({ name: 1 });
+};
+
+// Static method to find a user's category by name, ignoring case
+categorySchema.statics.findByName = async function(userId, name) {
+  await this.ensureDefaults(userId);
+  return this.findOne({ userId, name: name.trim() }).collation(NAME_COLLATION);
+};
+
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const MAX_CHECKLIST_ITEMS = 200;
+
 const noteSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -8,17 +10,45 @@ const noteSchema = new mongoose.Schema({
     minlength: [1, 'Title cannot be empty'],
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  type: {
+    type: String,
+    enum: ['text', 'checklist'],
+    default: 'text'
+  },
+  // For checklist notes content mirrors the items as a Markdown task list,
+  // so search, history and public links keep working unchanged
   content: {
     type: String,
-    required: [true, 'Content is required'],
+    required: [function() { return this.type !== 'checklist'; }, 'Content is required'],
     trim: true,
-    minlength: [1, 'Content cannot be empty'],
+    default: '',
     maxlength: [10000, 'Content cannot exceed 10,000 characters']
   },
+  items: {
+    type: [{
+      text: {
+        type: String,
+        required: [true, 'Item text is required'],
+        trim: true,
+        maxlength: [500, 'Item text cannot exceed 500 characters']
+      },
+      done: {
+        type: Boolean,
+        default: false
+      },
+      order: {
+        type: Number,
+        default: 0
+      }
+    }],
+    validate: [items => items.length <= MAX_CHECKLIST_ITEMS, `Cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`]
+  },
+  // Name of one of the owner's categories (see models/Category.js)
   category: {
     type: String,
     required: true,
-    enum: ['personal', 'work', 'creative', 'study'],
+    trim: true,
+    maxlength: [30, 'Category cannot exceed 30 characters'],
     default: 'personal'
   },
   tags: [{
@@ -44,6 +74,26 @@ const noteSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  collaborators: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor'],
+      default: 'viewer'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -51,12 +101,24 @@ const noteSchema = new mongoose.Schema({
   updatedAt: {
     type: Date,
     default: Date.now
+  },
+  // When the note last changed on this server, which delta sync follows.
+  // Unlike updatedAt it is never taken from an imported file.
+  syncedAt: {
+    type: Date,
+    default: Date.now
   }
 }, {
   timestamps: true,
+  // Every save bumps the version key and fails if another save got there first
+  optimisticConcurrency: true,
   toJSON: {
     transform: function(doc, ret) {
+      // Clients send the version back in If-Match to detect conflicting edits
+      ret.version = ret.__v;
       delete ret.__v;
+      delete ret.syncedAt;
+      if (ret.items) ret.items.sort((a, b) => a.order - b.order);
       return ret;
     }
   }
@@ -66,6 +128,10 @@ const noteSchema = new mongoose.Schema({
 noteSchema.index({ userId: 1, createdAt: -1 });
 noteSchema.index({ userId: 1, category: 1 });
 noteSchema.index({ userId: 1, isPinned: -1, createdAt: -1 });
+noteSchema.index({ userId: 1, deletedAt: -1 });
+noteSchema.index({ 'collaborators.userId': 1, updatedAt: -1 });
+// Delta sync reads a user's notes in the order they changed
+noteSchema.index({ userId: 1, syncedAt: 1, _id: 1 });
 noteSchema.index({ 
   title: 'text', 
   content: 'text', 
@@ -78,9 +144,32 @@ noteSchema.index({
   }
 });
 
-// Update updatedAt field before saving
+// Update updatedAt and syncedAt fields before saving
 noteSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.syncedAt = this.updatedAt;
+  next();
+});
+
+// Changes made without loading the notes (e.g. renaming a tag everywhere) move
+// their sync position too; pipeline updates set it themselves
+noteSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  if (!Array.isArray(this.getUpdate())) {
+    this.set('syncedAt', new Date());
+  }
+  next();
+});
+
+// Keep checklist items and their Markdown mirror in sync. Writing content
+// directly (e.g. restoring a revision) rebuilds the items from it.
+noteSchema.pre('save', function(next) {
+  if (this.type === 'checklist') {
+    if (this.isModified('content') && !this.isModified('items')) {
+      this.items = this.constructor.parseChecklist(this.content);
+    } else {
+      this.content = this.constructor.formatChecklist(this.items);
+    }
+  }
   next();
 });
 
@@ -98,91 +187,294 @@ noteSchema.methods.removeTag = function(tag) {
   return this;
 };
 
-// Static method to find user's notes
-noteSchema.statics.findUserNotes = function(userId, options = {}) {
+// Instance method to get checklist items in display order
+noteSchema.methods.getSortedItems = function() {
+  return [...this.items].sort((a, b) => a.order - b.order);
+};
+
+// Instance method to append a checklist item
+noteSchema.methods.addItem = function(text, done = false) {
+  const lastOrder = this.items.reduce((max, item) => Math.max(max, item.order), -1);
+  this.items.push({ text, done, order: lastOrder + 1 });
+  return this.items[this.items.length - 1];
+};
+
+// Instance method to reorder checklist items; itemIds must list every item exactly once
+noteSchema.methods.reorderItems = function(itemIds) {
+  const ids = itemIds.map(String);
+  const current = this.items.map(item => item._id.toString());
+  
+  if (ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every(id => current.includes(id))) {
+    return false;
+  }
+  
+  this.items.forEach(item => {
+    item.order = ids.indexOf(item._id.toString());
+  });
+  return true;
+};
+
+// Instance method to convert between text and checklist notes
+noteSchema.methods.convertTo = function(type) {
+  if (type === this.type) return this;
+  
+  if (type === 'checklist') {
+    this.items = this.constructor.parseChecklist(this.content);
+  } else {
+    this.content = this.constructor.formatChecklist(this.items);
+    this.items = [];
+  }
+  this.type = type;
+  return this;
+};
+
+// Instance method to get a user's role on the note: owner, editor, viewer or null
+noteSchema.methods.getRoleFor = function(userId) {
+  if (this.userId.equals(userId)) return 'owner';
+  
+  const collaborator = this.collaborators.find(c => c.userId.equals(userId));
+  return collaborator ? collaborator.role : null;
+};
+
+// Instance method to add a collaborator or change their role
+noteSchema.methods.shareWith = function(userId, role) {
+  const collaborator = this.collaborators.find(c => c.userId.equals(userId));
+  
+  if (collaborator) {
+    collaborator.role = role;
+  } else {
+    this.collaborators.push({ userId, role });
+  }
+  return this;
+};
+
+// Instance method to remove a collaborator
+noteSchema.methods.unshareWith = function(userId) {
+  this.collaborators = this.collaborators.filter(c => !c.userId.equals(userId));
+  return this;
+};
+
+// Instance method to move note to trash
+noteSchema.methods.moveToTrash = function() {
+  this.deletedAt = new Date();
+  return this;
+};
+
+// Instance method to restore note from trash
+noteSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  return this;
+};
+
+// Static method to turn text into checklist items, one per non-empty line.
+// List markers ("- ", "* ", "1. ") and task boxes ("[ ]", "[x]") are stripped.
+noteSchema.statics.parseChecklist = function(text = '') {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/^(?:[-*+]|\d+[.)])\s+/, ''))
+    .filter(line => line)
+    .slice(0, MAX_CHECKLIST_ITEMS)
+    .map((line, index) => {
+      const match = line.match(/^\[( |x|X)\]\s+(.+)$/);
+      return {
+        text: (match ? match[2] : line).slice(0, 500),
+        done: match ? match[1] !== ' ' : false,
+        order: index
+      };
+    });
+};
+
+// Static method to render checklist items as a Markdown task list
+noteSchema.statics.formatChecklist = function(items = []) {
+  return [...items]
+    .sort((a, b) => a.order - b.order)
+    .map(item => `- [${item.done ? 'x' : ' '}] ${item.text}`)
+    .join('\n');
+};
+
+// Static method to get how long trashed notes are kept before purging
+noteSchema.statics.getTrashRetentionDays = function() {
+  return parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+};
+
+// Static method to get the date a trashed note will be purged
+noteSchema.statics.getPurgeDate = function(deletedAt) {
+  return new Date(deletedAt.getTime() + this.getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+// Static method to find notes whose trash retention has expired
+noteSchema.statics.findExpiredTrash = function() {
+  const cutoff = new Date(Date.now() - this.getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+  return this.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id userId');
+};
+
+// Static method to find a user's notes changed after a sync cursor, up to until,
+// oldest change first (by syncedAt). Trashed notes are included.
+noteSchema.statics.findChangedSince = function(userId, cursor, until, limit) {
+  const query = { userId, syncedAt: { $lte: until } };
+  if (cursor) {
+    query.$or = [
+      { syncedAt: { $gt: cursor.time } },
+      { syncedAt: cursor.time, _id: { $gt: cursor.id } }
+    ];
+  }
+
+  return this.find(query)
+    .sort({ syncedAt: 1, _id: 1 })
+    .limit(limit);
+};
+
+// Static method to give notes saved before syncedAt existed their updatedAt as
+// sync position, so delta sync finds them; returns how many were updated
+noteSchema.statics.backfillSyncedAt = async function() {
+  const result = await this.updateMany(
+    { syncedAt: { $exists: false } },
+    [{ $set: { syncedAt: '$updatedAt' } }],
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to find a note the user owns or collaborates on
+noteSchema.statics.findAccessible = function(noteId, userId) {
+  return this.findOne({
+    _id: noteId,
+    deletedAt: null,
+    $or: [
+      { userId },
+      { 'collaborators.userId': userId }
+    ]
+  });
+};
+
+// Static method to find notes other users have shared with the user
+noteSchema.statics.findSharedWith = function(userId, options = {}) {
+  const { limit = 50, skip = 0 } = options;
+  
+  return this.find({ 'collaborators.userId': userId, deletedAt: null })
+    .populate('userId', 'firstName lastName email')
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .skip(skip);
+};
+
+// Static method to build the filter for a user's notes, shared by listing and counting.
+// filters are extra conditions, such as those compiled from a search query.
+noteSchema.statics.buildUserNotesQuery = function(userId, options = {}) {
   const {
     category,
+    tags,
+    tagMode = 'all',
     isPinned,
     isArchived = false,
     search,
-    limit = 50,
-    skip = 0,
-    sortBy = 'updatedAt',
-    sortOrder = -1
+    filters = []
   } = options;
   
-  let query = { userId, isArchived };
+  const query = { userId, isArchived, deletedAt: null };
   
   if (category) query.category = category;
+  if (tags && tags.length > 0) query.tags = { [tagMode === 'any' ? '$in' : '$all']: tags };
   if (typeof isPinned === 'boolean') query.isPinned = isPinned;
   if (search) {
     query.$text = { $search: search };
   }
+  if (filters.length > 0) query.$and = filters;
   
-  return this.find(query)
-    .sort({ [sortBy]: sortOrder })
+  return query;
+};
+
+// Static method to find user's notes
+noteSchema.statics.findUserNotes = function(userId, options = {}) {
+  const {
+    pinnedFirst = false,
+    search,
+    limit = 50,
+    skip = 0,
+    sortBy = 'updatedAt',
+    sortOrder = -1
+  } = options;
+  
+  // Searches can be ordered by $text relevance; _id keeps pages stable when sort keys tie
+  const sort = search && sortBy === 'relevance'
+    ? { score: { $meta: 'textScore' }, updatedAt: -1, _id: -1 }
+    : {
+      ...(pinnedFirst && { isPinned: -1 }),
+      [sortBy === 'relevance' ? 'updatedAt' : sortBy]: sortOrder,
+      _id: sortOrder
+    };
+  
+  return this.find(this.buildUserNotesQuery(userId, options), search ? { score: { $meta: 'textScore' } } : undefined)
+    .sort(sort)
     .limit(limit)
     .skip(skip);
 };
 
-// Static method to get user's note statistics
-noteSchema.statics.getUserStats = function(userId) {
+// Static method to list the tags on a user's notes with usage counts, most used first
+noteSchema.statics.getUserTags = function(userId) {
   return this.aggregate([
-    { $match: { userId: mongoose.Types.ObjectId(userId), isArchived: false } },
-    {
-      $group: {
-        _id: null,
-        totalNotes: { $sum: 1 },
-        pinnedNotes: {
-          $sum: { $cond: [{ $eq: ['$isPinned', true] }, 1, 0] }
-        },
-        categoryCounts: {
-          $push: '$category'
-        }
-      }
-    },
-    {
-      $project: {
-        _id: 0,
-        totalNotes: 1,
-        pinnedNotes: 1,
-        categories: {
-          personal: {
-            $size: {
-              $filter: {
-                input: '$categoryCounts',
-                cond: { $eq: ['$$this', 'personal'] }
-              }
-            }
-          },
-          work: {
-            $size: {
-              $filter: {
-                input: '$categoryCounts',
-                cond: { $eq: ['$$this', 'work'] }
-              }
-            }
-          },
-          creative: {
-            $size: {
-              $filter: {
-                input: '$categoryCounts',
-                cond: { $eq: ['$$this', 'creative'] }
-              }
-            }
-          },
-          study: {
-            $size: {
-              $filter: {
-                input: '$categoryCounts',
-                cond: { $eq: ['$$this', 'study'] }
-              }
-            }
+    { $match: { userId: new mongoose.Types.ObjectId(userId), deletedAt: null } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, name: '$_id', count: 1 } }
+  ]);
+};
+
+// Static method to rename a tag on all of a user's notes. Renaming to a tag a
+// note already has merges the two, so tags stay unique per note.
+noteSchema.statics.renameUserTag = async function(userId, from, to) {
+  const merged = await this.updateMany(
+    { userId, tags: { $all: [from, to] } },
+    { $pull: { tags: from }, $inc: { __v: 1 } }
+  );
+  const renamed = await this.updateMany(
+    { userId, tags: from },
+    { $set: { 'tags.$': to }, $inc: { __v: 1 } }
+  );
+  return merged.modifiedCount + renamed.modifiedCount;
+};
+
+// Static method to remove a tag from all of a user's notes
+noteSchema.statics.removeUserTag = async function(userId, tag) {
+  const result = await this.updateMany({ userId, tags: tag }, { $pull: { tags: tag }, $inc: { __v: 1 } });
+  return result.modifiedCount;
+};
+
+// Static method to get user's note statistics, with a count for every one
+// of the user's categories (including empty ones)
+noteSchema.statics.getUserStats = async function(userId) {
+  const [categoryCounts, categories] = await Promise.all([
+    this.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), isArchived: false, deletedAt: null } },
+      {
+        $group: {
+          _id: '$category',
+          count: { $sum: 1 },
+          pinned: {
+            $sum: { $cond: [{ $eq: ['$isPinned', true] }, 1, 0] }
           }
         }
       }
-    }
+    ]),
+    mongoose.model('Category').findUserCategories(userId)
   ]);
+  
+  const stats = {
+    totalNotes: 0,
+    pinnedNotes: 0,
+    categories: Object.fromEntries(categories.map(category => [category.name, 0]))
+  };
+  
+  categoryCounts.forEach(({ _id, count, pinned }) => {
+    stats.totalNotes += count;
+    stats.pinnedNotes += pinned;
+    stats.categories[_id] = count;
+  });
+  
+  return stats;
 };
 
+noteSchema.statics.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
+
 module.exports = mongoose.model('Note', noteSchema);
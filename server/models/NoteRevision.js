@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Note fields captured in each revision snapshot
+const REVISION_FIELDS = ['title', 'content', 'category', 'tags', 'color'];
+
+const noteRevisionSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  category: {
+    type: String
+  },
+  tags: [{
+    type: String
+  }],
+  color: {
+    type: String
+  },
+  changedFields: [{
+    type: String,
+    enum: REVISION_FIELDS
+  }],
+  restoredFrom: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Revision numbers are sequential per note
+noteRevisionSchema.index({ noteId: 1, revision: -1 }, { unique: true });
+
+// Static method to extract the versioned fields from a note
+noteRevisionSchema.statics.snapshot = function(note) {
+  return REVISION_FIELDS.reduce((snapshot, field) => {
+    const value = note[field];
+    snapshot[field] = Array.isArray(value) ? [...value] : value;
+    return snapshot;
+  }, {});
+};
+
+// Static method to list the fields that differ between two snapshots
+noteRevisionSchema.statics.changedFieldsBetween = function(before, after) {
+  return REVISION_FIELDS.filter(field =>
+    JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+};
+
+// Static method to record the current state of a note as a new revision
+noteRevisionSchema.statics.record = async function(note, editedBy, changedFields, options = {}) {
+  const latest = await this.findOne({ noteId: note._id })
+    .sort({ revision: -1 })
+    .select('revision');
+
+  return this.create({
+    ...this.snapshot(note),
+    noteId: note._id,
+    revision: latest ? latest.revision + 1 : 1,
+    editedBy,
+    changedFields,
+    restoredFrom: options.restoredFrom,
+    createdAt: options.createdAt || Date.now()
+  });
+};
+
+// Static method to record the current state of a note as revision 1
+// if it predates revision history, so the first edit is not lost
+noteRevisionSchema.statics.ensureBaseline = async function(note) {
+  const exists = await this.exists({ noteId: note._id });
+  if (exists) return null;
+
+  return this.record(note, note.userId, [], { createdAt: note.updatedAt });
+};
+
+// Static method to apply changes to a note, save it and record a revision
+// if any versioned field changed. Returns the changed fields.
+noteRevisionSchema.statics.trackChanges = async function(note, editedBy, applyChanges) {
+  await this.ensureBaseline(note);
+  const before = this.snapshot(note);
+
+  applyChanges(note);
+  await note.save();
+
+  const changedFields = this.changedFieldsBetween(before, this.snapshot(note));
+  if (changedFields.length > 0) {
+    await this.record(note, editedBy, changedFields);
+  }
+  return changedFields;
+};
+
+noteRevisionSchema.statics.REVISION_FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('NoteRevision', noteRevisionSchema);
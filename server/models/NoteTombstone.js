@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records a permanently deleted note, so delta sync (GET /api/notes/changes)
+// can tell clients to drop their copy. Kept for SYNC_TOMBSTONE_RETENTION_DAYS.
+const noteTombstoneSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Delta sync reads a user's tombstones in deletion order
+noteTombstoneSchema.index({ userId: 1, deletedAt: 1, _id: 1 });
+// Let MongoDB remove tombstones once they are no longer needed
+noteTombstoneSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get how long permanent deletions are remembered for sync
+noteTombstoneSchema.statics.getRetentionDays = function() {
+  return parseInt(process.env.SYNC_TOMBSTONE_RETENTION_DAYS || '90');
+};
+
+// Static method to get the oldest point clients can still sync from
+noteTombstoneSchema.statics.getRetentionStart = function() {
+  return new Date(Date.now() - this.getRetentionDays() * DAY_MS);
+};
+
+// Static method to record that notes were permanently deleted
+noteTombstoneSchema.statics.record = function(notes) {
+  if (notes.length === 0) return Promise.resolve([]);
+
+  const deletedAt = new Date();
+  const expiresAt = new Date(deletedAt.getTime() + this.getRetentionDays() * DAY_MS);
+  return this.insertMany(notes.map(note => ({
+    noteId: note._id,
+    userId: note.userId,
+    deletedAt,
+    expiresAt
+  })));
+};
+
+// Static method to find a user's tombstones after a sync cursor, up to until
+noteTombstoneSchema.statics.findSince = function(userId, cursor, until, limit) {
+  const query = { userId, deletedAt: { $lte: until } };
+  if (cursor) {
+    query.$or = [
+      { deletedAt: { $gt: cursor.time } },
+      { deletedAt: cursor.time, _id: { $gt: cursor.id } }
+    ];
+  }
+
+  return this.find(query)
+    .sort({ deletedAt: 1, _id: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('NoteTombstone', noteTombstoneSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['reminder'];
+
+// In-app notifications, shown in the client's notification list and pushed
+// over the live event stream. Removed after NOTIFICATION_RETENTION_DAYS.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note'
+  },
+  reminderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder'
+  },
+  // The note's title when the notification was sent
+  title: {
+    type: String,
+    default: ''
+  },
+  // When the reminder was due, and whether this is a repeat after a snooze
+  dueAt: {
+    type: Date
+  },
+  snoozed: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ reminderId: 1 });
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: parseInt(process.env.NOTIFICATION_RETENTION_DAYS || '30') * 24 * 60 * 60 }
+);
+
+// Static method to find a user's most recent notifications
+notificationSchema.statics.findRecent = function(userId, limit = 50) {
+  return this.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+// Static method to mark a user's notifications as read (all of them, or those matching `filter`)
+notificationSchema.statics.markRead = function(userId, filter = {}) {
+  return this.updateMany({ ...filter, userId, readAt: null }, { $set: { readAt: new Date() } });
+};
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
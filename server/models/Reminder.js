@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { nextOccurrence } = require('../utils/recurrence');
+
+const MAX_REMINDERS_PER_NOTE = 20;
+const STATUSES = ['scheduled', 'fired', 'dismissed'];
+
+// A reminder a user set on a note they can see. One-off reminders go off once
+// at startAt; recurring ones follow `rule` (see utils/recurrence.js) until it
+// ends. Reminders are personal: collaborators each keep their own.
+//
+// - scheduled: dueAt is still to come
+// - fired: the last occurrence went off and has not been dismissed yet
+// - dismissed: done; kept so it still shows up under "dismissed"
+const reminderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  // First occurrence; recurring reminders are calculated from it
+  startAt: {
+    type: Date,
+    required: [true, 'Reminder time is required']
+  },
+  rule: {
+    type: String,
+    default: null
+  },
+  // IANA time zone the rule's wall-clock times are in
+  timeZone: {
+    type: String,
+    default: 'UTC'
+  },
+  // The occurrence to come, or the last one once nothing is left to come
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  // The occurrence that went off and has not been dismissed, which snoozing repeats
+  lastDueAt: {
+    type: Date,
+    default: null
+  },
+  lastFiredAt: {
+    type: Date,
+    default: null
+  },
+  snoozedUntil: {
+    type: Date,
+    default: null
+  },
+  // When the scheduler next has something to deliver (the next occurrence or
+  // the end of a snooze); null when nothing is waiting. Kept up to date on save.
+  remindAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'scheduled'
+  },
+  // Also send the reminder by email, besides the in-app notification
+  notifyByEmail: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  // Two scheduler runs (or a run and a snooze) must not both deliver a reminder
+  optimisticConcurrency: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.remindAt;
+      return ret;
+    }
+  }
+});
+
+reminderSchema.index({ remindAt: 1 });
+reminderSchema.index({ userId: 1, status: 1, dueAt: 1 });
+reminderSchema.index({ noteId: 1 });
+
+reminderSchema.pre('save', function(next) {
+  const times = [this.status === 'scheduled' ? this.dueAt : null, this.snoozedUntil].filter(Boolean);
+  this.remindAt = times.length > 0 ? new Date(Math.min(...times)) : null;
+  next();
+});
+
+// Start (or start over) from startAt, rule and timeZone. Returns false when
+// the schedule has no occurrence after `now`.
+reminderSchema.methods.schedule = function(now = new Date()) {
+  const dueAt = nextOccurrence(this, now);
+  if (!dueAt) return false;
+
+  this.dueAt = dueAt;
+  this.status = 'scheduled';
+  this.lastDueAt = null;
+  this.lastFiredAt = null;
+  this.snoozedUntil = null;
+  return true;
+};
+
+// Record that the reminder went off at `now` and move on to the next
+// occurrence. Returns what to deliver: { dueAt, snoozed }.
+reminderSchema.methods.fire = function(now = new Date()) {
+  let delivered;
+
+  if (this.status === 'scheduled' && this.dueAt <= now) {
+    delivered = { dueAt: this.dueAt, snoozed: false };
+    this.lastDueAt = this.dueAt;
+    // Occurrences missed while the server was down are not caught up on
+    const next = this.rule ? nextOccurrence(this, now) : null;
+    if (next) {
+      this.dueAt = next;
+    } else {
+      this.status = 'fired';
+    }
+  } else {
+    delivered = { dueAt: this.lastDueAt, snoozed: true };
+  }
+
+  this.snoozedUntil = null;
+  this.lastFiredAt = now;
+  return delivered;
+};
+
+// Whether an occurrence went off and can be snoozed
+reminderSchema.methods.canSnooze = function() {
+  return Boolean(this.lastDueAt) && this.status !== 'dismissed';
+};
+
+reminderSchema.methods.snooze = function(until) {
+  this.snoozedUntil = until;
+};
+
+// Done with the occurrence that went off: one-off reminders (and recurring
+// ones with nothing left to come) are finished, others keep going
+reminderSchema.methods.dismiss = function() {
+  this.snoozedUntil = null;
+  if (!this.rule || this.status === 'fired') {
+    this.status = 'dismissed';
+  } else {
+    this.lastDueAt = null;
+  }
+};
+
+// Static method to find reminders with something to deliver
+reminderSchema.statics.findDue = function(now, limit) {
+  return this.find({ remindAt: { $ne: null, $lte: now } })
+    .sort({ remindAt: 1 })
+    .limit(limit);
+};
+
+// Static method to list a user's reminders by due time, with their notes' titles
+reminderSchema.statics.findUserReminders = function(userId, { noteId, status } = {}) {
+  const query = { userId };
+  if (noteId) query.noteId = noteId;
+  query.status = status ? status : { $ne: 'dismissed' };
+
+  return this.find(query)
+    .sort({ dueAt: status === 'dismissed' ? -1 : 1 })
+    .populate('noteId', 'title type deletedAt');
+};
+
+reminderSchema.statics.MAX_REMINDERS_PER_NOTE = MAX_REMINDERS_PER_NOTE;
+reminderSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const MAX_SAVED_SEARCHES = 50;
+
+// Saved search names are unique per user, ignoring case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // A search box query, see utils/searchQuery.js
+  query: {
+    type: String,
+    required: [true, 'Query is required'],
+    trim: true,
+    maxlength: [200, 'Query cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+savedSearchSchema.index({ userId: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// Static method to list a user's saved searches alphabetically
+savedSearchSchema.statics.findUserSearches = function(userId) {
+  return this.find({ userId }).collation(NAME_COLLATION).sort({ name: 1 });
+};
+
+// Static method to find a user's saved search by name, ignoring case
+savedSearchSchema.statics.findByName = function(userId, name) {
+  return this.findOne({ userId, name: name.trim() }).collation(NAME_COLLATION);
+};
+
+savedSearchSchema.statics.MAX_SAVED_SEARCHES = MAX_SAVED_SEARCHES;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
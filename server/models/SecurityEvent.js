@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['account_locked'];
+
+// Security-relevant things that happened to an account, kept for the user
+// and for support to review. Removed after SECURITY_EVENT_RETENTION_DAYS.
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS || '90') * 24 * 60 * 60 }
+);
+
+// Static method to record an event for a user
+securityEventSchema.statics.record = function(userId, type, { ip = '', userAgent = '', details = {} } = {}) {
+  return this.create({
+    userId,
+    type,
+    ip,
+    userAgent: userAgent.slice(0, 300),
+    details
+  });
+};
+
+// Static method to find a user's most recent events
+securityEventSchema.statics.findRecent = function(userId, limit = 20) {
+  return this.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+securityEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
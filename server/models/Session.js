@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// How long a rotated refresh token is still accepted, so tabs and requests
+// that refreshed at the same time as another one are not taken for a replay
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// A signed-in device. The refresh token is rotated on every refresh; only
+// hashes are stored so a database leak does not expose usable tokens.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token this one replaced; seeing it again after the grace
+  // period means a stolen token was replayed
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.refreshTokenHash;
+      delete ret.previousTokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ userId: 1, lastSeenAt: -1 });
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get how long a session lasts without being refreshed
+sessionSchema.statics.getLifetimeMs = function() {
+  return parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30') * 24 * 60 * 60 * 1000;
+};
+
+// Static method to start a session for a user; returns the session and its refresh token
+sessionSchema.statics.start = async function(userId, { userAgent = '', ip = '' } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const session = await this.create({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: userAgent.slice(0, 300),
+    ip,
+    expiresAt: new Date(Date.now() + this.getLifetimeMs())
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to find the session a refresh token belongs to. The token it
+// replaced is still accepted for a few seconds after a rotation (check with
+// hasRefreshToken); replaying it later revokes the session, logging out
+// whoever stole it.
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await this.findOne({ refreshTokenHash: tokenHash })
+    .select('+refreshTokenHash +previousTokenHash');
+  if (session) return session;
+
+  const replayed = await this.findOne({ previousTokenHash: tokenHash, revokedAt: null })
+    .select('+refreshTokenHash +previousTokenHash');
+  if (replayed) {
+    if (replayed.rotatedAt && Date.now() - replayed.rotatedAt.getTime() <= ROTATION_GRACE_MS) {
+      return replayed;
+    }
+    await replayed.revoke();
+  }
+  return null;
+};
+
+// Static method to find a user's active sessions, most recently used first
+sessionSchema.statics.findActive = function(userId) {
+  return this.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAll = async function(userId, exceptSessionId = null) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await this.updateMany(query, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+};
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to check whether a refresh token is the session's current
+// one, rather than the one it replaced
+sessionSchema.methods.hasRefreshToken = function(refreshToken) {
+  return hashToken(refreshToken) === this.refreshTokenHash;
+};
+
+// Instance method to replace the refresh token; returns the new token, or null
+// when another request rotated it first
+sessionSchema.methods.rotate = async function({ userAgent, ip } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const now = new Date();
+
+  const changes = {
+    previousTokenHash: this.refreshTokenHash,
+    refreshTokenHash: hashToken(refreshToken),
+    rotatedAt: now,
+    lastSeenAt: now,
+    expiresAt: new Date(now.getTime() + this.constructor.getLifetimeMs())
+  };
+  if (userAgent !== undefined) changes.userAgent = userAgent.slice(0, 300);
+  if (ip !== undefined) changes.ip = ip;
+
+  // Only rotate the token this request saw, so two refreshes racing each
+  // other cannot both hand out a token
+  const result = await this.constructor.updateOne(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+    { $set: changes }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  this.set(changes);
+  return refreshToken;
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = async function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const shareLinkSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  password: {
+    type: String,
+    select: false // Don't include password hash in queries by default
+  },
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.password;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+shareLinkSchema.index({ noteId: 1, createdAt: -1 });
+
+// Hash password before saving
+shareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.hasPassword = Boolean(this.password);
+    if (this.password) {
+      const salt = await bcrypt.genSalt(12);
+      this.password = await bcrypt.hash(this.password, salt);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to check the link password
+shareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.hasPassword) return true;
+  if (!candidatePassword) return false;
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to check whether the link has expired
+shareLinkSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt) && this.expiresAt.getTime() <= Date.now();
+};
+
+// Static method to generate an unguessable link token
+shareLinkSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('base64url');
+};
+
+// Static method to build the public URL for a token
+shareLinkSchema.statics.buildUrl = function(token) {
+  return `${process.env.CLIENT_URL || 'http://localhost:5173'}/shared/${token}`;
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Failed logins allowed before each further attempt is delayed, and the
+// longest delay before the account is locked outright
+const FREE_LOGIN_ATTEMPTS = 3;
+const MAX_LOGIN_DELAY_SECONDS = 60;
+
+const getMaxLoginAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS || '10');
+const getLockMs = () => parseInt(process.env.LOGIN_LOCK_MINUTES || '15') * 60 * 1000;
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -27,6 +43,20 @@ const userSchema = new mongoose.Schema({
       'Please provide a valid email address'
     ]
   },
+  // Accounts created before email verification existed have no value here
+  // and count as verified; new accounts start out false
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // New address waiting for confirmation; `email` changes once it is verified
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -37,9 +67,71 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when the user deactivates their account. Until deletionScheduledFor
+  // they can reactivate it by logging in; after that it is deleted for good.
+  deactivatedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
+  },
   lastLogin: {
     type: Date
   },
+  // Brute-force protection; reset by a successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication. The secret is only used once
+  // `enabled` is set; until then enrollment is waiting for a first code.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -53,6 +145,17 @@ const userSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      delete ret.failedLoginAttempts;
+      delete ret.lastFailedLoginAt;
+      delete ret.lockUntil;
+      if (ret.twoFactor) {
+        ret.twoFactor = {
+          enabled: ret.twoFactor.enabled,
+          enabledAt: ret.twoFactor.enabledAt
+        };
+      }
       delete ret.__v;
       return ret;
     }
@@ -61,6 +164,7 @@ const userSchema = new mongoose.Schema({
 
 // Index for better query performance
 userSchema.index({ email: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -88,14 +192,232 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to deactivate the account, scheduling its deletion
+userSchema.methods.deactivate = function() {
+  const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+
+  this.isActive = false;
+  this.deactivatedAt = new Date();
+  this.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+};
+
+// Instance method to check whether the user can still reactivate the account.
+// Accounts deactivated without a deletion date can only be restored by support.
+userSchema.methods.canReactivate = function() {
+  return !this.isActive && !!this.deletionScheduledFor && this.deletionScheduledFor > new Date();
+};
+
+// Instance method to undo a deactivation
+userSchema.methods.reactivate = function() {
+  this.isActive = true;
+  this.deactivatedAt = undefined;
+  this.deletionScheduledFor = undefined;
+};
+
+// Instance method to check whether the account's email address is confirmed
+userSchema.methods.hasVerifiedEmail = function() {
+  return this.emailVerified !== false;
+};
+
+// Instance method to apply a verified address: confirms the current email or
+// completes a pending change. Returns false if the address no longer applies.
+userSchema.methods.confirmEmail = function(email) {
+  if (this.pendingEmail && email === this.pendingEmail) {
+    this.email = this.pendingEmail;
+    this.pendingEmail = undefined;
+  } else if (email !== this.email) {
+    return false;
+  }
+
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  return true;
+};
+
+// Instance method to check if password was changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Instance method to create a single-use password reset token.
+// Only a hash is stored; the raw token is returned to be emailed.
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '60');
+  
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  
+  return resetToken;
+};
+
+// Instance method to check whether a login may be attempted now. Needs the
+// document loaded with +failedLoginAttempts +lastFailedLoginAt +lockUntil.
+// Returns null, or { locked, retryAfter } with retryAfter in seconds.
+userSchema.methods.getLoginThrottle = function(now = Date.now()) {
+  if (this.lockUntil && this.lockUntil.getTime() > now) {
+    return { locked: true, retryAfter: Math.ceil((this.lockUntil.getTime() - now) / 1000) };
+  }
+
+  const attempts = this.failedLoginAttempts || 0;
+  if (attempts < FREE_LOGIN_ATTEMPTS || !this.lastFailedLoginAt) return null;
+
+  // Each failure past the free ones doubles the wait before the next try
+  const delaySeconds = Math.min(2 ** (attempts - FREE_LOGIN_ATTEMPTS), MAX_LOGIN_DELAY_SECONDS);
+  const waitUntil = this.lastFailedLoginAt.getTime() + delaySeconds * 1000;
+  if (waitUntil > now) {
+    return { locked: false, retryAfter: Math.ceil((waitUntil - now) / 1000) };
+  }
+  return null;
+};
+
+// Instance method to start two-factor enrollment; returns the new secret.
+// Needs the document loaded with +twoFactor.pendingSecret.
+userSchema.methods.startTwoFactorSetup = function() {
+  this.twoFactor.pendingSecret = totp.generateSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Instance method to finish enrollment once the first code checks out
+userSchema.methods.enableTwoFactor = function(code) {
+  const { pendingSecret } = this.twoFactor;
+  const step = pendingSecret ? totp.verifyCode(pendingSecret, code) : null;
+  if (step === null) return false;
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabledAt = new Date();
+  return true;
+};
+
+// Instance method to turn two-factor authentication off
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = { enabled: false };
+};
+
+// Instance method to replace the recovery codes. Only hashes are stored;
+// the raw codes are returned to be shown once.
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Instance method to check an authenticator code or, failing that, use up a
+// recovery code. Needs the document loaded with the +twoFactor.* secrets.
+// Returns 'totp', 'recovery' or null.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor?.enabled || !code) return null;
+
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  if (step !== null && step > (this.twoFactor.lastUsedStep ?? -1)) {
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = hashRecoveryCode(String(code));
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+  if (index !== -1) {
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
 // Instance method to get full name
 userSchema.methods.getFullName = function() {
   return `${this.firstName} ${this.lastName}`;
 };
 
+// Static method to find a user with their two-factor secrets loaded
+userSchema.statics.findWithTwoFactor = function(id) {
+  return this.findById(id).select(
+    '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+  );
+};
+
+// Static method to find deactivated accounts whose grace period has ended
+userSchema.statics.findDueForDeletion = function() {
+  return this.find({
+    isActive: false,
+    deletionScheduledFor: { $lte: new Date() }
+  }).select('_id');
+};
+
+// Static method to find a user by email with the login throttle fields loaded
+userSchema.statics.findForLogin = function(email) {
+  return this.findByEmail(email).select('+password +failedLoginAttempts +lastFailedLoginAt +lockUntil');
+};
+
+// Static method to count a failed login. Uses atomic updates so parallel
+// guesses cannot lose increments. Returns { attempts, lockUntil, justLocked }.
+userSchema.statics.registerFailedLogin = async function(userId) {
+  const now = new Date();
+
+  // Old failures and expired locks no longer count
+  await this.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { lastFailedLoginAt: { $lt: new Date(now.getTime() - getLockMs()) } },
+        { lockUntil: { $lte: now } }
+      ]
+    },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+  const user = await this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  ).select('+failedLoginAttempts +lockUntil');
+
+  if (user.failedLoginAttempts < getMaxLoginAttempts()) {
+    return { attempts: user.failedLoginAttempts, lockUntil: null, justLocked: false };
+  }
+
+  // Only the request that actually sets the lock reports it
+  const lockUntil = new Date(now.getTime() + getLockMs());
+  const result = await this.updateOne(
+    { _id: userId, lockUntil: { $exists: false } },
+    { $set: { lockUntil } }
+  );
+
+  return {
+    attempts: user.failedLoginAttempts,
+    lockUntil: result.modifiedCount ? lockUntil : user.lockUntil,
+    justLocked: result.modifiedCount > 0
+  };
+};
+
+// Static method to clear failed login tracking after a successful login
+userSchema.statics.resetFailedLogins = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  });
+};
+
 module.exports = mongoose.model('User', userSchema);
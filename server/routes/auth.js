@@ -2,7 +2,16 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
 const handleValidationErrors = require('../middleware/validation');
+const { authLimiter } = require('../middleware/rateLimit');
+const { sendMail } = require('../utils/mailer');
+const {
+  getPolicy: getEmailVerificationPolicy,
+  readVerificationToken,
+  sendVerificationEmail
+} = require('../utils/emailVerification');
 
 const router = express.Router();
 
@@ -37,19 +46,149 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
-// Helper function to generate JWT token
-const generateToken = (userId) => {
+const reactivateValidation = [
+  ...loginValidation,
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Invalid authentication code')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isJWT()
+    .withMessage('Invalid verification link')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isJWT()
+    .withMessage('Invalid sign-in challenge'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid password reset token'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Password confirmation does not match password');
+      }
+      return true;
+    })
+];
+
+// Refresh tokens live in an httpOnly cookie that is only sent to /api/auth
+const REFRESH_COOKIE = 'keepnotes_refresh';
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'strict',
+  path: '/api/auth'
+});
+
+// Helper function to generate a short-lived JWT access token for a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
   );
 };
 
+// Helper function to generate the short-lived token that stands in for a
+// login until the second factor is checked. It has no session, so the auth
+// middleware never accepts it as an access token.
+const generateChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, purpose: 'two-factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+};
+
+// Helper function to turn away a login attempt on a locked or cooling-down account
+const sendLoginThrottled = (res, { locked, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+  
+  if (locked) {
+    return res.status(423).json({
+      error: 'Account locked',
+      message: `Too many failed login attempts. Your account is locked for ${Math.ceil(retryAfter / 60)} more minute(s).`,
+      retryAfter
+    });
+  }
+  
+  return res.status(429).json({
+    error: 'Too many attempts',
+    message: `Too many failed login attempts. Please wait ${retryAfter} second(s) before trying again.`,
+    retryAfter
+  });
+};
+
+// Helper function to count a failed password or code; answers 423 if that
+// attempt locked the account, otherwise returns false so the caller can
+// answer with its usual error
+const handleFailedLogin = async (user, req, res) => {
+  const { lockUntil, justLocked, attempts } = await User.registerFailedLogin(user._id);
+  
+  if (!lockUntil) return false;
+  
+  if (justLocked) {
+    await SecurityEvent.record(user._id, 'account_locked', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || '',
+      details: { failedAttempts: attempts, lockUntil }
+    });
+  }
+  
+  sendLoginThrottled(res, {
+    locked: true,
+    retryAfter: Math.ceil((lockUntil.getTime() - Date.now()) / 1000)
+  });
+  return true;
+};
+
+// Helper function to set the refresh token cookie
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: Session.getLifetimeMs()
+  });
+};
+
+// Helper function to remove the refresh token cookie
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+// Helper function to start a session for the request's device; returns an access token
+const startSession = async (user, req, res) => {
+  const { session, refreshToken } = await Session.start(user._id, {
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip
+  });
+  setRefreshCookie(res, refreshToken);
+  return generateToken(user._id, session._id);
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', registerValidation, handleValidationErrors, async (req, res) => {
+router.post('/register', authLimiter, registerValidation, handleValidationErrors, async (req, res) => {
   try {
     const { firstName, lastName, email, password } = req.body;
     
@@ -67,13 +206,36 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
       firstName: firstName.trim(),
       lastName: lastName.trim(),
       email: email.toLowerCase().trim(),
+      emailVerified: false,
       password
     });
     
     await user.save();
     
-    // Generate token
-    const token = generateToken(user._id);
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+    
+    // Under the "block" policy the account is usable only once verified
+    if (getEmailVerificationPolicy() === 'block') {
+      return res.status(201).json({
+        message: 'Account created. Check your email to verify your address, then login.',
+        emailVerificationRequired: true,
+        user: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          emailVerified: false,
+          createdAt: user.createdAt
+        }
+      });
+    }
+    
+    // Start a session and generate token
+    const token = await startSession(user, req, res);
     
     // Update last login
     user.lastLogin = new Date();
@@ -87,6 +249,7 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        emailVerified: user.hasVerifiedEmail(),
         fullName: user.getFullName(),
         createdAt: user.createdAt
       }
@@ -104,12 +267,12 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', loginValidation, handleValidationErrors, async (req, res) => {
+router.post('/login', authLimiter, loginValidation, handleValidationErrors, async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    // Find user and include password for comparison
-    const user = await User.findByEmail(email).select('+password');
+    // Find user and include password and failed attempts for comparison
+    const user = await User.findForLogin(email);
     
     if (!user) {
       return res.status(400).json({
@@ -118,30 +281,66 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
       });
     }
     
-    // Check if user account is active
-    if (!user.isActive) {
+    // Check if user account is active (or can still be reactivated by its owner)
+    if (!user.isActive && !user.canReactivate()) {
       return res.status(400).json({
         error: 'Account deactivated',
         message: 'Your account has been deactivated. Please contact support.'
       });
     }
     
+    // Locked accounts and rapid retries are refused before checking the password
+    const throttle = user.getLoginThrottle();
+    if (throttle) {
+      return sendLoginThrottled(res, throttle);
+    }
+    
     // Check password
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
+      if (await handleFailedLogin(user, req, res)) return;
       return res.status(400).json({
         error: 'Invalid credentials',
         message: 'Invalid email or password.'
       });
     }
     
+    // Deactivated accounts in their grace period are offered reactivation
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: 'Account deactivated',
+        message: `Your account is deactivated and will be permanently deleted on ${user.deletionScheduledFor.toDateString()}. Reactivate it to continue.`,
+        reactivationAvailable: true,
+        deletionScheduledFor: user.deletionScheduledFor,
+        twoFactorRequired: !!user.twoFactor?.enabled
+      });
+    }
+    
+    if (getEmailVerificationPolicy() === 'block' && !user.hasVerifiedEmail()) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Please verify your email address before logging in. Check your inbox for the link.',
+        emailVerificationRequired: true
+      });
+    }
+    
+    // Accounts with two-factor authentication finish signing in at /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+    
     // Update last login
     user.lastLogin = new Date();
     await user.save();
+    await User.resetFailedLogins(user._id);
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and generate token
+    const token = await startSession(user, req, res);
     
     res.json({
       message: 'Login successful',
@@ -151,6 +350,7 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        emailVerified: user.hasVerifiedEmail(),
         fullName: user.getFullName(),
         lastLogin: user.lastLogin
       }
@@ -165,10 +365,366 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Finish logging in with an authenticator or recovery code
+// @access  Public (challenge token from /login)
+router.post('/login/2fa', authLimiter, twoFactorLoginValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch {
+      decoded = null;
+    }
+    
+    if (!decoded || decoded.purpose !== 'two-factor') {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your sign-in attempt has expired. Please login again.'
+      });
+    }
+    
+    const user = await User.findWithTwoFactor(decoded.userId)
+      .select('+failedLoginAttempts +lastFailedLoginAt +lockUntil');
+    
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Your sign-in attempt has expired. Please login again.'
+      });
+    }
+    
+    // Codes are guessed as easily as passwords; they share the same limits
+    const throttle = user.getLoginThrottle();
+    if (throttle) {
+      return sendLoginThrottled(res, throttle);
+    }
+    
+    const method = user.verifyTwoFactorCode(code);
+    
+    if (!method) {
+      if (await handleFailedLogin(user, req, res)) return;
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect.'
+      });
+    }
+    
+    // Update last login (and record the used code)
+    user.lastLogin = new Date();
+    await user.save();
+    await User.resetFailedLogins(user._id);
+    
+    // Start a session and generate token
+    const token = await startSession(user, req, res);
+    
+    res.json({
+      message: 'Login successful',
+      token,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      usedRecoveryCode: method === 'recovery',
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        emailVerified: user.hasVerifiedEmail(),
+        fullName: user.getFullName(),
+        lastLogin: user.lastLogin
+      }
+    });
+    
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Unable to login. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/reactivate
+// @desc    Reactivate a deactivated account during its grace period and login
+// @access  Public
+router.post('/reactivate', authLimiter, reactivateValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { email, password, code } = req.body;
+    
+    const user = await User.findForLogin(email)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid credentials',
+        message: 'Invalid email or password.'
+      });
+    }
+    
+    const throttle = user.getLoginThrottle();
+    if (throttle) {
+      return sendLoginThrottled(res, throttle);
+    }
+    
+    if (!(await user.comparePassword(password))) {
+      if (await handleFailedLogin(user, req, res)) return;
+      return res.status(400).json({
+        error: 'Invalid credentials',
+        message: 'Invalid email or password.'
+      });
+    }
+    
+    if (user.isActive || !user.canReactivate()) {
+      return res.status(400).json({
+        error: 'Reactivation unavailable',
+        message: user.isActive
+          ? 'This account is already active. Please login.'
+          : 'This account can no longer be reactivated. Please contact support.'
+      });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      if (!code) {
+        return res.status(400).json({
+          error: 'Two-factor authentication required',
+          message: 'Enter a code from your authenticator app or a recovery code.',
+          twoFactorRequired: true
+        });
+      }
+      
+      if (!user.verifyTwoFactorCode(code)) {
+        if (await handleFailedLogin(user, req, res)) return;
+        return res.status(400).json({
+          error: 'Invalid code',
+          message: 'The authentication code is incorrect.',
+          twoFactorRequired: true
+        });
+      }
+    }
+    
+    user.reactivate();
+    user.lastLogin = new Date();
+    await user.save();
+    await User.resetFailedLogins(user._id);
+    
+    // Start a session and generate token
+    const token = await startSession(user, req, res);
+    
+    res.json({
+      message: 'Account reactivated successfully',
+      token,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        emailVerified: user.hasVerifiedEmail(),
+        fullName: user.getFullName(),
+        lastLogin: user.lastLogin
+      }
+    });
+    
+  } catch (error) {
+    console.error('Reactivate account error:', error);
+    res.status(500).json({
+      error: 'Reactivation failed',
+      message: 'Unable to reactivate account. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange the refresh token cookie for a new access token (rotates the refresh token)
+// @access  Public (refresh token cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE];
+    
+    if (!refreshToken) {
+      return res.status(401).json({
+        error: 'No refresh token',
+        message: 'Your session has expired. Please login again.'
+      });
+    }
+    
+    const session = await Session.findByRefreshToken(refreshToken);
+    
+    if (!session || !session.isActive()) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        error: 'Invalid session',
+        message: 'Your session has expired. Please login again.'
+      });
+    }
+    
+    const user = await User.findById(session.userId);
+    
+    if (!user || !user.isActive) {
+      await session.revoke();
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        error: 'Invalid session',
+        message: 'Your account is no longer active. Please contact support.'
+      });
+    }
+    
+    // A token rotated a moment ago by another tab or request only gets a new
+    // access token: the browser already holds the refresh token that replaced it
+    const newRefreshToken = session.hasRefreshToken(refreshToken) && await session.rotate({
+      userAgent: req.get('User-Agent') || '',
+      ip: req.ip
+    });
+    if (newRefreshToken) {
+      setRefreshCookie(res, newRefreshToken);
+    }
+    
+    res.json({
+      message: 'Token refreshed successfully',
+      token: generateToken(user._id, session._id),
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        emailVerified: user.hasVerifiedEmail(),
+        fullName: user.getFullName(),
+        lastLogin: user.lastLogin
+      }
+    });
+    
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Refresh failed',
+      message: 'Unable to refresh your session. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Public (refresh token cookie)
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE];
+    
+    if (refreshToken) {
+      const session = await Session.findByRefreshToken(refreshToken);
+      if (session && !session.revokedAt) {
+        await session.revoke();
+      }
+    }
+    
+    clearRefreshCookie(res);
+    res.json({
+      message: 'Logged out successfully'
+    });
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'Unable to logout. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address (or complete an email change) with a token from the verification email
+// @access  Public
+router.post('/verify-email', verifyEmailValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const verification = readVerificationToken(req.body.token);
+    const user = verification && await User.findById(verification.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        error: 'Invalid or expired token',
+        message: 'This verification link is invalid or has expired. Please request a new one.'
+      });
+    }
+    
+    // Following the link twice is fine
+    if (verification.email === user.email && user.hasVerifiedEmail()) {
+      return res.json({
+        message: 'Your email address is already verified.',
+        data: { id: user._id, email: user.email, emailVerified: true }
+      });
+    }
+    
+    // The address may have been taken while the change was pending
+    if (verification.email === user.pendingEmail) {
+      const existingUser = await User.findByEmail(verification.email);
+      if (existingUser) {
+        return res.status(400).json({
+          error: 'Email already exists',
+          message: 'An account with this email address already exists.'
+        });
+      }
+    }
+    
+    if (!user.confirmEmail(verification.email)) {
+      return res.status(400).json({
+        error: 'Invalid or expired token',
+        message: 'This verification link is no longer valid. Please request a new one.'
+      });
+    }
+    
+    await user.save();
+    
+    res.json({
+      message: 'Email address verified successfully.',
+      data: { id: user._id, email: user.email, emailVerified: true }
+    });
+    
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Verification failed',
+      message: 'Unable to verify email address. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send another verification email to an unverified account
+// @access  Public
+router.post('/resend-verification', authLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findByEmail(req.body.email);
+    
+    if (user && user.isActive && !user.hasVerifiedEmail()) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+    
+    // Always return success for security (don't reveal if email exists)
+    res.json({
+      message: 'If an unverified account with that email exists, a new verification link has been sent.'
+    });
+    
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Resend failed',
+      message: 'Unable to send verification email. Please try again.'
+    });
+  }
+});
+
 // @route   POST /api/auth/forgot-password
-// @desc    Request password reset (placeholder)
+// @desc    Request password reset email
 // @access  Public
-router.post('/forgot-password', [
+router.post('/forgot-password', authLimiter, [
   body('email')
     .isEmail()
     .normalizeEmail()
@@ -180,22 +736,37 @@ router.post('/forgot-password', [
     // Check if user exists
     const user = await User.findByEmail(email);
     
-    // Always return success for security (don't reveal if email exists)
+    // Always return success for security (don't reveal if email exists), and
+    // answer before doing anything for an existing account, so the time taken
+    // does not give it away either
     res.json({
       message: 'If an account with that email exists, a password reset link has been sent.'
     });
     
-    // TODO: Implement actual password reset email functionality
-    if (user) {
-      console.log(`Password reset requested for user: ${user.email}`);
-      // Here you would typically:
-      // 1. Generate a password reset token
-      // 2. Store it in the database with expiration
-      // 3. Send an email with the reset link
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+      
+      const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reset-password/${resetToken}`;
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '60');
+      
+      sendMail({
+        to: user.email,
+        subject: 'Reset your KeepNotes password',
+        text: `Hi ${user.firstName},\n\n` +
+          `We received a request to reset your KeepNotes password. ` +
+          `Open the link below to choose a new one:\n\n${resetUrl}\n\n` +
+          `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+          `If you did not request a reset, you can ignore this email.`
+      }).catch((mailError) => {
+        console.error('Password reset email error:', mailError);
+      });
     }
     
   } catch (error) {
     console.error('Password reset error:', error);
+    // Already answered when saving the reset token failed
+    if (res.headersSent) return;
     res.status(500).json({
       error: 'Password reset failed',
       message: 'Unable to process password reset request.'
@@ -203,4 +774,43 @@ router.post('/forgot-password', [
   }
 });
 
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a token from the reset email
+// @access  Public
+router.post('/reset-password', authLimiter, resetPasswordValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const user = await User.findByPasswordResetToken(token);
+    
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired token',
+        message: 'This password reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+    
+    // Tokens are single-use: clear them as the password is replaced
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordChangedAt = new Date();
+    await user.save();
+    
+    // Whoever knew the old password is signed out everywhere
+    await Session.revokeAll(user._id);
+    
+    res.json({
+      message: 'Password has been reset successfully. You can now login with your new password.'
+    });
+    
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: 'Unable to reset password. Please try again.'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Category = require('../models/Category');
+const Note = require('../models/Note');
+const auth = require('../middleware/auth');
+const handleValidationErrors = require('../middleware/validation');
+const { notifyNoteChange } = require('../utils/noteEvents');
+
+const router = express.Router();
+
+// Helper function to move a user's notes from one category to another,
+// letting their other tabs and devices know. Returns how many notes moved.
+const moveNotes = async (req, from, to) => {
+  const noteIds = await Note.find({ userId: req.user._id, category: from }).distinct('_id');
+  if (noteIds.length === 0) return 0;
+
+  const result = await Note.updateMany(
+    { _id: { $in: noteIds }, category: from },
+    { $set: { category: to }, $inc: { __v: 1 } }
+  );
+
+  const notes = await Note.find({ _id: { $in: noteIds }, deletedAt: null });
+  notes.forEach(note => notifyNoteChange(req, 'updated', note));
+
+  return result.modifiedCount;
+};
+
+// Validation rules
+const createCategoryValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category name must be between 1 and 30 characters'),
+  body('color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Color must be a valid hex color code'),
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 8 })
+    .withMessage('Icon cannot exceed 8 characters')
+];
+
+const updateCategoryValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category name must be between 1 and 30 characters'),
+  body('color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Color must be a valid hex color code'),
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 8 })
+    .withMessage('Icon cannot exceed 8 characters')
+];
+
+const deleteCategoryValidation = [
+  query('moveTo')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('moveTo must be a category name')
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid category ID format')
+];
+
+const categoryNotFound = (res) => res.status(404).json({
+  error: 'Category not found',
+  message: 'The requested category does not exist or you do not have access to it.'
+});
+
+const categoryExists = (res, name) => res.status(400).json({
+  error: 'Category already exists',
+  message: `You already have a category named "${name}".`
+});
+
+// @route   GET /api/categories
+// @desc    List the user's categories with their note counts
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const [categories, stats] = await Promise.all([
+      Category.findUserCategories(req.user._id),
+      Note.getUserStats(req.user._id)
+    ]);
+
+    res.json({
+      message: 'Categories retrieved successfully',
+      data: categories.map(category => ({
+        ...category.toJSON(),
+        noteCount: stats.categories[category.name] || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve categories',
+      message: 'Unable to fetch categories. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private
+router.post('/', auth, createCategoryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, color, icon } = req.body;
+
+    if (await Category.findByName(req.user._id, name)) {
+      return categoryExists(res, name);
+    }
+
+    const category = await Category.create({
+      userId: req.user._id,
+      name,
+      color,
+      icon
+    });
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      data: { ...category.toJSON(), noteCount: 0 }
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      error: 'Failed to create category',
+      message: 'Unable to create category. Please try again.'
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category; renaming it also renames it on the user's notes
+// @access  Private
+router.put('/:id', auth, idValidation, updateCategoryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, color, icon } = req.body;
+
+    const category = await Category.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!category) {
+      return categoryNotFound(res);
+    }
+
+    const previousName = category.name;
+
+    if (name !== undefined && name !== previousName) {
+      const existing = await Category.findByName(req.user._id, name);
+      if (existing && !existing._id.equals(category._id)) {
+        return categoryExists(res, name);
+      }
+      category.name = name;
+    }
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+
+    await category.save();
+
+    if (category.name !== previousName) {
+      await moveNotes(req, previousName, category.name);
+    }
+
+    res.json({
+      message: 'Category updated successfully',
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      error: 'Failed to update category',
+      message: 'Unable to update category. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category, moving its notes to ?moveTo= (default: the first remaining category)
+// @access  Private
+router.delete('/:id', auth, idValidation, deleteCategoryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!category) {
+      return categoryNotFound(res);
+    }
+
+    const remaining = (await Category.findUserCategories(req.user._id))
+      .filter(c => !c._id.equals(category._id));
+
+    if (remaining.length === 0) {
+      return res.status(400).json({
+        error: 'Last category',
+        message: 'You must keep at least one category.'
+      });
+    }
+
+    let target = remaining[0];
+    if (req.query.moveTo) {
+      target = remaining.find(c => c.name.toLowerCase() === req.query.moveTo.toLowerCase());
+      if (!target) {
+        return res.status(400).json({
+          error: 'Invalid category',
+          message: `Category "${req.query.moveTo}" does not exist.`
+        });
+      }
+    }
+
+    const movedNotes = await moveNotes(req, category.name, target.name);
+    await category.deleteOne();
+
+    res.json({
+      message: `Category deleted; ${movedNotes} note(s) moved to "${target.name}"`,
+      data: {
+        id: category._id,
+        movedTo: target.name,
+        movedNotes
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      error: 'Failed to delete category',
+      message: 'Unable to delete category. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const handleValidationErrors = require('../middleware/validation');
+const { versionConflict } = require('../middleware/noteAccess');
+const { notifyNoteChange } = require('../utils/noteEvents');
+
+// Mounted under /api/notes/:id/items; the parent router authenticates the
+// user and loads the note into req.note with at least editor access
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const itemValidation = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Item text must be between 1 and 500 characters'),
+  body('done')
+    .optional()
+    .isBoolean()
+    .withMessage('done must be a boolean')
+];
+
+const updateItemValidation = [
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Item text must be between 1 and 500 characters'),
+  body('done')
+    .optional()
+    .isBoolean()
+    .withMessage('done must be a boolean')
+];
+
+const reorderValidation = [
+  body('itemIds')
+    .isArray()
+    .withMessage('itemIds must be an array'),
+  body('itemIds.*')
+    .isMongoId()
+    .withMessage('Invalid item ID format')
+];
+
+const itemIdValidation = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid item ID format')
+];
+
+const itemNotFound = (res) => res.status(404).json({
+  error: 'Item not found',
+  message: 'The requested checklist item does not exist.'
+});
+
+// Item endpoints only apply to checklist notes
+router.use((req, res, next) => {
+  if (req.note.type !== 'checklist') {
+    return res.status(400).json({
+      error: 'Not a checklist',
+      message: 'Convert this note to a checklist before managing items.'
+    });
+  }
+  next();
+});
+
+// @route   POST /api/notes/:id/items
+// @desc    Add an item to the end of a checklist
+// @access  Private (editor)
+router.post('/', itemValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const note = req.note;
+
+    if (note.items.length >= Note.MAX_CHECKLIST_ITEMS) {
+      return res.status(400).json({
+        error: 'Checklist full',
+        message: `A checklist cannot have more than ${Note.MAX_CHECKLIST_ITEMS} items.`
+      });
+    }
+
+    await NoteRevision.trackChanges(note, req.user._id, () => {
+      note.addItem(req.body.text, req.body.done === true);
+    });
+
+    notifyNoteChange(req, 'updated', note);
+
+    res.status(201).json({
+      message: 'Item added successfully',
+      data: note
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Add item error:', error);
+    res.status(500).json({
+      error: 'Failed to add item',
+      message: 'Unable to add checklist item. Please try again.'
+    });
+  }
+});
+
+// @route   PUT /api/notes/:id/items/reorder
+// @desc    Reorder a checklist; itemIds lists every item in the new order
+// @access  Private (editor)
+router.put('/reorder', reorderValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const note = req.note;
+    let reordered = false;
+
+    await NoteRevision.trackChanges(note, req.user._id, () => {
+      reordered = note.reorderItems(req.body.itemIds);
+    });
+
+    if (!reordered) {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: 'itemIds must list every checklist item exactly once.'
+      });
+    }
+
+    notifyNoteChange(req, 'updated', note);
+
+    res.json({
+      message: 'Checklist reordered successfully',
+      data: note
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Reorder items error:', error);
+    res.status(500).json({
+      error: 'Failed to reorder items',
+      message: 'Unable to reorder checklist. Please try again.'
+    });
+  }
+});
+
+// @route   PUT /api/notes/:id/items/:itemId
+// @desc    Update an item's text or done state
+// @access  Private (editor)
+router.put('/:itemId', itemIdValidation, updateItemValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const note = req.note;
+    const item = note.items.id(req.params.itemId);
+
+    if (!item) {
+      return itemNotFound(res);
+    }
+
+    await NoteRevision.trackChanges(note, req.user._id, () => {
+      if (req.body.text !== undefined) item.text = req.body.text;
+      if (req.body.done !== undefined) item.done = req.body.done;
+    });
+
+    notifyNoteChange(req, 'updated', note);
+
+    res.json({
+      message: 'Item updated successfully',
+      data: note
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Update item error:', error);
+    res.status(500).json({
+      error: 'Failed to update item',
+      message: 'Unable to update checklist item. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notes/:id/items/:itemId/toggle
+// @desc    Toggle an item's done state
+// @access  Private (editor)
+router.post('/:itemId/toggle', itemIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const note = req.note;
+    const item = note.items.id(req.params.itemId);
+
+    if (!item) {
+      return itemNotFound(res);
+    }
+
+    await NoteRevision.trackChanges(note, req.user._id, () => {
+      item.done = !item.done;
+    });
+
+    notifyNoteChange(req, 'updated', note);
+
+    res.json({
+      message: `Item ${item.done ? 'completed' : 'reopened'} successfully`,
+      data: note
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Toggle item error:', error);
+    res.status(500).json({
+      error: 'Failed to toggle item',
+      message: 'Unable to update checklist item. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/notes/:id/items/:itemId
+// @desc    Remove an item from a checklist
+// @access  Private (editor)
+router.delete('/:itemId', itemIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const note = req.note;
+    const item = note.items.id(req.params.itemId);
+
+    if (!item) {
+      return itemNotFound(res);
+    }
+
+    await NoteRevision.trackChanges(note, req.user._id, () => {
+      item.deleteOne();
+    });
+
+    notifyNoteChange(req, 'updated', note);
+
+    res.json({
+      message: 'Item removed successfully',
+      data: note
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Remove item error:', error);
+    res.status(500).json({
+      error: 'Failed to remove item',
+      message: 'Unable to remove checklist item. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
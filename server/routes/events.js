@@ -0,0 +1,41 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { writeEvent, addConnection } = require('../utils/noteEvents');
+
+const router = express.Router();
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Streams are closed after this long at most, and when the access token
+// expires, so revoked sessions stop receiving events; clients reconnect
+const MAX_STREAM_MS = 60 * 60 * 1000;
+
+// @route   GET /api/events
+// @desc    Stream changes to the user's notes and notes shared with them, and their notifications (Server-Sent Events)
+// @access  Private
+router.get('/', auth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const removeConnection = addConnection(req.user._id, res, req.get('X-Client-Id'));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+  const expiry = setTimeout(
+    () => res.end(),
+    Math.max(0, Math.min(req.tokenExpiresAt.getTime() - Date.now(), MAX_STREAM_MS))
+  );
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    removeConnection();
+  });
+
+  writeEvent(res, 'ready', { userId: req.user._id });
+});
+
+module.exports = router;
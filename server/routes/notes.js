@@ -1,24 +1,68 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const Note = require('../models/Note');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const NoteRevision = require('../models/NoteRevision');
+const ShareLink = require('../models/ShareLink');
+const NoteTombstone = require('../models/NoteTombstone');
+const Reminder = require('../models/Reminder');
 const auth = require('../middleware/auth');
 const handleValidationErrors = require('../middleware/validation');
+const { requireNoteAccess, checkNoteVersion, noteETag, versionConflict } = require('../middleware/noteAccess');
+const requireVerifiedEmail = require('../middleware/verifiedEmail');
+const { importFiles } = require('../middleware/upload');
+const { renderMarkdown } = require('../utils/markdown');
+const { parseImportFile } = require('../utils/noteImport');
+const { parseSearch, highlightNote } = require('../utils/searchHighlight');
+const { compileSearchQuery } = require('../utils/searchQuery');
+const { encodeCursor, decodeCursor } = require('../utils/syncCursor');
+const { notifyNoteChange } = require('../utils/noteEvents');
+const revisionRoutes = require('./revisions');
+const shareLinkRoutes = require('./shareLinks');
+const checklistRoutes = require('./checklist');
 
 const router = express.Router();
 
 // Validation rules
+const itemsValidation = [
+  body('items')
+    .optional()
+    .isArray({ max: Note.MAX_CHECKLIST_ITEMS })
+    .withMessage(`Items must be an array of at most ${Note.MAX_CHECKLIST_ITEMS} entries`),
+  body('items.*.text')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Item text must be between 1 and 500 characters'),
+  body('items.*.done')
+    .optional()
+    .isBoolean()
+    .withMessage('Item done must be a boolean')
+];
+
 const createNoteValidation = [
   body('title')
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Title must be between 1 and 200 characters'),
+  body('type')
+    .optional()
+    .isIn(['text', 'checklist'])
+    .withMessage('Type must be one of: text, checklist'),
   body('content')
+    .if(body('type').not().equals('checklist'))
     .trim()
     .isLength({ min: 1, max: 10000 })
     .withMessage('Content must be between 1 and 10,000 characters'),
+  body('content')
+    .optional()
+    .isLength({ max: 10000 })
+    .withMessage('Content cannot exceed 10,000 characters'),
+  ...itemsValidation,
   body('category')
-    .isIn(['personal', 'work', 'creative', 'study'])
-    .withMessage('Category must be one of: personal, work, creative, study'),
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category must be between 1 and 30 characters'),
   body('tags')
     .optional()
     .isArray()
@@ -51,10 +95,12 @@ const updateNoteValidation = [
     .trim()
     .isLength({ min: 1, max: 10000 })
     .withMessage('Content must be between 1 and 10,000 characters'),
+  ...itemsValidation,
   body('category')
     .optional()
-    .isIn(['personal', 'work', 'creative', 'study'])
-    .withMessage('Category must be one of: personal, work, creative, study'),
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category must be between 1 and 30 characters'),
   body('tags')
     .optional()
     .isArray()
@@ -95,8 +141,22 @@ const queryValidation = [
     .withMessage('Limit must be between 1 and 100'),
   query('category')
     .optional()
-    .isIn(['personal', 'work', 'creative', 'study'])
-    .withMessage('Category must be one of: personal, work, creative, study'),
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category must be between 1 and 30 characters'),
+  query('tag')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag must be between 1 and 30 characters'),
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list'),
+  query('tagMode')
+    .optional()
+    .isIn(['all', 'any'])
+    .withMessage('tagMode must be either all or any'),
   query('isPinned')
     .optional()
     .isBoolean()
@@ -105,22 +165,173 @@ const queryValidation = [
     .optional()
     .isBoolean()
     .withMessage('isArchived must be a boolean'),
+  query('pinnedFirst')
+    .optional()
+    .isBoolean()
+    .withMessage('pinnedFirst must be a boolean'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search cannot exceed 200 characters')
+    .bail()
+    .custom((search) => {
+      compileSearchQuery(search);
+      return true;
+    }),
   query('sortBy')
     .optional()
-    .isIn(['createdAt', 'updatedAt', 'title'])
-    .withMessage('sortBy must be one of: createdAt, updatedAt, title'),
+    .isIn(['createdAt', 'updatedAt', 'title', 'relevance'])
+    .withMessage('sortBy must be one of: createdAt, updatedAt, title, relevance'),
   query('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
     .withMessage('sortOrder must be either asc or desc')
 ];
 
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const shareValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('role')
+    .optional()
+    .isIn(['viewer', 'editor'])
+    .withMessage('Role must be one of: viewer, editor')
+];
+
+const unshareValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
 const idValidation = [
   param('id')
     .isMongoId()
     .withMessage('Invalid note ID format')
 ];
 
+const renameTagValidation = [
+  param('tag')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag must be between 1 and 30 characters'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('New tag name must be between 1 and 30 characters')
+];
+
+const tagParamValidation = [
+  param('tag')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag must be between 1 and 30 characters')
+];
+
+const convertValidation = [
+  body('type')
+    .isIn(['text', 'checklist'])
+    .withMessage('Type must be one of: text, checklist')
+];
+
+const importValidation = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean'),
+  body('skipDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('skipDuplicates must be a boolean'),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category must be between 1 and 30 characters')
+];
+
+// Actions POST /api/notes/bulk can apply to many notes at once
+const BULK_ACTIONS = ['pin', 'unpin', 'archive', 'unarchive', 'delete', 'setCategory', 'addTags', 'removeTags', 'setColor'];
+const MAX_BULK_NOTES = 100;
+// Live event sent for each changed note; other bulk actions send 'updated'
+const BULK_EVENTS = {
+  pin: 'pinned',
+  unpin: 'unpinned',
+  archive: 'archived',
+  unarchive: 'unarchived',
+  delete: 'deleted'
+};
+
+const bulkValidation = [
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_NOTES })
+    .withMessage(`IDs must be an array of 1 to ${MAX_BULK_NOTES} note IDs`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid note ID format'),
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body('category')
+    .if(body('action').equals('setCategory'))
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Category must be between 1 and 30 characters'),
+  body('tags')
+    .if(body('action').isIn(['addTags', 'removeTags']))
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Tags must be an array of 1 to 10 tags'),
+  body('tags.*')
+    .if(body('action').isIn(['addTags', 'removeTags']))
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters'),
+  body('color')
+    .if(body('action').equals('setColor'))
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Color must be a valid hex color code')
+];
+
+const formatValidation = [
+  query('format')
+    .optional()
+    .isIn(['markdown', 'html'])
+    .withMessage('Format must be one of: markdown, html')
+];
+
+// Changes returned per delta sync request, at most
+const MAX_SYNC_CHANGES = 500;
+// Changes newer than this may come from saves that are still being written;
+// they are left for the next sync so that none are skipped
+const SYNC_SETTLE_MS = 5000;
+
+const changesValidation = [
+  query('since')
+    .optional()
+    .custom((since) => {
+      decodeCursor(since);
+      return true;
+    }),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_SYNC_CHANGES })
+    .withMessage(`Limit must be between 1 and ${MAX_SYNC_CHANGES}`)
+];
+
 // @route   GET /api/notes
 // @desc    Get user's notes with pagination and filtering
 // @access  Private
@@ -130,21 +341,38 @@ router.get('/', auth, queryValidation, handleValidationErrors, async (req, res)
       page = 1,
       limit = 20,
       category,
+      tag,
+      tags,
+      tagMode = 'all',
       isPinned,
       isArchived = 'false',
-      search,
-      sortBy = 'updatedAt',
       sortOrder = 'desc'
     } = req.query;
     
+    // The search box query is split into free text for the $text index and filters;
+    // searches are ordered by relevance unless another order is asked for
+    const compiled = compileSearchQuery(req.query.search);
+    const search = compiled.text || undefined;
+    const sortBy = req.query.sortBy || (search ? 'relevance' : 'updatedAt');
+    
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const sortDirection = sortOrder === 'desc' ? -1 : 1;
     
+    // ?tag=a filters by one tag; ?tags=a,b&tagMode=all|any by several
+    const tagList = [
+      ...(tag ? [tag] : []),
+      ...(tags ? tags.split(',').map(t => t.trim()).filter(t => t) : [])
+    ];
+    
     const options = {
       category,
+      tags: tagList,
+      tagMode,
       isPinned: isPinned !== undefined ? isPinned === 'true' : undefined,
-      isArchived: isArchived === 'true',
+      isArchived: compiled.isArchived ?? isArchived === 'true',
+      pinnedFirst: req.query.pinnedFirst === 'true',
       search,
+      filters: compiled.filters,
       limit: parseInt(limit),
       skip,
       sortBy,
@@ -154,18 +382,18 @@ router.get('/', auth, queryValidation, handleValidationErrors, async (req, res)
     const notes = await Note.findUserNotes(req.user._id, options);
     
     // Get total count for pagination
-    let countQuery = { userId: req.user._id, isArchived: isArchived === 'true' };
-    if (category) countQuery.category = category;
-    if (isPinned !== undefined) countQuery.isPinned = isPinned === 'true';
-    if (search) countQuery.$text = { $search: search };
-    
-    const totalNotes = await Note.countDocuments(countQuery);
+    const totalNotes = await Note.countDocuments(Note.buildUserNotesQuery(req.user._id, options));
     const totalPages = Math.ceil(totalNotes / parseInt(limit));
     
+    // Search results carry their relevance score and where they matched
+    const terms = search ? parseSearch(search) : [];
+    
     res.json({
       message: 'Notes retrieved successfully',
       data: {
-        notes,
+        notes: search
+          ? notes.map(note => ({ ...note.toJSON(), highlights: highlightNote(note, terms) }))
+          : notes,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -194,16 +422,7 @@ router.get('/stats', auth, async (req, res) => {
     
     res.json({
       message: 'Statistics retrieved successfully',
-      data: stats[0] || {
-        totalNotes: 0,
-        pinnedNotes: 0,
-        categories: {
-          personal: 0,
-          work: 0,
-          creative: 0,
-          study: 0
-        }
-      }
+      data: stats
     });
     
   } catch (error) {
@@ -215,26 +434,295 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/notes/:id
-// @desc    Get a specific note by ID
+// @route   GET /api/notes/tags
+// @desc    List the tags on user's notes with usage counts
 // @access  Private
-router.get('/:id', auth, idValidation, handleValidationErrors, async (req, res) => {
+router.get('/tags', auth, async (req, res) => {
   try {
-    const note = await Note.findOne({
-      _id: req.params.id,
-      userId: req.user._id
+    const tags = await Note.getUserTags(req.user._id);
+    
+    res.json({
+      message: 'Tags retrieved successfully',
+      data: tags
     });
     
-    if (!note) {
-      return res.status(404).json({
-        error: 'Note not found',
-        message: 'The requested note does not exist or you do not have permission to view it.'
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve tags',
+      message: 'Unable to fetch tags. Please try again.'
+    });
+  }
+});
+
+// Helper function to let other tabs and devices know about notes changed in
+// bulk (e.g. by renaming a tag), which are not loaded while changing them
+const notifyNotesUpdated = async (req, noteIds) => {
+  if (noteIds.length === 0) return;
+
+  const notes = await Note.find({ _id: { $in: noteIds }, deletedAt: null });
+  notes.forEach(note => notifyNoteChange(req, 'updated', note));
+};
+
+// @route   PUT /api/notes/tags/:tag
+// @desc    Rename a tag on all of user's notes (merges into an existing tag)
+// @access  Private
+router.put('/tags/:tag', auth, renameTagValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const from = req.params.tag;
+    const to = req.body.name;
+    
+    const noteIds = from === to ? [] : await Note.find({ userId: req.user._id, tags: from }).distinct('_id');
+    const updatedNotes = noteIds.length === 0 ? 0 : await Note.renameUserTag(req.user._id, from, to);
+    await notifyNotesUpdated(req, noteIds);
+    
+    res.json({
+      message: `Tag "${from}" renamed to "${to}" on ${updatedNotes} note(s)`,
+      data: {
+        from,
+        to,
+        updatedNotes
+      }
+    });
+    
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      error: 'Failed to rename tag',
+      message: 'Unable to rename tag. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/notes/tags/:tag
+// @desc    Remove a tag from all of user's notes
+// @access  Private
+router.delete('/tags/:tag', auth, tagParamValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const noteIds = await Note.find({ userId: req.user._id, tags: req.params.tag }).distinct('_id');
+    const updatedNotes = noteIds.length === 0 ? 0 : await Note.removeUserTag(req.user._id, req.params.tag);
+    await notifyNotesUpdated(req, noteIds);
+    
+    res.json({
+      message: `Tag "${req.params.tag}" removed from ${updatedNotes} note(s)`,
+      data: {
+        tag: req.params.tag,
+        updatedNotes
+      }
+    });
+    
+  } catch (error) {
+    console.error('Remove tag error:', error);
+    res.status(500).json({
+      error: 'Failed to remove tag',
+      message: 'Unable to remove tag. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/notes/trash
+// @desc    Get user's trashed notes, most recently deleted first
+// @access  Private
+router.get('/trash', auth, paginationValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const trashQuery = { userId: req.user._id, deletedAt: { $ne: null } };
+    
+    const notes = await Note.find(trashQuery)
+      .sort({ deletedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const totalNotes = await Note.countDocuments(trashQuery);
+    const totalPages = Math.ceil(totalNotes / parseInt(limit));
+    
+    res.json({
+      message: 'Trash retrieved successfully',
+      data: {
+        notes: notes.map(note => ({
+          ...note.toJSON(),
+          purgeAt: Note.getPurgeDate(note.deletedAt)
+        })),
+        retentionDays: Note.getTrashRetentionDays(),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalNotes,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve trash',
+      message: 'Unable to fetch trashed notes. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/notes/trash
+// @desc    Permanently delete every note in the user's trash
+// @access  Private
+router.delete('/trash', auth, async (req, res) => {
+  try {
+    const trashed = await Note.find({
+      userId: req.user._id,
+      deletedAt: { $ne: null }
+    }).select('_id userId');
+    
+    const noteIds = trashed.map(note => note._id);
+    await Note.deleteMany({ _id: { $in: noteIds } });
+    await NoteRevision.deleteMany({ noteId: { $in: noteIds } });
+    await ShareLink.deleteMany({ noteId: { $in: noteIds } });
+    await Reminder.deleteMany({ noteId: { $in: noteIds } });
+    await NoteTombstone.record(trashed);
+    trashed.forEach(note => notifyNoteChange(req, 'purged', note));
+    
+    res.json({
+      message: 'Trash emptied successfully',
+      data: { deletedCount: noteIds.length }
+    });
+    
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      error: 'Failed to empty trash',
+      message: 'Unable to empty trash. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/notes/shared
+// @desc    Get notes other users have shared with the current user
+// @access  Private
+router.get('/shared', auth, paginationValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const notes = await Note.findSharedWith(req.user._id, {
+      limit: parseInt(limit),
+      skip
+    });
+    
+    const totalNotes = await Note.countDocuments({
+      'collaborators.userId': req.user._id,
+      deletedAt: null
+    });
+    const totalPages = Math.ceil(totalNotes / parseInt(limit));
+    
+    res.json({
+      message: 'Shared notes retrieved successfully',
+      data: {
+        notes: notes.map(note => {
+          const { userId: owner, ...rest } = note.toJSON();
+          return {
+            ...rest,
+            userId: owner._id,
+            owner: {
+              id: owner._id,
+              firstName: owner.firstName,
+              lastName: owner.lastName,
+              email: owner.email
+            },
+            role: note.getRoleFor(req.user._id)
+          };
+        }),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalNotes,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get shared notes error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve shared notes',
+      message: 'Unable to fetch shared notes. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/notes/changes
+// @desc    Delta sync: notes created or changed since a cursor, and notes deleted since then
+// @access  Private
+router.get('/changes', auth, changesValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const since = req.query.since ? decodeCursor(req.query.since) : null;
+    const limit = parseInt(req.query.limit || '100');
+
+    // Permanent deletions older than this are forgotten, so an older cursor could miss some
+    if (since && since.time < NoteTombstone.getRetentionStart()) {
+      return res.status(410).json({
+        error: 'Sync cursor expired',
+        message: 'Changes that old are no longer kept. Sync again without a cursor to fetch all notes.'
       });
     }
+
+    const until = new Date(Date.now() - SYNC_SETTLE_MS);
+    const [notes, tombstones] = await Promise.all([
+      Note.findChangedSince(req.user._id, since, until, limit + 1),
+      NoteTombstone.findSince(req.user._id, since, until, limit + 1)
+    ]);
+
+    // Both lists in one order, by time and then id, the order cursors follow
+    const changes = [
+      ...notes.map(note => ({ time: note.syncedAt, id: note._id.toString(), note })),
+      ...tombstones.map(tombstone => ({ time: tombstone.deletedAt, id: tombstone._id.toString(), tombstone }))
+    ].sort((a, b) => a.time - b.time || a.id.localeCompare(b.id));
+
+    const page = changes.slice(0, limit);
+    const hasMore = changes.length > limit;
+    // A complete answer covers everything up to until, so the next sync starts there
+    const cursor = hasMore ? page[page.length - 1] : { time: until };
+
+    res.json({
+      message: 'Changes retrieved successfully',
+      data: {
+        notes: page
+          .filter(change => change.note && !change.note.deletedAt)
+          .map(change => change.note),
+        // Moved to the trash, or permanently deleted
+        deleted: page
+          .filter(change => change.tombstone || change.note.deletedAt)
+          .map(change => change.tombstone
+            ? { id: change.tombstone.noteId, deletedAt: change.tombstone.deletedAt, permanent: true }
+            : { id: change.note._id, deletedAt: change.note.deletedAt, permanent: false }),
+        cursor: encodeCursor(cursor),
+        hasMore
+      }
+    });
+
+  } catch (error) {
+    console.error('Get note changes error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve changes',
+      message: 'Unable to fetch note changes. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/notes/:id
+// @desc    Get a specific note by ID (?format=html adds sanitized contentHtml)
+// @access  Private
+router.get('/:id', auth, idValidation, formatValidation, handleValidationErrors, requireNoteAccess('viewer'), async (req, res) => {
+  try {
+    const note = req.note;
     
+    res.set('ETag', noteETag(note));
     res.json({
       message: 'Note retrieved successfully',
-      data: note
+      data: req.query.format === 'html'
+        ? { ...note.toJSON(), contentHtml: renderMarkdown(note.content) }
+        : note
     });
     
   } catch (error) {
@@ -246,23 +734,47 @@ router.get('/:id', auth, idValidation, handleValidationErrors, async (req, res)
   }
 });
 
+// Helper function to trim tags and drop empty or duplicate ones
+const cleanTags = (tags) => [...new Set(tags.map(tag => tag.trim()).filter(tag => tag))];
+
+// Helper function to answer requests that name a category the owner does not have
+const unknownCategory = (res, name) => res.status(400).json({
+  error: 'Invalid category',
+  message: `Category "${name}" does not exist. Create it first.`
+});
+
 // @route   POST /api/notes
 // @desc    Create a new note
 // @access  Private
 router.post('/', auth, createNoteValidation, handleValidationErrors, async (req, res) => {
   try {
-    const { title, content, category, tags, color } = req.body;
+    const { title, content, category, tags, color, type = 'text', items } = req.body;
+    
+    const categoryDoc = await Category.findByName(req.user._id, category);
+    if (!categoryDoc) {
+      return unknownCategory(res, category);
+    }
     
     const note = new Note({
       title: title.trim(),
-      content: content.trim(),
-      category,
-      tags: tags ? tags.map(tag => tag.trim()).filter(tag => tag) : [],
+      type,
+      content: content ? content.trim() : '',
+      category: categoryDoc.name,
+      tags: tags ? cleanTags(tags) : [],
       color,
       userId: req.user._id
     });
     
+    // Checklists take explicit items, or one item per line of content
+    if (type === 'checklist') {
+      note.items = items
+        ? items.map((item, index) => ({ text: item.text, done: item.done === true, order: index }))
+        : Note.parseChecklist(note.content);
+    }
+    
     await note.save();
+    await NoteRevision.record(note, req.user._id, []);
+    notifyNoteChange(req, 'created', note);
     
     res.status(201).json({
       message: 'Note created successfully',
@@ -278,42 +790,330 @@ router.post('/', auth, createNoteValidation, handleValidationErrors, async (req,
   }
 });
 
+// Notes accepted per import request; anything beyond is reported as failed
+const MAX_IMPORT_NOTES = 1000;
+
+// Helper function to key notes for duplicate detection
+const duplicateKey = (note) => `${note.title}\u0000${note.content}`;
+
+// @route   POST /api/notes/import
+// @desc    Import notes from Markdown/text files, KeepNotes JSON exports or Google Keep Takeout notes
+// @access  Private
+router.post('/import', auth, importFiles, importValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const dryRun = req.body.dryRun === 'true';
+    const skipDuplicates = req.body.skipDuplicates !== 'false';
+    
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files',
+        message: 'Upload at least one file to import.'
+      });
+    }
+    
+    // Notes without a category (or with an invalid one) go into this category
+    const defaultName = req.body.category || 'personal';
+    const defaultCategory = await Category.findByName(userId, defaultName);
+    if (!defaultCategory) {
+      return unknownCategory(res, defaultName);
+    }
+    
+    // Categories named by imported notes that the user does not have yet are created
+    const userCategories = await Category.findUserCategories(userId);
+    const categoryNames = new Map(userCategories.map(category => [category.name.toLowerCase(), category.name]));
+    const newCategories = new Map();
+    
+    const results = [];
+    const accepted = [];
+    
+    for (const file of req.files) {
+      let parsed;
+      try {
+        parsed = parseImportFile(file);
+      } catch (error) {
+        // A malformed file only fails its own entry
+        console.error('Import file error:', error);
+        parsed = { entries: [{ source: file.originalname, error: 'File could not be read' }] };
+      }
+      const { format, entries, categories: exportedCategories = [] } = parsed;
+      
+      for (const entry of entries) {
+        const result = { source: entry.source, format, title: entry.note?.title, status: 'failed' };
+        results.push(result);
+        
+        if (entry.error || entry.skipped) {
+          result.status = entry.error ? 'failed' : 'skipped';
+          result.message = entry.error || entry.skipped;
+          continue;
+        }
+        if (entry.warnings.length > 0) {
+          result.warnings = entry.warnings;
+        }
+        if (accepted.length >= MAX_IMPORT_NOTES) {
+          result.message = `Only ${MAX_IMPORT_NOTES} notes can be imported at a time`;
+          continue;
+        }
+        
+        const { note } = entry;
+        let category = defaultCategory.name;
+        const key = note.category?.toLowerCase();
+        if (categoryNames.has(key)) {
+          category = categoryNames.get(key);
+        } else if (key && note.category.length <= 30) {
+          const exported = exportedCategories.find(c => typeof c?.name === 'string' && c.name.toLowerCase() === key);
+          const name = exported ? exported.name.trim() : note.category;
+          const newCategory = new Category({ userId, name, color: exported?.color, icon: exported?.icon });
+          // Keep the name even if the exported color or icon is not valid
+          newCategories.set(key, newCategory.validateSync() ? new Category({ userId, name }) : newCategory);
+          categoryNames.set(key, name);
+          category = name;
+        }
+        
+        const doc = new Note({ ...note, category, userId });
+        const validationError = doc.validateSync();
+        if (validationError) {
+          result.message = Object.values(validationError.errors)[0].message;
+          continue;
+        }
+        accepted.push({ doc, result });
+      }
+    }
+    
+    // Duplicates: same title and content as an existing note or an earlier one in this upload
+    const existing = await Note.find({
+      userId,
+      deletedAt: null,
+      title: { $in: accepted.map(({ doc }) => doc.title) }
+    }).select('title content').lean();
+    const seen = new Set(existing.map(duplicateKey));
+    const toInsert = [];
+    
+    for (const { doc, result } of accepted) {
+      const key = duplicateKey(doc);
+      if (skipDuplicates && seen.has(key)) {
+        result.status = 'duplicate';
+        result.message = 'A note with the same title and content already exists';
+        continue;
+      }
+      seen.add(key);
+      result.status = dryRun ? 'ready' : 'imported';
+      if (!dryRun) result.noteId = doc._id;
+      toInsert.push(doc);
+    }
+    
+    const usedCategories = new Set(toInsert.map(doc => doc.category.toLowerCase()));
+    const createdCategories = [...newCategories.entries()]
+      .filter(([key]) => usedCategories.has(key))
+      .map(([, category]) => category);
+    
+    if (!dryRun && toInsert.length > 0) {
+      if (createdCategories.length > 0) {
+        // Another request may have created the same category meanwhile; that is fine
+        await Category.insertMany(createdCategories, { ordered: false }).catch(error => {
+          if (error.code !== 11000) throw error;
+        });
+      }
+      // Imported notes keep their original timestamps; syncedAt defaults to
+      // now, so clients that already synced still receive them
+      await Note.insertMany(toInsert, { timestamps: false });
+      toInsert.forEach(doc => notifyNoteChange(req, 'created', doc));
+    }
+    
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { total: results.length });
+    
+    res.status(dryRun || toInsert.length === 0 ? 200 : 201).json({
+      message: dryRun
+        ? `${toInsert.length} note(s) ready to import`
+        : `Imported ${toInsert.length} note(s)`,
+      data: {
+        dryRun,
+        summary,
+        categories: createdCategories.map(category => category.name),
+        results
+      }
+    });
+    
+  } catch (error) {
+    console.error('Import notes error:', error);
+    res.status(500).json({
+      error: 'Failed to import notes',
+      message: 'Unable to import notes. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notes/bulk
+// @desc    Apply one action to many of the user's notes
+// @access  Private (owner of every note)
+router.post('/bulk', auth, bulkValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { action, color } = req.body;
+    const ids = [...new Set(req.body.ids)];
+    const tags = req.body.tags ? cleanTags(req.body.tags) : [];
+    
+    let categoryDoc;
+    if (action === 'setCategory') {
+      categoryDoc = await Category.findByName(userId, req.body.category);
+      if (!categoryDoc) {
+        return unknownCategory(res, req.body.category);
+      }
+    }
+    
+    const notes = await Note.find({
+      _id: { $in: ids },
+      deletedAt: null,
+      $or: [
+        { userId },
+        { 'collaborators.userId': userId }
+      ]
+    });
+    const notesById = new Map(notes.map(note => [note._id.toString(), note]));
+    
+    const results = [];
+    for (const id of ids) {
+      const note = notesById.get(id);
+      
+      if (!note) {
+        results.push({ id, success: false, error: 'Note not found', message: 'The note does not exist or you do not have permission to access it.' });
+        continue;
+      }
+      if (note.getRoleFor(userId) !== 'owner') {
+        results.push({ id, success: false, error: 'Insufficient permissions', message: 'Only the owner of this note can change it in bulk.' });
+        continue;
+      }
+      if (action === 'addTags' && cleanTags([...note.tags, ...tags]).length > 10) {
+        results.push({ id, success: false, error: 'Too many tags', message: 'A note cannot have more than 10 tags.' });
+        continue;
+      }
+      
+      try {
+        if (action === 'delete') {
+          note.moveToTrash();
+          await note.save();
+          notifyNoteChange(req, 'deleted', note);
+          results.push({ id, success: true, data: { deletedAt: note.deletedAt, purgeAt: Note.getPurgeDate(note.deletedAt) } });
+          continue;
+        }
+        
+        await NoteRevision.trackChanges(note, userId, (target) => {
+          switch (action) {
+            case 'pin': target.isPinned = true; break;
+            case 'unpin': target.isPinned = false; break;
+            case 'archive': target.isArchived = true; break;
+            case 'unarchive': target.isArchived = false; break;
+            case 'setCategory': target.category = categoryDoc.name; break;
+            case 'addTags': tags.forEach(tag => target.addTag(tag)); break;
+            case 'removeTags': tags.forEach(tag => target.removeTag(tag)); break;
+            case 'setColor': target.color = color; break;
+          }
+        });
+        notifyNoteChange(req, BULK_EVENTS[action] || 'updated', note);
+        
+        results.push({
+          id,
+          success: true,
+          data: {
+            isPinned: note.isPinned,
+            isArchived: note.isArchived,
+            category: note.category,
+            tags: note.tags,
+            color: note.color,
+            updatedAt: note.updatedAt,
+            version: note.__v
+          }
+        });
+      } catch (error) {
+        console.error('Bulk note item error:', error);
+        results.push({ id, success: false, error: 'Update failed', message: 'Unable to update this note.' });
+      }
+    }
+    
+    const succeeded = results.filter(result => result.success).length;
+    
+    res.json({
+      message: `${succeeded} of ${results.length} note(s) updated`,
+      data: {
+        action,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    });
+    
+  } catch (error) {
+    console.error('Bulk note action error:', error);
+    res.status(500).json({
+      error: 'Bulk action failed',
+      message: 'Unable to update notes. Please try again.'
+    });
+  }
+});
+
 // @route   PUT /api/notes/:id
 // @desc    Update a note
 // @access  Private
-router.put('/:id', auth, idValidation, updateNoteValidation, handleValidationErrors, async (req, res) => {
+router.put('/:id', auth, idValidation, updateNoteValidation, handleValidationErrors, requireNoteAccess('editor'), checkNoteVersion, async (req, res) => {
   try {
-    const { title, content, category, tags, isPinned, isArchived, color } = req.body;
+    const { title, content, category, tags, isPinned, isArchived, color, items } = req.body;
     
-    const note = await Note.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
+    const note = req.note;
     
-    if (!note) {
-      return res.status(404).json({
-        error: 'Note not found',
-        message: 'The requested note does not exist or you do not have permission to update it.'
+    if (items !== undefined && note.type !== 'checklist') {
+      return res.status(400).json({
+        error: 'Not a checklist',
+        message: 'Convert this note to a checklist before setting items.'
       });
     }
     
+    // Notes are filed under the owner's categories, whoever edits them
+    let categoryDoc;
+    if (category !== undefined) {
+      categoryDoc = await Category.findByName(note.userId, category);
+      if (!categoryDoc) {
+        return unknownCategory(res, category);
+      }
+    }
+    
+    // Keep the pre-edit state in history before overwriting it
+    await NoteRevision.ensureBaseline(note);
+    const before = NoteRevision.snapshot(note);
+    
     // Update fields if provided
     if (title !== undefined) note.title = title.trim();
     if (content !== undefined) note.content = content.trim();
-    if (category !== undefined) note.category = category;
-    if (tags !== undefined) note.tags = tags.map(tag => tag.trim()).filter(tag => tag);
+    if (items !== undefined) {
+      note.items = items.map((item, index) => ({ text: item.text, done: item.done === true, order: index }));
+    }
+    if (categoryDoc) note.category = categoryDoc.name;
+    if (tags !== undefined) note.tags = cleanTags(tags);
     if (isPinned !== undefined) note.isPinned = isPinned;
     if (isArchived !== undefined) note.isArchived = isArchived;
     if (color !== undefined) note.color = color;
     
     await note.save();
     
+    // Record a revision only when versioned fields actually changed
+    const changedFields = NoteRevision.changedFieldsBetween(before, NoteRevision.snapshot(note));
+    if (changedFields.length > 0) {
+      await NoteRevision.record(note, req.user._id, changedFields);
+    }
+    notifyNoteChange(req, 'updated', note);
+    
+    res.set('ETag', noteETag(note));
     res.json({
       message: 'Note updated successfully',
       data: note
     });
     
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
     console.error('Update note error:', error);
     res.status(500).json({
       error: 'Failed to update note',
@@ -323,62 +1123,135 @@ router.put('/:id', auth, idValidation, updateNoteValidation, handleValidationErr
 });
 
 // @route   DELETE /api/notes/:id
-// @desc    Delete a note
+// @desc    Move a note to the trash
 // @access  Private
-router.delete('/:id', auth, idValidation, handleValidationErrors, async (req, res) => {
+router.delete('/:id', auth, idValidation, handleValidationErrors, requireNoteAccess('owner'), async (req, res) => {
   try {
-    const note = await Note.findOneAndDelete({
+    const note = req.note;
+    
+    note.moveToTrash();
+    await note.save();
+    notifyNoteChange(req, 'deleted', note);
+    
+    res.json({
+      message: 'Note moved to trash',
+      data: {
+        id: note._id,
+        deletedAt: note.deletedAt,
+        purgeAt: Note.getPurgeDate(note.deletedAt)
+      }
+    });
+    
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Delete note error:', error);
+    res.status(500).json({
+      error: 'Failed to delete note',
+      message: 'Unable to delete note. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notes/:id/restore
+// @desc    Restore a note from the trash
+// @access  Private
+router.post('/:id/restore', auth, idValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const note = await Note.findOne({
       _id: req.params.id,
-      userId: req.user._id
+      userId: req.user._id,
+      deletedAt: { $ne: null }
     });
     
     if (!note) {
       return res.status(404).json({
         error: 'Note not found',
-        message: 'The requested note does not exist or you do not have permission to delete it.'
+        message: 'The requested note is not in your trash.'
       });
     }
     
+    note.restoreFromTrash();
+    await note.save();
+    notifyNoteChange(req, 'restored', note);
+    
     res.json({
-      message: 'Note deleted successfully',
-      data: { id: note._id }
+      message: 'Note restored successfully',
+      data: note
     });
     
   } catch (error) {
-    console.error('Delete note error:', error);
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.params.id);
+    }
+    console.error('Restore note error:', error);
     res.status(500).json({
-      error: 'Failed to delete note',
-      message: 'Unable to delete note. Please try again.'
+      error: 'Failed to restore note',
+      message: 'Unable to restore note. Please try again.'
     });
   }
 });
 
-// @route   POST /api/notes/:id/pin
-// @desc    Toggle pin status of a note
+// @route   DELETE /api/notes/:id/permanent
+// @desc    Permanently delete a note from the trash
 // @access  Private
-router.post('/:id/pin', auth, idValidation, handleValidationErrors, async (req, res) => {
+router.delete('/:id/permanent', auth, idValidation, handleValidationErrors, async (req, res) => {
   try {
-    const note = await Note.findOne({
+    const note = await Note.findOneAndDelete({
       _id: req.params.id,
-      userId: req.user._id
+      userId: req.user._id,
+      deletedAt: { $ne: null }
     });
     
     if (!note) {
       return res.status(404).json({
         error: 'Note not found',
-        message: 'The requested note does not exist or you do not have permission to modify it.'
+        message: 'The requested note is not in your trash.'
       });
     }
     
+    await NoteRevision.deleteMany({ noteId: note._id });
+    await ShareLink.deleteMany({ noteId: note._id });
+    await Reminder.deleteMany({ noteId: note._id });
+    await NoteTombstone.record([note]);
+    notifyNoteChange(req, 'purged', note);
+    
+    res.json({
+      message: 'Note permanently deleted',
+      data: { id: note._id }
+    });
+    
+  } catch (error) {
+    console.error('Permanent delete note error:', error);
+    res.status(500).json({
+      error: 'Failed to delete note',
+      message: 'Unable to delete note. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notes/:id/pin
+// @desc    Toggle pin status of a note
+// @access  Private
+router.post('/:id/pin', auth, idValidation, handleValidationErrors, requireNoteAccess('editor'), checkNoteVersion, async (req, res) => {
+  try {
+    const note = req.note;
+    
     note.isPinned = !note.isPinned;
     await note.save();
+    notifyNoteChange(req, note.isPinned ? 'pinned' : 'unpinned', note);
     
+    res.set('ETag', noteETag(note));
     res.json({
       message: `Note ${note.isPinned ? 'pinned' : 'unpinned'} successfully`,
-      data: { id: note._id, isPinned: note.isPinned }
+      data: { id: note._id, isPinned: note.isPinned, version: note.__v }
     });
     
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
     console.error('Pin note error:', error);
     res.status(500).json({
       error: 'Failed to pin/unpin note',
@@ -390,29 +1263,24 @@ router.post('/:id/pin', auth, idValidation, handleValidationErrors, async (req,
 // @route   POST /api/notes/:id/archive
 // @desc    Toggle archive status of a note
 // @access  Private
-router.post('/:id/archive', auth, idValidation, handleValidationErrors, async (req, res) => {
+router.post('/:id/archive', auth, idValidation, handleValidationErrors, requireNoteAccess('editor'), checkNoteVersion, async (req, res) => {
   try {
-    const note = await Note.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
-    
-    if (!note) {
-      return res.status(404).json({
-        error: 'Note not found',
-        message: 'The requested note does not exist or you do not have permission to modify it.'
-      });
-    }
+    const note = req.note;
     
     note.isArchived = !note.isArchived;
     await note.save();
+    notifyNoteChange(req, note.isArchived ? 'archived' : 'unarchived', note);
     
+    res.set('ETag', noteETag(note));
     res.json({
       message: `Note ${note.isArchived ? 'archived' : 'unarchived'} successfully`,
-      data: { id: note._id, isArchived: note.isArchived }
+      data: { id: note._id, isArchived: note.isArchived, version: note.__v }
     });
     
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
     console.error('Archive note error:', error);
     res.status(500).json({
       error: 'Failed to archive/unarchive note',
@@ -421,4 +1289,181 @@ router.post('/:id/archive', auth, idValidation, handleValidationErrors, async (r
   }
 });
 
+// Helper function to list a note's collaborators with their names and emails
+const getCollaborators = async (note) => {
+  await note.populate('collaborators.userId', 'firstName lastName email');
+  
+  return note.collaborators
+    .filter(collaborator => collaborator.userId)
+    .map(collaborator => ({
+      id: collaborator.userId._id,
+      firstName: collaborator.userId.firstName,
+      lastName: collaborator.userId.lastName,
+      email: collaborator.userId.email,
+      role: collaborator.role,
+      addedAt: collaborator.addedAt
+    }));
+};
+
+// @route   POST /api/notes/:id/convert
+// @desc    Convert a note between text and checklist
+// @access  Private (editor)
+router.post('/:id/convert', auth, idValidation, convertValidation, handleValidationErrors, requireNoteAccess('editor'), async (req, res) => {
+  try {
+    const note = req.note;
+    const { type } = req.body;
+    
+    if (type === 'text' && note.type === 'checklist' && note.items.length === 0) {
+      return res.status(400).json({
+        error: 'Empty checklist',
+        message: 'Add at least one item before converting to a text note.'
+      });
+    }
+    
+    await NoteRevision.trackChanges(note, req.user._id, () => {
+      note.convertTo(type);
+    });
+    notifyNoteChange(req, 'updated', note);
+    
+    res.json({
+      message: `Note converted to ${type === 'checklist' ? 'a checklist' : 'text'} successfully`,
+      data: note
+    });
+    
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Convert note error:', error);
+    res.status(500).json({
+      error: 'Failed to convert note',
+      message: 'Unable to convert note. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/notes/:id/collaborators
+// @desc    List the users a note is shared with
+// @access  Private
+router.get('/:id/collaborators', auth, idValidation, handleValidationErrors, requireNoteAccess('viewer'), async (req, res) => {
+  try {
+    const collaborators = await getCollaborators(req.note);
+    
+    res.json({
+      message: 'Collaborators retrieved successfully',
+      data: collaborators
+    });
+    
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve collaborators',
+      message: 'Unable to fetch collaborators. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notes/:id/share
+// @desc    Share a note with another user by email, or change their role
+// @access  Private (owner only)
+router.post('/:id/share', auth, requireVerifiedEmail, idValidation, shareValidation, handleValidationErrors, requireNoteAccess('owner'), async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+    const note = req.note;
+    
+    const collaborator = await User.findByEmail(email);
+    
+    if (!collaborator || !collaborator.isActive) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No KeepNotes account exists with that email address.'
+      });
+    }
+    
+    if (collaborator._id.equals(req.user._id)) {
+      return res.status(400).json({
+        error: 'Invalid collaborator',
+        message: 'You cannot share a note with yourself.'
+      });
+    }
+    
+    note.shareWith(collaborator._id, role);
+    await note.save();
+    notifyNoteChange(req, 'updated', note);
+    
+    res.json({
+      message: `Note shared with ${collaborator.email} as ${role}`,
+      data: await getCollaborators(note)
+    });
+    
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Share note error:', error);
+    res.status(500).json({
+      error: 'Failed to share note',
+      message: 'Unable to share note. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notes/:id/unshare
+// @desc    Stop sharing a note with a user (owners can remove anyone, collaborators themselves)
+// @access  Private
+router.post('/:id/unshare', auth, idValidation, unshareValidation, handleValidationErrors, requireNoteAccess('viewer'), async (req, res) => {
+  try {
+    const { email } = req.body;
+    const note = req.note;
+    
+    const collaborator = await User.findByEmail(email);
+    const isCollaborator = collaborator && note.getRoleFor(collaborator._id) && !note.userId.equals(collaborator._id);
+    
+    if (!isCollaborator) {
+      return res.status(404).json({
+        error: 'Collaborator not found',
+        message: 'This note is not shared with that email address.'
+      });
+    }
+    
+    if (req.noteRole !== 'owner' && !collaborator._id.equals(req.user._id)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Only the owner of this note can do that.'
+      });
+    }
+    
+    note.unshareWith(collaborator._id);
+    await note.save();
+    await Reminder.deleteMany({ noteId: note._id, userId: collaborator._id });
+    // The removed collaborator loses the note; everyone else sees the new list
+    notifyNoteChange(req, 'deleted', note, { audience: [collaborator._id] });
+    notifyNoteChange(req, 'updated', note);
+    
+    res.json({
+      message: `Note is no longer shared with ${collaborator.email}`,
+      data: req.noteRole === 'owner' ? await getCollaborators(note) : []
+    });
+    
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Unshare note error:', error);
+    res.status(500).json({
+      error: 'Failed to unshare note',
+      message: 'Unable to update sharing. Please try again.'
+    });
+  }
+});
+
+// Revision history: /api/notes/:id/revisions
+router.use('/:id/revisions', auth, idValidation, handleValidationErrors, requireNoteAccess('viewer'), revisionRoutes);
+
+// Checklist items: /api/notes/:id/items
+router.use('/:id/items', auth, idValidation, handleValidationErrors, requireNoteAccess('editor'), checklistRoutes);
+
+// Public share links: /api/notes/:id/links
+router.use('/:id/links', auth, idValidation, handleValidationErrors, requireNoteAccess('owner'), shareLinkRoutes);
+
 module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const { param } = require('express-validator');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const handleValidationErrors = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid notification ID format')
+];
+
+// @route   GET /api/notifications
+// @desc    List the user's recent notifications, newest first, with the unread count
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.findRecent(req.user._id),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.json({
+      message: 'Notifications retrieved successfully',
+      data: { notifications, unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve notifications',
+      message: 'Unable to fetch notifications. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notifications/read
+// @desc    Mark all of the user's notifications as read
+// @access  Private
+router.post('/read', auth, async (req, res) => {
+  try {
+    await Notification.markRead(req.user._id);
+
+    res.json({
+      message: 'Notifications marked as read',
+      data: { unreadCount: 0 }
+    });
+
+  } catch (error) {
+    console.error('Read notifications error:', error);
+    res.status(500).json({
+      error: 'Failed to update notifications',
+      message: 'Unable to mark notifications as read. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.post('/:id/read', auth, idValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const result = await Notification.markRead(req.user._id, { _id: req.params.id });
+
+    res.json({
+      message: result.modifiedCount > 0 ? 'Notification marked as read' : 'Notification was already read',
+      data: { unreadCount: await Notification.countUnread(req.user._id) }
+    });
+
+  } catch (error) {
+    console.error('Read notification error:', error);
+    res.status(500).json({
+      error: 'Failed to update notification',
+      message: 'Unable to mark the notification as read. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
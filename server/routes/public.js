@@ -0,0 +1,111 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { param } = require('express-validator');
+const Note = require('../models/Note');
+const ShareLink = require('../models/ShareLink');
+const handleValidationErrors = require('../middleware/validation');
+
+const router = express.Router();
+
+// Stricter limit for unauthenticated access, to slow down link password guessing
+const publicLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 public note requests per windowMs
+  message: {
+    error: 'Too many requests',
+    message: 'Too many requests from this IP, please try again later.'
+  }
+});
+
+// Validation rules
+const tokenValidation = [
+  param('token')
+    .isLength({ min: 20, max: 64 })
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('Invalid share link')
+];
+
+// @route   GET /api/public/notes/:token
+// @desc    Get a read-only note through a public share link.
+//          Password-protected links expect the password in the X-Share-Password header.
+// @access  Public
+router.get('/notes/:token', publicLimiter, tokenValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const link = await ShareLink.findOne({ token: req.params.token }).select('+password');
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Link not found',
+        message: 'This share link does not exist or has been revoked.'
+      });
+    }
+
+    if (link.isExpired()) {
+      return res.status(410).json({
+        error: 'Link expired',
+        message: 'This share link has expired.'
+      });
+    }
+
+    if (link.hasPassword) {
+      const password = req.header('X-Share-Password');
+
+      if (!password) {
+        return res.status(401).json({
+          error: 'Password required',
+          message: 'This note is password protected.',
+          passwordRequired: true
+        });
+      }
+
+      const isMatch = await link.comparePassword(password);
+
+      if (!isMatch) {
+        return res.status(401).json({
+          error: 'Invalid password',
+          message: 'The password you entered is incorrect.',
+          passwordRequired: true
+        });
+      }
+    }
+
+    const note = await Note.findOne({ _id: link.noteId, deletedAt: null })
+      .populate('userId', 'firstName isActive');
+
+    // Links of a deactivated account stop working like revoked ones
+    if (!note || !note.userId?.isActive) {
+      return res.status(404).json({
+        error: 'Link not found',
+        message: 'This share link does not exist or has been revoked.'
+      });
+    }
+
+    link.accessCount += 1;
+    link.lastAccessedAt = new Date();
+    await link.save();
+
+    res.json({
+      message: 'Note retrieved successfully',
+      data: {
+        title: note.title,
+        content: note.content,
+        category: note.category,
+        tags: note.tags,
+        color: note.color,
+        author: note.userId ? note.userId.firstName : null,
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+        expiresAt: link.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get public note error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve note',
+      message: 'Unable to fetch note. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,335 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const Reminder = require('../models/Reminder');
+const Note = require('../models/Note');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const handleValidationErrors = require('../middleware/validation');
+const { parseRule, normalizeRule, isValidTimeZone } = require('../utils/recurrence');
+
+const router = express.Router();
+
+// Longest a reminder can be snoozed for, in minutes (one week)
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+// Validation rules
+const scheduleValidation = (startAt) => [
+  startAt
+    .isISO8601()
+    .withMessage('Reminder time must be a valid date and time'),
+  body('rule')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .withMessage('Repeat rule must be a string')
+    .bail()
+    .custom((rule) => {
+      parseRule(rule);
+      return true;
+    }),
+  body('timeZone')
+    .optional()
+    .isString()
+    .bail()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be an IANA time zone such as Europe/Paris'),
+  body('notifyByEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyByEmail must be true or false')
+];
+
+const createReminderValidation = [
+  body('noteId')
+    .isMongoId()
+    .withMessage('Invalid note ID format'),
+  ...scheduleValidation(body('startAt'))
+];
+
+const updateReminderValidation = scheduleValidation(body('startAt').optional());
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(Reminder.STATUSES)
+    .withMessage(`Status must be one of ${Reminder.STATUSES.join(', ')}`),
+  query('noteId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid note ID format')
+];
+
+const snoozeValidation = [
+  body('minutes')
+    .optional()
+    .isInt({ min: 1, max: MAX_SNOOZE_MINUTES })
+    .withMessage(`Snooze for between 1 and ${MAX_SNOOZE_MINUTES} minutes`),
+  body('until')
+    .optional()
+    .isISO8601()
+    .withMessage('Snooze end must be a valid date and time'),
+  body()
+    .custom(({ minutes, until } = {}) => minutes !== undefined || until !== undefined)
+    .withMessage('Say how long to snooze for, with minutes or until')
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid reminder ID format')
+];
+
+const NOTE_FIELDS = 'title type deletedAt';
+
+const reminderNotFound = (res) => res.status(404).json({
+  error: 'Reminder not found',
+  message: 'The requested reminder does not exist or you do not have access to it.'
+});
+
+// The scheduler (or another request) saved the reminder since it was loaded
+const reminderChanged = (res) => res.status(409).json({
+  error: 'Reminder has changed',
+  message: 'This reminder just went off or was changed elsewhere. Reload it and try again.'
+});
+
+const noOccurrences = (res) => res.status(400).json({
+  error: 'Reminder time has passed',
+  message: 'Pick a reminder time in the future, or a repeat rule that has occurrences left.'
+});
+
+// @route   GET /api/reminders
+// @desc    List the user's reminders by due time (dismissed ones with ?status=dismissed)
+// @access  Private
+router.get('/', auth, listValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const reminders = await Reminder.findUserReminders(req.user._id, {
+      noteId: req.query.noteId,
+      status: req.query.status
+    });
+
+    res.json({
+      message: 'Reminders retrieved successfully',
+      data: reminders
+    });
+
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve reminders',
+      message: 'Unable to fetch reminders. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/reminders
+// @desc    Set a one-off or recurring reminder on a note
+// @access  Private
+router.post('/', auth, createReminderValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { noteId, startAt, rule, timeZone, notifyByEmail } = req.body;
+
+    const note = await Note.findAccessible(noteId, req.user._id);
+
+    if (!note) {
+      return res.status(404).json({
+        error: 'Note not found',
+        message: 'The requested note does not exist or you do not have permission to access it.'
+      });
+    }
+
+    const count = await Reminder.countDocuments({ userId: req.user._id, noteId: note._id, status: { $ne: 'dismissed' } });
+    if (count >= Reminder.MAX_REMINDERS_PER_NOTE) {
+      return res.status(400).json({
+        error: 'Too many reminders',
+        message: `A note can have up to ${Reminder.MAX_REMINDERS_PER_NOTE} reminders. Delete one to add another.`
+      });
+    }
+
+    const reminder = new Reminder({
+      userId: req.user._id,
+      noteId: note._id,
+      startAt: new Date(startAt),
+      rule: rule ? normalizeRule(rule) : null,
+      timeZone: timeZone || 'UTC',
+      notifyByEmail: Boolean(notifyByEmail)
+    });
+
+    if (!reminder.schedule()) {
+      return noOccurrences(res);
+    }
+
+    await reminder.save();
+    await reminder.populate('noteId', NOTE_FIELDS);
+
+    res.status(201).json({
+      message: 'Reminder set successfully',
+      data: reminder
+    });
+
+  } catch (error) {
+    console.error('Create reminder error:', error);
+    res.status(500).json({
+      error: 'Failed to set reminder',
+      message: 'Unable to set reminder. Please try again.'
+    });
+  }
+});
+
+// @route   PUT /api/reminders/:id
+// @desc    Change a reminder's time, repeat rule or email setting (a new time or rule starts it over)
+// @access  Private
+router.put('/:id', auth, idValidation, updateReminderValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { startAt, rule, timeZone, notifyByEmail } = req.body;
+
+    const reminder = await Reminder.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!reminder) {
+      return reminderNotFound(res);
+    }
+
+    if (notifyByEmail !== undefined) reminder.notifyByEmail = Boolean(notifyByEmail);
+
+    if (startAt !== undefined || rule !== undefined || timeZone !== undefined) {
+      if (startAt !== undefined) reminder.startAt = new Date(startAt);
+      if (rule !== undefined) reminder.rule = rule ? normalizeRule(rule) : null;
+      if (timeZone !== undefined) reminder.timeZone = timeZone;
+
+      if (!reminder.schedule()) {
+        return noOccurrences(res);
+      }
+    }
+
+    await reminder.save();
+    await reminder.populate('noteId', NOTE_FIELDS);
+
+    res.json({
+      message: 'Reminder updated successfully',
+      data: reminder
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return reminderChanged(res);
+    }
+    console.error('Update reminder error:', error);
+    res.status(500).json({
+      error: 'Failed to update reminder',
+      message: 'Unable to update reminder. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/reminders/:id
+// @desc    Delete a reminder
+// @access  Private
+router.delete('/:id', auth, idValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const reminder = await Reminder.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!reminder) {
+      return reminderNotFound(res);
+    }
+
+    await Notification.markRead(req.user._id, { reminderId: reminder._id });
+
+    res.json({
+      message: 'Reminder deleted successfully',
+      data: { id: reminder._id }
+    });
+
+  } catch (error) {
+    console.error('Delete reminder error:', error);
+    res.status(500).json({
+      error: 'Failed to delete reminder',
+      message: 'Unable to delete reminder. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/reminders/:id/snooze
+// @desc    Remind again later about the occurrence that just went off
+// @access  Private
+router.post('/:id/snooze', auth, idValidation, snoozeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { minutes, until } = req.body;
+
+    const reminder = await Reminder.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!reminder) {
+      return reminderNotFound(res);
+    }
+
+    if (!reminder.canSnooze()) {
+      return res.status(409).json({
+        error: 'Reminder cannot be snoozed',
+        message: 'Only a reminder that has gone off can be snoozed.'
+      });
+    }
+
+    const snoozedUntil = until !== undefined
+      ? new Date(until)
+      : new Date(Date.now() + parseInt(minutes) * 60 * 1000);
+
+    if (snoozedUntil <= new Date() || snoozedUntil - Date.now() > MAX_SNOOZE_MINUTES * 60 * 1000) {
+      return res.status(400).json({
+        error: 'Invalid snooze time',
+        message: 'Snooze until a time in the future, at most a week from now.'
+      });
+    }
+
+    reminder.snooze(snoozedUntil);
+    await reminder.save();
+    await Notification.markRead(req.user._id, { reminderId: reminder._id });
+    await reminder.populate('noteId', NOTE_FIELDS);
+
+    res.json({
+      message: 'Reminder snoozed successfully',
+      data: reminder
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return reminderChanged(res);
+    }
+    console.error('Snooze reminder error:', error);
+    res.status(500).json({
+      error: 'Failed to snooze reminder',
+      message: 'Unable to snooze reminder. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/reminders/:id/dismiss
+// @desc    Dismiss a reminder (recurring reminders carry on with their next occurrence)
+// @access  Private
+router.post('/:id/dismiss', auth, idValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const reminder = await Reminder.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!reminder) {
+      return reminderNotFound(res);
+    }
+
+    reminder.dismiss();
+    await reminder.save();
+    await Notification.markRead(req.user._id, { reminderId: reminder._id });
+    await reminder.populate('noteId', NOTE_FIELDS);
+
+    res.json({
+      message: 'Reminder dismissed successfully',
+      data: reminder
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return reminderChanged(res);
+    }
+    console.error('Dismiss reminder error:', error);
+    res.status(500).json({
+      error: 'Failed to dismiss reminder',
+      message: 'Unable to dismiss reminder. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const NoteRevision = require('../models/NoteRevision');
+const handleValidationErrors = require('../middleware/validation');
+const { hasNoteRole, versionConflict } = require('../middleware/noteAccess');
+const { diffLines, summarizeDiff } = require('../utils/diff');
+const { notifyNoteChange } = require('../utils/noteEvents');
+
+// Mounted under /api/notes/:id/revisions; the parent router authenticates the
+// user and loads the note into req.note with at least viewer access
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const revisionValidation = [
+  param('rev')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer')
+];
+
+const diffValidation = [
+  query('from')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('from must be a positive integer'),
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('to must be a positive integer')
+];
+
+const editorFields = 'firstName lastName email';
+
+const revisionNotFound = (res) => res.status(404).json({
+  error: 'Revision not found',
+  message: 'The requested revision does not exist for this note.'
+});
+
+// @route   GET /api/notes/:id/revisions
+// @desc    List a note's revisions, newest first
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const note = req.note;
+
+    await NoteRevision.ensureBaseline(note);
+
+    const revisions = await NoteRevision.find({ noteId: note._id })
+      .sort({ revision: -1 })
+      .select('revision editedBy changedFields restoredFrom createdAt')
+      .populate('editedBy', editorFields);
+
+    res.json({
+      message: 'Revisions retrieved successfully',
+      data: revisions
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve revisions',
+      message: 'Unable to fetch note history. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/notes/:id/revisions/diff
+// @desc    Line-level diff between two revisions (defaults to the latest and the one before it)
+// @access  Private
+router.get('/diff', diffValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const note = req.note;
+
+    const latest = await NoteRevision.findOne({ noteId: note._id }).sort({ revision: -1 });
+
+    if (!latest) {
+      return revisionNotFound(res);
+    }
+
+    const toRevision = req.query.to ? parseInt(req.query.to) : latest.revision;
+    const fromRevision = req.query.from ? parseInt(req.query.from) : Math.max(toRevision - 1, 1);
+
+    const [from, to] = await Promise.all([
+      NoteRevision.findOne({ noteId: note._id, revision: fromRevision }).populate('editedBy', editorFields),
+      NoteRevision.findOne({ noteId: note._id, revision: toRevision }).populate('editedBy', editorFields)
+    ]);
+
+    if (!from || !to) {
+      return revisionNotFound(res);
+    }
+
+    const lines = diffLines(from.content, to.content);
+
+    res.json({
+      message: 'Revision diff retrieved successfully',
+      data: {
+        from: { revision: from.revision, editedBy: from.editedBy, createdAt: from.createdAt },
+        to: { revision: to.revision, editedBy: to.editedBy, createdAt: to.createdAt },
+        changedFields: NoteRevision.changedFieldsBetween(from, to),
+        title: { from: from.title, to: to.title },
+        category: { from: from.category, to: to.category },
+        color: { from: from.color, to: to.color },
+        tags: {
+          added: to.tags.filter(tag => !from.tags.includes(tag)),
+          removed: from.tags.filter(tag => !to.tags.includes(tag))
+        },
+        content: {
+          summary: summarizeDiff(lines),
+          lines
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to diff revisions',
+      message: 'Unable to compare revisions. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/notes/:id/revisions/:rev
+// @desc    Get a single revision snapshot
+// @access  Private
+router.get('/:rev', revisionValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const note = req.note;
+
+    const revision = await NoteRevision.findOne({
+      noteId: note._id,
+      revision: parseInt(req.params.rev)
+    }).populate('editedBy', editorFields);
+
+    if (!revision) {
+      return revisionNotFound(res);
+    }
+
+    res.json({
+      message: 'Revision retrieved successfully',
+      data: revision
+    });
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve revision',
+      message: 'Unable to fetch revision. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notes/:id/revisions/:rev/restore
+// @desc    Restore a note to a previous revision (recorded as a new revision)
+// @access  Private
+router.post('/:rev/restore', revisionValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const note = req.note;
+
+    if (!hasNoteRole(req.noteRole, 'editor')) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'You have view-only access to this note.'
+      });
+    }
+
+    const revision = await NoteRevision.findOne({
+      noteId: note._id,
+      revision: parseInt(req.params.rev)
+    });
+
+    if (!revision) {
+      return revisionNotFound(res);
+    }
+
+    await NoteRevision.ensureBaseline(note);
+
+    const before = NoteRevision.snapshot(note);
+    const restored = NoteRevision.snapshot(revision);
+    const changedFields = NoteRevision.changedFieldsBetween(before, restored);
+
+    if (changedFields.length === 0) {
+      return res.json({
+        message: 'Note already matches this revision',
+        data: note
+      });
+    }
+
+    changedFields.forEach(field => {
+      note[field] = restored[field];
+    });
+
+    await note.save();
+    await NoteRevision.record(note, req.user._id, changedFields, { restoredFrom: revision.revision });
+    notifyNoteChange(req, 'updated', note);
+
+    res.json({
+      message: `Note restored to revision ${revision.revision}`,
+      data: note
+    });
+
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return versionConflict(res, req.note._id);
+    }
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      error: 'Failed to restore revision',
+      message: 'Unable to restore note. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
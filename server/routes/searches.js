@@ -0,0 +1,177 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const auth = require('../middleware/auth');
+const handleValidationErrors = require('../middleware/validation');
+const { compileSearchQuery } = require('../utils/searchQuery');
+
+const router = express.Router();
+
+// Validation rules
+const queryRule = (field) => field
+  .trim()
+  .isLength({ min: 1, max: 200 })
+  .withMessage('Query must be between 1 and 200 characters')
+  .bail()
+  .custom((query) => {
+    compileSearchQuery(query);
+    return true;
+  });
+
+const createSearchValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  queryRule(body('query'))
+];
+
+const updateSearchValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  queryRule(body('query').optional())
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid saved search ID format')
+];
+
+const searchNotFound = (res) => res.status(404).json({
+  error: 'Saved search not found',
+  message: 'The requested saved search does not exist or you do not have access to it.'
+});
+
+const searchExists = (res, name) => res.status(400).json({
+  error: 'Saved search already exists',
+  message: `You already have a saved search named "${name}".`
+});
+
+// @route   GET /api/searches
+// @desc    List the user's saved searches
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.findUserSearches(req.user._id);
+
+    res.json({
+      message: 'Saved searches retrieved successfully',
+      data: searches
+    });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve saved searches',
+      message: 'Unable to fetch saved searches. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/searches
+// @desc    Save a search query under a name
+// @access  Private
+router.post('/', auth, createSearchValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, query } = req.body;
+
+    if (await SavedSearch.findByName(req.user._id, name)) {
+      return searchExists(res, name);
+    }
+
+    const count = await SavedSearch.countDocuments({ userId: req.user._id });
+    if (count >= SavedSearch.MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        error: 'Too many saved searches',
+        message: `You can keep up to ${SavedSearch.MAX_SAVED_SEARCHES} saved searches. Delete one to save another.`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      userId: req.user._id,
+      name,
+      query
+    });
+
+    res.status(201).json({
+      message: 'Search saved successfully',
+      data: search
+    });
+
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      error: 'Failed to save search',
+      message: 'Unable to save search. Please try again.'
+    });
+  }
+});
+
+// @route   PUT /api/searches/:id
+// @desc    Rename a saved search or change its query
+// @access  Private
+router.put('/:id', auth, idValidation, updateSearchValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, query } = req.body;
+
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!search) {
+      return searchNotFound(res);
+    }
+
+    if (name !== undefined && name !== search.name) {
+      const existing = await SavedSearch.findByName(req.user._id, name);
+      if (existing && !existing._id.equals(search._id)) {
+        return searchExists(res, name);
+      }
+      search.name = name;
+    }
+    if (query !== undefined) search.query = query;
+
+    await search.save();
+
+    res.json({
+      message: 'Saved search updated successfully',
+      data: search
+    });
+
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      error: 'Failed to update saved search',
+      message: 'Unable to update saved search. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/searches/:id
+// @desc    Delete a saved search
+// @access  Private
+router.delete('/:id', auth, idValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!search) {
+      return searchNotFound(res);
+    }
+
+    res.json({
+      message: 'Saved search deleted successfully',
+      data: { id: search._id }
+    });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      error: 'Failed to delete saved search',
+      message: 'Unable to delete saved search. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const ShareLink = require('../models/ShareLink');
+const handleValidationErrors = require('../middleware/validation');
+const requireVerifiedEmail = require('../middleware/verifiedEmail');
+
+// Mounted under /api/notes/:id/links; the parent router authenticates the
+// user and loads the note into req.note with owner access
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const createLinkValidation = [
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365'),
+  body('password')
+    .optional({ nullable: true, checkFalsy: true })
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Link password must be between 4 and 100 characters')
+];
+
+const linkIdValidation = [
+  param('linkId')
+    .isMongoId()
+    .withMessage('Invalid link ID format')
+];
+
+// Helper function to shape a link for the owner
+const formatLink = (link) => ({
+  ...link.toJSON(),
+  url: ShareLink.buildUrl(link.token),
+  isExpired: link.isExpired()
+});
+
+// @route   GET /api/notes/:id/links
+// @desc    List a note's public share links
+// @access  Private (owner only)
+router.get('/', async (req, res) => {
+  try {
+    const links = await ShareLink.find({ noteId: req.note._id }).sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Share links retrieved successfully',
+      data: links.map(formatLink)
+    });
+
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve share links',
+      message: 'Unable to fetch share links. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/notes/:id/links
+// @desc    Create a public read-only link, optionally with an expiry and password
+// @access  Private (owner only)
+router.post('/', requireVerifiedEmail, createLinkValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { expiresInDays, password } = req.body;
+
+    const link = new ShareLink({
+      noteId: req.note._id,
+      createdBy: req.user._id,
+      token: ShareLink.generateToken(),
+      password: password || undefined,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+        : null
+    });
+
+    await link.save();
+
+    res.status(201).json({
+      message: 'Share link created successfully',
+      data: formatLink(link)
+    });
+
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      error: 'Failed to create share link',
+      message: 'Unable to create share link. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/notes/:id/links/:linkId
+// @desc    Revoke a public share link
+// @access  Private (owner only)
+router.delete('/:linkId', linkIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const link = await ShareLink.findOneAndDelete({
+      _id: req.params.linkId,
+      noteId: req.note._id
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Share link not found',
+        message: 'The requested share link does not exist for this note.'
+      });
+    }
+
+    res.json({
+      message: 'Share link revoked successfully',
+      data: { id: link._id }
+    });
+
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke share link',
+      message: 'Unable to revoke share link. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
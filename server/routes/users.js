@@ -1,9 +1,18 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const QRCode = require('qrcode');
 const User = require('../models/User');
 const Note = require('../models/Note');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
 const auth = require('../middleware/auth');
 const handleValidationErrors = require('../middleware/validation');
+const { describeUserAgent } = require('../utils/userAgent');
+const { buildOtpauthUri } = require('../utils/totp');
+const { sendMail } = require('../utils/mailer');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { deleteAccountData } = require('../utils/accountDeletion');
+const { EXPORT_FORMATS, streamExport } = require('../utils/noteExport');
 
 const router = express.Router();
 
@@ -44,6 +53,56 @@ const changePasswordValidation = [
     })
 ];
 
+const passwordConfirmValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('confirm')
+    .equals('DELETE')
+    .withMessage('Type DELETE to confirm'),
+  body('code')
+    .optional()
+    .trim()
+];
+
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID format')
+];
+
+// Helper function to answer a wrong password on a sensitive change
+const invalidPassword = (res) => res.status(400).json({
+  error: 'Invalid password',
+  message: 'The password you entered is incorrect.'
+});
+
+// Helper function to answer a wrong authenticator or recovery code
+const invalidCode = (res) => res.status(400).json({
+  error: 'Invalid code',
+  message: 'The authentication code is incorrect.'
+});
+
 // @route   GET /api/users/profile
 // @desc    Get user profile
 // @access  Private
@@ -58,6 +117,8 @@ router.get('/profile', auth, async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        emailVerified: user.hasVerifiedEmail(),
+        pendingEmail: user.pendingEmail || null,
         fullName: user.getFullName(),
         isActive: user.isActive,
         lastLogin: user.lastLogin,
@@ -97,17 +158,44 @@ router.put('/profile', auth, updateProfileValidation, handleValidationErrors, as
     // Update fields if provided
     if (firstName) user.firstName = firstName.trim();
     if (lastName) user.lastName = lastName.trim();
-    if (email) user.email = email.toLowerCase().trim();
+    
+    // A new email only replaces the current one once it has been verified
+    const emailChangeRequested = email && email !== user.email && email !== user.pendingEmail;
+    if (email === user.email) {
+      user.pendingEmail = undefined;
+    } else if (emailChangeRequested) {
+      user.pendingEmail = email.toLowerCase().trim();
+    }
     
     await user.save();
     
+    if (emailChangeRequested) {
+      try {
+        await sendVerificationEmail(user, user.pendingEmail);
+        await sendMail({
+          to: user.email,
+          subject: 'Your KeepNotes email address is changing',
+          text: `Hi ${user.firstName},\n\n` +
+            `Someone asked to change the email address on your KeepNotes account to ${user.pendingEmail}. ` +
+            `The change happens once the new address is confirmed.\n\n` +
+            `If this wasn't you, change your password and cancel the change from your security settings.`
+        });
+      } catch (mailError) {
+        console.error('Email change mail error:', mailError);
+      }
+    }
+    
     res.json({
-      message: 'Profile updated successfully',
+      message: emailChangeRequested
+        ? `Profile updated. Check ${user.pendingEmail} to confirm your new email address.`
+        : 'Profile updated successfully',
       data: {
         id: user._id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        emailVerified: user.hasVerifiedEmail(),
+        pendingEmail: user.pendingEmail || null,
         fullName: user.getFullName(),
         updatedAt: user.updatedAt
       }
@@ -152,10 +240,15 @@ router.post('/change-password', auth, changePasswordValidation, handleValidation
       });
     }
     
-    // Update password
+    // Update password; access tokens issued before now stop working, and this
+    // device gets a new one through its refresh token
     user.password = newPassword;
+    user.passwordChangedAt = new Date();
     await user.save();
     
+    // Sign out every other device; this one stays logged in
+    await Session.revokeAll(user._id, req.sessionId);
+    
     res.json({
       message: 'Password changed successfully'
     });
@@ -169,6 +262,66 @@ router.post('/change-password', auth, changePasswordValidation, handleValidation
   }
 });
 
+// @route   POST /api/users/resend-verification
+// @desc    Send another verification email for the pending or unverified address
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = req.user;
+    const email = user.pendingEmail || (!user.hasVerifiedEmail() && user.email);
+    
+    if (!email) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'Your email address is already verified.'
+      });
+    }
+    
+    await sendVerificationEmail(user, email);
+    
+    res.json({
+      message: `Verification email sent to ${email}`
+    });
+    
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification email',
+      message: 'Unable to send verification email. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/users/pending-email
+// @desc    Cancel a pending email change
+// @access  Private
+router.delete('/pending-email', auth, async (req, res) => {
+  try {
+    const user = req.user;
+    
+    if (!user.pendingEmail) {
+      return res.status(404).json({
+        error: 'No pending email',
+        message: 'There is no email change to cancel.'
+      });
+    }
+    
+    user.pendingEmail = undefined;
+    await user.save();
+    
+    res.json({
+      message: 'Email change cancelled'
+    });
+    
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel email change',
+      message: 'Unable to cancel the email change. Please try again.'
+    });
+  }
+});
+
 // @route   GET /api/users/dashboard
 // @desc    Get user dashboard data
 // @access  Private
@@ -177,22 +330,13 @@ router.get('/dashboard', auth, async (req, res) => {
     const userId = req.user._id;
     
     // Get user statistics
-    const stats = await Note.getUserStats(userId);
-    const userStats = stats[0] || {
-      totalNotes: 0,
-      pinnedNotes: 0,
-      categories: {
-        personal: 0,
-        work: 0,
-        creative: 0,
-        study: 0
-      }
-    };
+    const userStats = await Note.getUserStats(userId);
     
     // Get recent notes (last 5)
     const recentNotes = await Note.find({
       userId,
-      isArchived: false
+      isArchived: false,
+      deletedAt: null
     })
     .sort({ updatedAt: -1 })
     .limit(5)
@@ -202,7 +346,8 @@ router.get('/dashboard', auth, async (req, res) => {
     const pinnedNotes = await Note.find({
       userId,
       isPinned: true,
-      isArchived: false
+      isArchived: false,
+      deletedAt: null
     })
     .sort({ updatedAt: -1 })
     .limit(5)
@@ -216,6 +361,7 @@ router.get('/dashboard', auth, async (req, res) => {
     
     const todayActivity = await Note.countDocuments({
       userId,
+      deletedAt: null,
       updatedAt: {
         $gte: today,
         $lt: tomorrow
@@ -249,21 +395,43 @@ router.get('/dashboard', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/export
+// @desc    Download all of the user's notes as JSON, a zip of Markdown files or CSV
+// @access  Private
+router.get('/export', auth, exportValidation, handleValidationErrors, async (req, res) => {
+  try {
+    await streamExport(res, req.user, req.query.format || 'json');
+  } catch (error) {
+    console.error('Export notes error:', error);
+    // Once the download has started the only way to signal failure is to cut it short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      error: 'Export failed',
+      message: 'Unable to export notes. Please try again.'
+    });
+  }
+});
+
 // @route   DELETE /api/users/account
-// @desc    Deactivate user account
+// @desc    Deactivate user account; it is deleted after the grace period unless reactivated
 // @access  Private
 router.delete('/account', auth, async (req, res) => {
   try {
     const user = req.user;
     
     // Deactivate account instead of deleting
-    user.isActive = false;
+    user.deactivate();
     await user.save();
+    await Session.revokeAll(user._id);
     
     res.json({
       message: 'Account deactivated successfully',
       data: {
-        message: 'Your account has been deactivated. Contact support to reactivate.'
+        message: `Your account has been deactivated. Login before ${user.deletionScheduledFor.toDateString()} to reactivate it; after that it will be permanently deleted.`,
+        deletionScheduledFor: user.deletionScheduledFor
       }
     });
     
@@ -276,4 +444,343 @@ router.delete('/account', auth, async (req, res) => {
   }
 });
 
+// @route   DELETE /api/users/account/permanent
+// @desc    Permanently delete the account and all its data right away
+// @access  Private
+router.delete('/account/permanent', auth, deleteAccountValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id).select('+password');
+    
+    if (!(await user.comparePassword(req.body.password))) {
+      return invalidPassword(res);
+    }
+    
+    if (user.twoFactor.enabled && !user.verifyTwoFactorCode(req.body.code)) {
+      return invalidCode(res);
+    }
+    
+    const deletedNotes = await deleteAccountData(user._id);
+    
+    res.json({
+      message: 'Account deleted permanently',
+      data: { deletedNotes }
+    });
+    
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      error: 'Failed to delete account',
+      message: 'Unable to delete account. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/users/sessions
+// @desc    List the devices signed in to the account
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActive(req.user._id);
+    
+    res.json({
+      message: 'Sessions retrieved successfully',
+      data: sessions.map(session => ({
+        id: session._id,
+        device: describeUserAgent(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve sessions',
+      message: 'Unable to fetch sessions. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/users/sessions
+// @desc    Sign out every other device
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAll(req.user._id, req.sessionId);
+    
+    res.json({
+      message: `Signed out of ${revoked} other session(s)`,
+      data: { revoked }
+    });
+    
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: 'Unable to sign out other devices. Please try again.'
+    });
+  }
+});
+
+// @route   DELETE /api/users/sessions/:sessionId
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:sessionId', auth, sessionIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user._id,
+      revokedAt: null
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'The requested session does not exist or has already ended.'
+      });
+    }
+    
+    await session.revoke();
+    
+    res.json({
+      message: 'Session revoked successfully',
+      data: {
+        id: session._id,
+        current: session._id.equals(req.sessionId)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: 'Unable to sign out this device. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/users/security-events
+// @desc    List recent security events on the account (e.g. lockouts)
+// @access  Private
+router.get('/security-events', auth, async (req, res) => {
+  try {
+    const events = await SecurityEvent.findRecent(req.user._id);
+    
+    res.json({
+      message: 'Security events retrieved successfully',
+      data: events.map(event => ({
+        id: event._id,
+        type: event.type,
+        device: describeUserAgent(event.userAgent),
+        ip: event.ip,
+        details: event.details,
+        createdAt: event.createdAt
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve security events',
+      message: 'Unable to fetch security activity. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/users/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+    
+    res.json({
+      message: 'Two-factor status retrieved successfully',
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve two-factor status',
+      message: 'Unable to fetch two-factor settings. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/users/2fa/setup
+// @desc    Start two-factor enrollment; returns the secret and a QR code for an authenticator app
+// @access  Private
+router.post('/2fa/setup', auth, passwordConfirmValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id).select('+password');
+    
+    if (!(await user.comparePassword(req.body.password))) {
+      return invalidPassword(res);
+    }
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled. Disable it first to set up a new authenticator.'
+      });
+    }
+    
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+    
+    const otpauthUrl = buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'KeepNotes'
+    });
+    
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Failed to set up two-factor authentication',
+      message: 'Unable to start two-factor setup. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/users/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app; returns recovery codes
+// @access  Private
+router.post('/2fa/enable', auth, twoFactorCodeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled.'
+      });
+    }
+    
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: 'Setup not started',
+        message: 'Start two-factor setup before confirming a code.'
+      });
+    }
+    
+    if (!user.enableTwoFactor(req.body.code)) {
+      return invalidCode(res);
+    }
+    
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    
+    // Devices that signed in with only a password have to sign in again
+    await Session.revokeAll(user._id, req.sessionId);
+    
+    res.json({
+      message: 'Two-factor authentication enabled',
+      data: {
+        enabled: true,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodes
+      }
+    });
+    
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      message: 'Unable to enable two-factor authentication. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/users/2fa/disable
+// @desc    Turn off two-factor authentication (password and a current code required)
+// @access  Private
+router.post('/2fa/disable', auth, [...passwordConfirmValidation, ...twoFactorCodeValidation], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id).select('+password');
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled.'
+      });
+    }
+    
+    if (!(await user.comparePassword(req.body.password))) {
+      return invalidPassword(res);
+    }
+    
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return invalidCode(res);
+    }
+    
+    user.disableTwoFactor();
+    await user.save();
+    
+    res.json({
+      message: 'Two-factor authentication disabled',
+      data: { enabled: false }
+    });
+    
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      message: 'Unable to disable two-factor authentication. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/users/2fa/recovery-codes
+// @desc    Replace the recovery codes (a current code required); the old ones stop working
+// @access  Private
+router.post('/2fa/recovery-codes', auth, twoFactorCodeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled.'
+      });
+    }
+    
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return invalidCode(res);
+    }
+    
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    
+    res.json({
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+    
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate recovery codes',
+      message: 'Unable to regenerate recovery codes. Please try again.'
+    });
+  }
+});
+
 module.exports = router;
@@ -3,11 +3,22 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const noteRoutes = require('./routes/notes');
 const userRoutes = require('./routes/users');
+const publicRoutes = require('./routes/public');
+const categoryRoutes = require('./routes/categories');
+const searchRoutes = require('./routes/searches');
+const eventRoutes = require('./routes/events');
+const reminderRoutes = require('./routes/reminders');
+const notificationRoutes = require('./routes/notifications');
+const { startTrashPurgeJob } = require('./jobs/purgeTrash');
+const { startAccountDeletionJob } = require('./jobs/deleteAccounts');
+const { startReminderJob } = require('./jobs/sendReminders');
+const Note = require('./models/Note');
 
 const app = express();
 
@@ -31,19 +42,34 @@ app.use(cors({
 // Body parser middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/keepnotes', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  Note.backfillSyncedAt()
+    .then(count => count > 0 && console.log(`🔄 Set the sync position of ${count} note(s)`))
+    .catch(err => console.error('❌ Sync position backfill error:', err));
+  startTrashPurgeJob();
+  startAccountDeletionJob();
+  startReminderJob();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/notes', noteRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/searches', searchRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
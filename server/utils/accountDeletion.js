@@ -0,0 +1,40 @@
+const User = require('../models/User');
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const ShareLink = require('../models/ShareLink');
+const Category = require('../models/Category');
+const SavedSearch = require('../models/SavedSearch');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const Reminder = require('../models/Reminder');
+const Notification = require('../models/Notification');
+
+// Permanently erase a user and everything that belongs to them: their notes
+// (with revisions, share links and everyone's reminders on them), categories,
+// saved searches, reminders, notifications, sessions and security events.
+// They are also removed as a collaborator from other people's notes; revisions
+// they made on those notes stay, but no longer point at a person.
+const deleteAccountData = async (userId) => {
+  const noteIds = await Note.find({ userId }).distinct('_id');
+
+  await NoteRevision.deleteMany({ noteId: { $in: noteIds } });
+  await ShareLink.deleteMany({ $or: [{ noteId: { $in: noteIds } }, { createdBy: userId }] });
+  await Reminder.deleteMany({ $or: [{ noteId: { $in: noteIds } }, { userId }] });
+  await Note.deleteMany({ userId });
+  await Note.updateMany(
+    { 'collaborators.userId': userId },
+    { $pull: { collaborators: { userId } }, $inc: { __v: 1 } }
+  );
+  await Category.deleteMany({ userId });
+  await SavedSearch.deleteMany({ userId });
+  await Notification.deleteMany({ userId });
+  await Session.deleteMany({ userId });
+  await SecurityEvent.deleteMany({ userId });
+  await User.deleteOne({ _id: userId });
+
+  return noteIds.length;
+};
+
+module.exports = {
+  deleteAccountData
+};
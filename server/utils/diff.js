@@ -0,0 +1,148 @@
+// Edit scripts longer than this fall back to "replace everything" so a diff
+// of two unrelated large texts cannot exhaust memory
+const MAX_EDIT_DISTANCE = 4000;
+
+// Shortest edit script between two line arrays using Myers' O(ND) algorithm.
+// Returns null when the edit distance exceeds MAX_EDIT_DISTANCE.
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+
+  // v[k] holds the furthest x reached on diagonal k; trace[d] is v before step d,
+  // stored for the diagonal range [-d - 1, d + 1] only
+  let v = new Int32Array(3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v);
+    const next = new Int32Array(2 * d + 3);
+    // previous frontier covers [-d, d] at offset d; new one covers [-d - 1, d + 1] at offset d + 1
+    const prev = (k) => v[k + d];
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && prev(k - 1) < prev(k + 1)))
+        ? prev(k + 1)
+        : prev(k - 1) + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      next[k + d + 1] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, d);
+      }
+    }
+
+    v = next;
+  }
+
+  return null;
+};
+
+// Walk the stored frontiers backwards to recover the edit operations
+const backtrack = (a, b, trace, depth) => {
+  const operations = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = depth; d > 0; d--) {
+    const frontier = trace[d];
+    const prev = (k) => frontier[k + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && prev(k - 1) < prev(k + 1))) ? k + 1 : k - 1;
+    const prevX = prev(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      operations.push({ type: 'equal', a: x - 1, b: y - 1 });
+      x--;
+      y--;
+    }
+
+    if (x === prevX) {
+      operations.push({ type: 'added', a: null, b: y - 1 });
+      y--;
+    } else {
+      operations.push({ type: 'removed', a: x - 1, b: null });
+      x--;
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    operations.push({ type: 'equal', a: x - 1, b: y - 1 });
+    x--;
+    y--;
+  }
+
+  return operations.reverse();
+};
+
+// Line-level diff between two texts.
+// Returns a list of { type: 'equal' | 'added' | 'removed', value, oldLine, newLine }
+// where oldLine/newLine are 1-based line numbers (null when not applicable).
+const diffLines = (oldText = '', newText = '') => {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  // Trim the common prefix and suffix before running the diff proper
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+
+  const middle = myers(a, b) || [
+    ...a.map((line, i) => ({ type: 'removed', a: i, b: null })),
+    ...b.map((line, i) => ({ type: 'added', a: null, b: i }))
+  ];
+
+  const result = [];
+  for (let i = 0; i < start; i++) {
+    result.push({ type: 'equal', value: oldLines[i], oldLine: i + 1, newLine: i + 1 });
+  }
+
+  middle.forEach(op => {
+    result.push({
+      type: op.type,
+      value: op.type === 'added' ? b[op.b] : a[op.a],
+      oldLine: op.a === null ? null : start + op.a + 1,
+      newLine: op.b === null ? null : start + op.b + 1
+    });
+  });
+
+  for (let i = oldEnd; i < oldLines.length; i++) {
+    result.push({
+      type: 'equal',
+      value: oldLines[i],
+      oldLine: i + 1,
+      newLine: newEnd + (i - oldEnd) + 1
+    });
+  }
+
+  return result;
+};
+
+// Summarize a diff as counts of added and removed lines
+const summarizeDiff = (operations) => ({
+  added: operations.filter(op => op.type === 'added').length,
+  removed: operations.filter(op => op.type === 'removed').length
+});
+
+module.exports = {
+  diffLines,
+  summarizeDiff
+};
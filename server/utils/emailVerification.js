@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const { sendMail } = require('./mailer');
+
+const POLICIES = ['off', 'restrict', 'block'];
+
+// What unverified accounts may do (EMAIL_VERIFICATION_POLICY):
+// - off: nothing is restricted, addresses are still verified
+// - restrict: everything except sharing notes with people or links (default)
+// - block: nothing; logging in waits until the address is verified
+const getPolicy = () => {
+  const policy = (process.env.EMAIL_VERIFICATION_POLICY || 'restrict').toLowerCase();
+  return POLICIES.includes(policy) ? policy : 'restrict';
+};
+
+// Create a signed token proving the holder received mail at `email`. The
+// address is part of the token, so a token for an abandoned email change
+// cannot verify a different address.
+const createVerificationToken = (userId, email) => {
+  return jwt.sign(
+    { userId, email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || '24')}h` }
+  );
+};
+
+// Decode a verification token; returns { userId, email } or null
+const readVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'verify-email') return null;
+    return { userId: decoded.userId, email: decoded.email };
+  } catch {
+    return null;
+  }
+};
+
+// Email a verification link for `email` (the account address, or a pending new one)
+const sendVerificationEmail = async (user, email = user.email) => {
+  const token = createVerificationToken(user._id, email);
+  const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/verify-email/${token}`;
+  const isChange = email !== user.email;
+
+  await sendMail({
+    to: email,
+    subject: isChange ? 'Confirm your new KeepNotes email address' : 'Verify your KeepNotes email address',
+    text: `Hi ${user.firstName},\n\n` +
+      (isChange
+        ? `Please confirm that you want to use this address for your KeepNotes account. ` +
+          `Your email will change once you open the link below:\n\n`
+        : `Please confirm your email address by opening the link below:\n\n`) +
+      `${verifyUrl}\n\n` +
+      `This link expires in ${parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || '24')} hours. ` +
+      `If you did not request this, you can ignore this email.`
+  });
+};
+
+module.exports = {
+  getPolicy,
+  createVerificationToken,
+  readVerificationToken,
+  sendVerificationEmail
+};
@@ -0,0 +1,77 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Transports take a message ({ to, subject, text, html }) and deliver it.
+// Pick one with MAIL_TRANSPORT; register your own with registerTransport().
+const transports = {
+  // Print the message to stdout (default for local development)
+  console: async (message) => {
+    console.log('📧 Email (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+  },
+
+  // Write each message as a JSON file, handy for tests and local inspection
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Deliver through an SMTP server configured with SMTP_* variables
+  smtp: async (message) => {
+    if (!smtpTransporter) {
+      const nodemailer = require('nodemailer');
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+    }
+
+    await smtpTransporter.sendMail(message);
+  }
+};
+
+let smtpTransporter = null;
+
+// Register a custom transport (e.g. a third-party email API)
+const registerTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = transport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'KeepNotes <no-reply@keepnotes.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
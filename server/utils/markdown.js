@@ -0,0 +1,38 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// GitHub-flavoured Markdown; single newlines become <br> so plain-text notes keep their line breaks
+marked.setOptions({
+  gfm: true,
+  breaks: true
+});
+
+// Whitelist of markup allowed in rendered notes. Anything else (scripts, event
+// handlers, iframes, javascript: URLs, ...) is stripped.
+const sanitizeOptions = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'del', 'input', 'h1', 'h2']),
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    input: ['type', 'checked', 'disabled'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    // Open links in a new tab without giving the target page access to KeepNotes
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' }),
+    // Task list checkboxes are display-only
+    input: sanitizeHtml.simpleTransform('input', { type: 'checkbox', disabled: 'disabled' })
+  }
+};
+
+// Render note Markdown to sanitized HTML
+const renderMarkdown = (content = '') => {
+  return sanitizeHtml(marked.parse(content), sanitizeOptions);
+};
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,69 @@
+// Live note changes and notifications, pushed to the browser over Server-Sent
+// Events (GET /api/events).
+// Open streams are kept in memory, so a change only reaches the clients connected
+// to the server instance that made it.
+
+// userId -> Set of { res, clientId }
+const connections = new Map();
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Register an open event stream for a user; returns a function that removes it
+const addConnection = (userId, res, clientId) => {
+  const key = userId.toString();
+  const connection = { res, clientId };
+
+  if (!connections.has(key)) connections.set(key, new Set());
+  connections.get(key).add(connection);
+
+  return () => {
+    const userConnections = connections.get(key);
+    if (!userConnections) return;
+    userConnections.delete(connection);
+    if (userConnections.size === 0) connections.delete(key);
+  };
+};
+
+// Everyone who can see a note: its owner and its collaborators
+const noteAudience = (note) => [
+  note.userId,
+  ...(note.collaborators || []).map(collaborator => collaborator.userId?._id || collaborator.userId)
+].filter(Boolean);
+
+// Send a note event to the note's audience (or the given users). Deletions only
+// carry the note ID; every other event carries the whole note.
+const publishNoteEvent = (type, note, { audience = noteAudience(note), exceptClientId } = {}) => {
+  const data = type === 'deleted' || type === 'purged'
+    ? { type, noteId: note._id }
+    : { type, noteId: note._id, note: typeof note.toJSON === 'function' ? note.toJSON() : note };
+
+  for (const userId of new Set(audience.map(id => id.toString()))) {
+    for (const { res, clientId } of connections.get(userId) || []) {
+      if (exceptClientId && clientId === exceptClientId) continue;
+      writeEvent(res, 'note', data);
+    }
+  }
+};
+
+// Publish a change made by a request to everyone except the browser tab that
+// made it, which identifies itself with the X-Client-Id header
+const notifyNoteChange = (req, type, note, options = {}) => {
+  publishNoteEvent(type, note, { ...options, exceptClientId: req.get('X-Client-Id') });
+};
+
+// Send an event that is not about a note (e.g. 'notification') to all of a user's streams
+const publishUserEvent = (userId, event, data) => {
+  for (const { res } of connections.get(userId.toString()) || []) {
+    writeEvent(res, event, data);
+  }
+};
+
+module.exports = {
+  writeEvent,
+  addConnection,
+  publishNoteEvent,
+  notifyNoteChange,
+  publishUserEvent
+};
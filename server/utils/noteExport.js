@@ -0,0 +1,184 @@
+const archiver = require('archiver');
+const Note = require('../models/Note');
+const Category = require('../models/Category');
+
+// Bumped whenever the shape of the JSON export changes, so importers can tell versions apart
+const EXPORT_VERSION = 1;
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  markdown: { contentType: 'application/zip', extension: 'zip' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+const CSV_COLUMNS = ['id', 'title', 'type', 'content', 'category', 'tags', 'color', 'isPinned', 'isArchived', 'createdAt', 'updatedAt'];
+
+// Everything the user owns except trashed notes, oldest first, one document at a time
+const noteCursor = (userId) => Note.find({ userId, deletedAt: null })
+  .sort({ createdAt: 1 })
+  .select('title type content items category tags isPinned isArchived color createdAt updatedAt')
+  .lean()
+  .cursor();
+
+const toExportNote = (note) => ({
+  id: note._id.toString(),
+  title: note.title,
+  type: note.type || 'text',
+  content: note.content,
+  ...(note.type === 'checklist' && {
+    items: [...note.items]
+      .sort((a, b) => a.order - b.order)
+      .map(({ text, done }) => ({ text, done }))
+  }),
+  category: note.category,
+  tags: note.tags || [],
+  color: note.color,
+  isPinned: !!note.isPinned,
+  isArchived: !!note.isArchived,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt
+});
+
+// Write a chunk and wait for the client to catch up when the socket buffer is full.
+// Rejects once the client has gone away so the export stops reading from the database.
+const write = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    return reject(new Error('Export stream closed'));
+  }
+  if (stream.write(chunk)) {
+    return resolve();
+  }
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    stream.destroyed ? reject(new Error('Export stream closed')) : resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+const writeJson = async (res, user) => {
+  const categories = await Category.find({ userId: user._id })
+    .sort({ name: 1 })
+    .select('name color icon')
+    .lean();
+
+  const header = {
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    user: {
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email
+    },
+    categories: categories.map(({ name, color, icon }) => ({ name, color, icon }))
+  };
+
+  // The header object is serialized whole; notes are spliced into its trailing array one by one
+  await write(res, JSON.stringify(header).slice(0, -1) + ',"notes":[');
+  let first = true;
+  for await (const note of noteCursor(user._id)) {
+    await write(res, (first ? '' : ',') + JSON.stringify(toExportNote(note)));
+    first = false;
+  }
+  res.end(']}');
+};
+
+// Quote a CSV field when needed. Fields that a spreadsheet would run as a
+// formula are prefixed with an apostrophe (Markdown list items are left alone).
+const csvField = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  if (/^(?:[=+@\t\r]|-(?!\s))/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = async (res, user) => {
+  // Byte order mark so spreadsheet apps read the file as UTF-8
+  await write(res, '\uFEFF' + CSV_COLUMNS.join(',') + '\r\n');
+  for await (const note of noteCursor(user._id)) {
+    const row = toExportNote(note);
+    row.tags = row.tags.join(';');
+    await write(res, CSV_COLUMNS.map(column => csvField(row[column])).join(',') + '\r\n');
+  }
+  res.end();
+};
+
+const slugify = (text) => text
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+// YAML front matter; strings are written as JSON, which is valid double-quoted YAML
+const toMarkdown = (note) => [
+  '---',
+  `title: ${JSON.stringify(note.title)}`,
+  `type: ${note.type}`,
+  `category: ${JSON.stringify(note.category)}`,
+  `tags: ${JSON.stringify(note.tags)}`,
+  `color: ${JSON.stringify(note.color)}`,
+  `pinned: ${note.isPinned}`,
+  `archived: ${note.isArchived}`,
+  `created: ${note.createdAt.toISOString()}`,
+  `updated: ${note.updatedAt.toISOString()}`,
+  `id: ${note.id}`,
+  '---',
+  '',
+  note.content,
+  ''
+].join('\n');
+
+// Zip of one Markdown file per note; archived notes go in an "archived" folder
+const writeMarkdownZip = async (res, user) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    res.on('close', resolve);
+  });
+  archive.pipe(res);
+
+  for await (const doc of noteCursor(user._id)) {
+    if (res.destroyed) {
+      archive.abort();
+      throw new Error('Export stream closed');
+    }
+
+    const note = toExportNote(doc);
+    const name = `${note.isArchived ? 'archived/' : ''}${slugify(note.title) || 'untitled'}-${note.id}.md`;
+    // Wait for each entry to be compressed so only one note is held in memory
+    const added = new Promise(resolve => archive.once('entry', resolve));
+    archive.append(toMarkdown(note), { name, date: note.updatedAt });
+    await Promise.race([added, finished]);
+  }
+
+  await archive.finalize();
+  await finished;
+};
+
+const WRITERS = {
+  json: writeJson,
+  markdown: writeMarkdownZip,
+  csv: writeCsv
+};
+
+// Stream a user's notes to an HTTP response in the given format
+const streamExport = async (res, user, format) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="keepnotes-export-${date}.${extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  await WRITERS[format](res, user);
+};
+
+module.exports = {
+  EXPORT_VERSION,
+  EXPORT_FORMATS,
+  streamExport
+};
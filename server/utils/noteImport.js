@@ -0,0 +1,224 @@
+const path = require('path');
+const Note = require('../models/Note');
+const { EXPORT_VERSION } = require('./noteExport');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const MAX_TAGS = 10;
+
+// Google Keep's named note colors, as shown in the Keep web app
+const GOOGLE_KEEP_COLORS = {
+  DEFAULT: '#ffffff',
+  RED: '#f28b82',
+  ORANGE: '#fbbc04',
+  YELLOW: '#fff475',
+  GREEN: '#ccff90',
+  TEAL: '#a7ffeb',
+  BLUE: '#cbf0f8',
+  CERULEAN: '#aecbfa',
+  PURPLE: '#d7aefb',
+  PINK: '#fdcfe8',
+  BROWN: '#e6c9a8',
+  GRAY: '#e8eaed'
+};
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+const toBoolean = (value) => value === true || value === 'true';
+
+// Trim, de-duplicate and cap tags the way the notes API does; returns a warning when some were dropped
+const normalizeTags = (tags) => {
+  const cleaned = [...new Set((Array.isArray(tags) ? tags : [])
+    .map(tag => String(tag).trim().slice(0, 30))
+    .filter(tag => tag))];
+  return {
+    tags: cleaned.slice(0, MAX_TAGS),
+    warning: cleaned.length > MAX_TAGS ? `Only the first ${MAX_TAGS} tags were kept` : null
+  };
+};
+
+// Build the fields of a note from loosely typed imported values
+const buildNote = ({ title, type, content, items, category, tags, color, isPinned, isArchived, createdAt, updatedAt }, warnings = []) => {
+  const tagResult = normalizeTags(tags);
+  if (tagResult.warning) warnings.push(tagResult.warning);
+
+  const note = {
+    title: String(title || '').trim().slice(0, 200) || 'Untitled',
+    type: type === 'checklist' ? 'checklist' : 'text',
+    content: String(content || '').trim(),
+    category: category ? String(category).trim() : undefined,
+    tags: tagResult.tags,
+    color: /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(color) ? color : undefined,
+    isPinned: toBoolean(isPinned),
+    isArchived: toBoolean(isArchived),
+    createdAt: toDate(createdAt),
+    updatedAt: toDate(updatedAt)
+  };
+
+  if (note.type === 'checklist') {
+    note.items = Array.isArray(items) && items.length
+      ? items
+        .filter(item => item && String(item.text || '').trim())
+        .slice(0, Note.MAX_CHECKLIST_ITEMS)
+        .map((item, index) => ({ text: String(item.text).trim().slice(0, 500), done: toBoolean(item.done), order: index }))
+      : Note.parseChecklist(note.content);
+    note.content = Note.formatChecklist(note.items);
+  }
+
+  return { note, warnings };
+};
+
+// Front matter values: JSON literals (as written by the Markdown export),
+// YAML block lists ("tags:" followed by "- name" lines) or plain text
+const parseFrontMatter = (text) => {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    const listItem = line.match(/^\s+-\s+(.*)$/);
+    if (listKey && listItem) {
+      data[listKey].push(listItem[1].trim().replace(/^["']|["']$/g, ''));
+      continue;
+    }
+
+    const field = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!field) continue;
+    const [, key, raw] = field;
+    listKey = null;
+
+    if (raw === '') {
+      data[key] = [];
+      listKey = key;
+      continue;
+    }
+    try {
+      data[key] = JSON.parse(raw);
+    } catch {
+      data[key] = raw.trim().replace(/^'(.*)'$/, '$1');
+    }
+  }
+
+  return { data, body: text.slice(match[0].length) };
+};
+
+// Markdown or plain text file. The title comes from front matter, a leading
+// "# Heading" or the file name, in that order.
+const fromMarkdown = (text, filename) => {
+  const { data, body } = parseFrontMatter(text);
+  let content = body.trim();
+  let title = data.title;
+
+  if (!title) {
+    const heading = content.match(/^#\s+(.+)(?:\r?\n|$)/);
+    if (heading) {
+      title = heading[1];
+      content = content.slice(heading[0].length).trim();
+    } else {
+      title = path.basename(filename, path.extname(filename));
+    }
+  }
+
+  return buildNote({
+    title,
+    type: data.type,
+    content,
+    category: data.category,
+    tags: data.tags || data.labels,
+    color: data.color,
+    isPinned: data.pinned,
+    isArchived: data.archived,
+    createdAt: data.created || data.date,
+    updatedAt: data.updated
+  });
+};
+
+// One Google Keep Takeout note (Takeout/Keep/*.json)
+const fromGoogleKeep = (data) => {
+  const warnings = [];
+  if (data.attachments?.length) warnings.push('Attachments are not imported');
+
+  // Hand-edited files may hold anything; ignore values of the wrong type
+  const textContent = typeof data.textContent === 'string' ? data.textContent : '';
+  const lines = textContent.trim().split('\n');
+  const isChecklist = Array.isArray(data.listContent);
+  const listItems = isChecklist ? data.listContent.filter(item => item && typeof item === 'object') : [];
+  const labels = Array.isArray(data.labels) ? data.labels : [];
+
+  return buildNote({
+    // Untitled Keep notes are named after their first line
+    title: data.title || (isChecklist ? listItems[0]?.text : lines[0]) || 'Untitled',
+    type: isChecklist ? 'checklist' : 'text',
+    content: isChecklist
+      ? ''
+      : data.title ? textContent : lines.slice(1).join('\n') || lines[0],
+    items: isChecklist ? listItems.map(item => ({ text: item.text, done: item.isChecked })) : undefined,
+    tags: labels.map(label => label?.name).filter(name => typeof name === 'string'),
+    color: GOOGLE_KEEP_COLORS[data.color] || GOOGLE_KEEP_COLORS.DEFAULT,
+    isPinned: data.isPinned,
+    isArchived: data.isArchived,
+    createdAt: data.createdTimestampUsec ? Math.floor(data.createdTimestampUsec / 1000) : undefined,
+    updatedAt: data.userEditedTimestampUsec ? Math.floor(data.userEditedTimestampUsec / 1000) : undefined
+  }, warnings);
+};
+
+const isKeepNotesExport = (data) => data && typeof data.version === 'number' && Array.isArray(data.notes);
+
+const isGoogleKeepNote = (data) => data && ('textContent' in data || 'listContent' in data) && 'userEditedTimestampUsec' in data;
+
+// Turn an uploaded file into import entries: { source, note, warnings } for
+// notes to import, { source, skipped } or { source, error } for the rest
+const parseImportFile = ({ originalname, buffer }) => {
+  const extension = path.extname(originalname).toLowerCase();
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (MARKDOWN_EXTENSIONS.includes(extension)) {
+    return { format: 'markdown', entries: [{ source: originalname, ...fromMarkdown(text, originalname) }] };
+  }
+
+  if (extension !== '.json') {
+    return { entries: [{ source: originalname, error: 'Unsupported file type. Upload .md, .txt or .json files.' }] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { entries: [{ source: originalname, error: 'File is not valid JSON' }] };
+  }
+
+  if (isKeepNotesExport(data)) {
+    if (data.version > EXPORT_VERSION) {
+      return { entries: [{ source: originalname, error: `Export version ${data.version} is newer than this server supports` }] };
+    }
+    return {
+      format: 'keepnotes',
+      categories: Array.isArray(data.categories) ? data.categories : [],
+      entries: data.notes.map((note, index) => ({
+        source: `${originalname}#${index + 1}`,
+        ...buildNote(note || {})
+      }))
+    };
+  }
+
+  if (isGoogleKeepNote(data)) {
+    return {
+      format: 'google-keep',
+      entries: [data.isTrashed
+        ? { source: originalname, skipped: 'Note is in the Google Keep trash' }
+        : { source: originalname, ...fromGoogleKeep(data) }]
+    };
+  }
+
+  return { entries: [{ source: originalname, error: 'Not a KeepNotes export or Google Keep note' }] };
+};
+
+module.exports = {
+  MARKDOWN_EXTENSIONS,
+  GOOGLE_KEEP_COLORS,
+  parseImportFile
+};
@@ -0,0 +1,229 @@
+// Recurring reminders use a subset of iCalendar RRULE (RFC 5545):
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY   (required)
+//   INTERVAL=n                         every n days/weeks/months/years
+//   BYDAY=MO,WE,FR                     weekdays, with FREQ=WEEKLY only
+//   COUNT=n or UNTIL=20261231[T090000Z] when to stop
+// e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR" or "FREQ=MONTHLY;INTERVAL=3;COUNT=4".
+// Occurrences keep the wall-clock time of the first one in the reminder's
+// time zone, so a 9:00 reminder stays at 9:00 across daylight saving changes.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 1000;
+const MAX_COUNT = 1000;
+// Upper bound on the periods stepped through to find an occurrence
+const MAX_STEPS = 50000;
+
+const ruleError = (message) => new Error(`Invalid repeat rule: ${message}`);
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    throw ruleError('UNTIL must look like 20261231 or 20261231T090000Z.');
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  // A date on its own includes that whole day, wherever the reminder is
+  return match[4] === undefined
+    ? { date: year * 10000 + month * 100 + day }
+    : { time: new Date(Date.UTC(year, month - 1, day, hour, minute, second)) };
+};
+
+// Parse a rule into { freq, interval, byDay, count, until }; throws an Error
+// with a user-facing message when it is malformed or uses unsupported parts
+const parseRule = (text) => {
+  const rule = { freq: null, interval: 1, byDay: null, count: null, until: null };
+  const parts = String(text).trim().toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, value = ''] = part.split('=');
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw ruleError(`FREQ must be one of ${FREQUENCIES.join(', ')}.`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+          throw ruleError(`INTERVAL must be a whole number from 1 to ${MAX_INTERVAL}.`);
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(day => WEEKDAYS.indexOf(day));
+        if (rule.byDay.includes(-1)) {
+          throw ruleError('BYDAY must list weekdays such as MO,WE,FR.');
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT) {
+          throw ruleError(`COUNT must be a whole number from 1 to ${MAX_COUNT}.`);
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      default:
+        throw ruleError(`${key} is not supported. Use FREQ, INTERVAL, BYDAY, COUNT and UNTIL.`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw ruleError('FREQ is required, e.g. FREQ=DAILY.');
+  }
+  if (rule.byDay && rule.freq !== 'WEEKLY') {
+    throw ruleError('BYDAY can only be used with FREQ=WEEKLY.');
+  }
+  if (rule.count && rule.until) {
+    throw ruleError('use either COUNT or UNTIL, not both.');
+  }
+
+  return rule;
+};
+
+// Rule text in the form it is stored: upper case, without an RRULE: prefix
+const normalizeRule = (text) => String(text).trim().toUpperCase().replace(/^RRULE:/, '');
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const formatters = new Map();
+
+// Calendar date and time of an instant in a time zone
+const wallTime = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second,
+    ms: date.getUTCMilliseconds()
+  };
+};
+
+const wallToUtcMs = (wall) =>
+  Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second, wall.ms);
+
+// The instant a calendar date and time happens in a time zone. Times skipped
+// by a daylight saving change move forward by the size of the gap.
+const zonedTime = (wall, timeZone) => {
+  const asUtc = wallToUtcMs(wall);
+  const offsetAt = (ms) => wallToUtcMs(wallTime(new Date(ms), timeZone)) - ms;
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess));
+};
+
+// Date `days` days after a { year, month, day } date
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const weekday = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+const daysBetween = (from, to) =>
+  Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / (24 * 60 * 60 * 1000));
+
+// The period (day, week, month or year, times the interval) a little before
+// the one holding `date`, so old schedules need not be walked from the start
+const stepBefore = (start, date, { freq, interval }) => {
+  let periods;
+  if (freq === 'DAILY') {
+    periods = daysBetween(start, date);
+  } else if (freq === 'WEEKLY') {
+    periods = Math.floor((daysBetween(start, date) + (weekday(start) + 6) % 7) / 7);
+  } else {
+    const months = (date.year - start.year) * 12 + date.month - start.month;
+    periods = freq === 'MONTHLY' ? months : Math.floor(months / 12);
+  }
+  // One period of slack covers time zone offsets around midnight
+  return Math.max(0, Math.floor(periods / interval) - 1);
+};
+
+// Calendar dates of every occurrence from period `firstStep` on, in order.
+// Months without the start's day (say the 31st) are skipped, as RRULE does.
+function* occurrenceDates(start, { freq, interval, byDay }, firstStep = 0) {
+  // Weeks start on Monday; weekdays are visited Monday to Sunday
+  const weekStart = addDays(start, -((weekday(start) + 6) % 7));
+  const weekOffsets = byDay && [...new Set(byDay.map(day => (day + 6) % 7))].sort((a, b) => a - b);
+
+  for (let step = firstStep; step < firstStep + MAX_STEPS; step++) {
+    if (freq === 'DAILY') {
+      yield addDays(start, step * interval);
+    } else if (freq === 'WEEKLY' && !weekOffsets) {
+      yield addDays(start, step * interval * 7);
+    } else if (freq === 'WEEKLY') {
+      for (const offset of weekOffsets) {
+        const date = addDays(weekStart, step * interval * 7 + offset);
+        if (step > 0 || offset >= (weekday(start) + 6) % 7) yield date;
+      }
+    } else {
+      const months = freq === 'MONTHLY' ? step * interval : step * interval * 12;
+      const year = start.year + Math.floor((start.month - 1 + months) / 12);
+      const month = (start.month - 1 + months) % 12 + 1;
+      if (start.day <= daysInMonth(year, month)) yield { year, month, day: start.day };
+    }
+  }
+}
+
+// First occurrence of a reminder schedule ({ startAt, rule, timeZone }) after
+// `after`, or null when there is none. Without a rule, startAt is the only one.
+const nextOccurrence = ({ startAt, rule, timeZone = 'UTC' }, after) => {
+  if (!rule) {
+    return startAt > after ? startAt : null;
+  }
+
+  const parsed = parseRule(rule);
+  const start = wallTime(startAt, timeZone);
+  // COUNT needs every occurrence counted; without it, skip to just before `after`
+  const firstStep = parsed.count ? 0 : stepBefore(start, wallTime(after, timeZone), parsed);
+  let seen = 0;
+
+  for (const date of occurrenceDates(start, parsed, firstStep)) {
+    const wall = { ...start, ...date };
+    const at = zonedTime(wall, timeZone);
+
+    if (parsed.count && ++seen > parsed.count) return null;
+    if (parsed.until?.time && at > parsed.until.time) return null;
+    if (parsed.until?.date && date.year * 10000 + date.month * 100 + date.day > parsed.until.date) return null;
+    if (at > after) return at;
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseRule,
+  normalizeRule,
+  isValidTimeZone,
+  nextOccurrence
+};
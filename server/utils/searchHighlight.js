@@ -0,0 +1,98 @@
+// Characters of note content returned around the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+
+// Split a search string the way MongoDB's $text operator reads it:
+// "quoted phrases", single words and -negated words or phrases
+const parseSearch = (search = '') => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)([^\s"]+)/g;
+  let match;
+
+  while ((match = pattern.exec(search)) !== null) {
+    const phrase = match[2] !== undefined;
+    const text = (phrase ? match[2] : match[4]).trim();
+    const negated = (phrase ? match[1] : match[3]) === '-';
+    if (text) terms.push({ text, phrase, negated });
+  }
+  return terms;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One case-insensitive pattern for every term that should be highlighted.
+// Words also match longer words they start ("run" finds "running"), a rough
+// stand-in for the stemming $text does; phrases must match exactly.
+const buildMatcher = (terms) => {
+  const parts = terms
+    .filter(term => !term.negated)
+    .map(term => term.phrase
+      ? escapeRegExp(term.text).replace(/\s+/g, '\\s+')
+      : `${escapeRegExp(term.text)}\\w*`);
+
+  return parts.length > 0 ? new RegExp(`(?<!\\w)(?:${parts.join('|')})`, 'gi') : null;
+};
+
+const findMatches = (text = '', matcher) => {
+  if (!matcher || !text) return [];
+  return [...text.matchAll(matcher)]
+    .filter(match => match[0].length > 0)
+    .map(match => ({ start: match.index, end: match.index + match[0].length }));
+};
+
+// A window of the content around its first match, cut at word boundaries,
+// with match offsets relative to the snippet text
+const buildSnippet = (content = '', matcher) => {
+  const matches = findMatches(content, matcher);
+
+  if (matches.length === 0) {
+    return {
+      text: content.length > SNIPPET_LENGTH ? `${content.slice(0, SNIPPET_LENGTH).trimEnd()}…` : content,
+      matches: []
+    };
+  }
+
+  const first = matches[0];
+  let start = Math.max(0, first.start - SNIPPET_LEAD);
+  if (start > 0) {
+    const space = content.indexOf(' ', start);
+    if (space !== -1 && space < first.start) start = space + 1;
+  }
+
+  let end = Math.max(Math.min(content.length, start + SNIPPET_LENGTH), first.end);
+  if (end < content.length) {
+    const space = content.lastIndexOf(' ', end);
+    if (space > first.end) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+
+  return {
+    text: `${prefix}${content.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter(match => match.start >= start && match.end <= end)
+      .map(match => ({
+        start: match.start - start + prefix.length,
+        end: match.end - start + prefix.length
+      }))
+  };
+};
+
+// Where a search matched a note: ranges in the title, a content snippet with
+// its ranges and the matching tags. Offsets index into the returned strings,
+// so clients can wrap them in <mark> without parsing any markup.
+const highlightNote = (note, terms) => {
+  const matcher = buildMatcher(terms);
+
+  return {
+    title: findMatches(note.title, matcher),
+    snippet: buildSnippet(note.content, matcher),
+    tags: (note.tags || []).filter(tag => findMatches(tag, matcher).length > 0)
+  };
+};
+
+module.exports = {
+  parseSearch,
+  highlightNote
+};
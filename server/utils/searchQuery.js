@@ -0,0 +1,176 @@
+// Search box query language: free text (words, "exact phrases", -exclusions)
+// mixed with filters such as tag:meeting category:work is:pinned updated:>2026-09-01.
+// Filters may be negated (-tag:draft) and take quoted values (category:"side projects").
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const IS_VALUES = ['pinned', 'archived', 'shared'];
+const TYPE_VALUES = ['text', 'checklist'];
+const DATE_HINT = 'Use YYYY-MM-DD, optionally with >, >=, < or <=, or a range like 2026-09-01..2026-09-30';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Midnight UTC of a YYYY-MM-DD date, or null when it is not a real calendar date
+const parseDay = (text) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T00:00:00.000Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(text) ? date : null;
+};
+
+// created:/updated: values; whole days, so >2026-09-01 starts on the 2nd
+const dateCondition = (key, value) => {
+  const range = value.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+  if (range) {
+    const from = parseDay(range[1]);
+    const to = parseDay(range[2]);
+    if (!from || !to || from > to) {
+      throw new Error(`Invalid date range "${value}" in ${key}:. ${DATE_HINT}.`);
+    }
+    return { $gte: from, $lt: new Date(to.getTime() + DAY) };
+  }
+
+  const [, operator = '=', text] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+  const day = parseDay(text);
+  if (!day) {
+    throw new Error(`Invalid date "${value}" in ${key}:. ${DATE_HINT}.`);
+  }
+  const nextDay = new Date(day.getTime() + DAY);
+
+  switch (operator) {
+    case '>': return { $gte: nextDay };
+    case '>=': return { $gte: day };
+    case '<': return { $lt: day };
+    case '<=': return { $lt: nextDay };
+    default: return { $gte: day, $lt: nextDay };
+  }
+};
+
+// Each filter turns its value into a Mongo condition on the notes collection
+const FILTERS = {
+  tag: (value) => ({ tags: value }),
+  category: (value) => ({ category: new RegExp(`^${escapeRegExp(value)}$`, 'i') }),
+  type: (value) => {
+    if (!TYPE_VALUES.includes(value.toLowerCase())) {
+      throw new Error(`Unknown note type "${value}". Use type:${TYPE_VALUES.join(' or type:')}.`);
+    }
+    return { type: value.toLowerCase() };
+  },
+  is: (value) => {
+    switch (value.toLowerCase()) {
+      case 'pinned': return { isPinned: true };
+      case 'shared': return { 'collaborators.0': { $exists: true } };
+      default:
+        throw new Error(`Unknown value "${value}" for is:. Use is:${IS_VALUES.join(', is:')}.`);
+    }
+  },
+  created: (value) => ({ createdAt: dateCondition('created', value) }),
+  updated: (value) => ({ updatedAt: dateCondition('updated', value) })
+};
+
+const FILTER_NAMES = Object.keys(FILTERS).map(name => `${name}:`).join(', ');
+
+// Read a quoted string starting at the opening quote; returns its text and the index after it
+const readQuoted = (query, start) => {
+  const end = query.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new Error('Missing closing quote: every " needs a matching ".');
+  }
+  return { text: query.slice(start + 1, end), next: end + 1 };
+};
+
+// Split a query into { negated, filter?, value, phrase } tokens
+const tokenize = (query) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    if (/\s/.test(query[index])) {
+      index += 1;
+      continue;
+    }
+
+    const negated = query[index] === '-' && index + 1 < query.length && !/\s/.test(query[index + 1]);
+    if (negated) index += 1;
+
+    if (query[index] === '"') {
+      const { text, next } = readQuoted(query, index);
+      tokens.push({ negated, value: text.trim(), phrase: true });
+      index = next;
+      continue;
+    }
+
+    const filter = query.slice(index).match(/^([A-Za-z]+):/);
+    if (filter) {
+      const name = filter[1].toLowerCase();
+      if (!Object.hasOwn(FILTERS, name)) {
+        throw new Error(`Unknown filter "${filter[0]}". Use one of ${FILTER_NAMES}, or put the text in quotes.`);
+      }
+      index += filter[0].length;
+
+      let value;
+      if (query[index] === '"') {
+        const quoted = readQuoted(query, index);
+        value = quoted.text.trim();
+        index = quoted.next;
+      } else {
+        value = query.slice(index).match(/^\S*/)[0];
+        index += value.length;
+      }
+      if (!value) {
+        throw new Error(`Missing value after "${filter[0]}".`);
+      }
+      tokens.push({ negated, filter: name, value });
+      continue;
+    }
+
+    const word = query.slice(index).match(/^[^\s"]+/)[0];
+    tokens.push({ negated, value: word, phrase: false });
+    index += word.length;
+  }
+
+  return tokens;
+};
+
+// Compile a search box query. Returns the free text for the $text index, extra
+// Mongo conditions, and isArchived when the query says is:archived or -is:archived.
+// Throws an Error with a user-facing message when the query is malformed.
+const compileSearchQuery = (query = '') => {
+  const textTerms = [];
+  const filters = [];
+  let isArchived;
+
+  for (const token of tokenize(query)) {
+    if (token.filter === 'is' && token.value.toLowerCase() === 'archived') {
+      isArchived = !token.negated;
+      continue;
+    }
+    if (token.filter) {
+      const condition = FILTERS[token.filter](token.value);
+      filters.push(token.negated ? { $nor: [condition] } : condition);
+      continue;
+    }
+    if (token.value) {
+      textTerms.push(token);
+    }
+  }
+
+  // $text needs at least one word to look for; exclusions on their own are
+  // applied as case-insensitive matches against the title, content and tags
+  if (textTerms.length > 0 && textTerms.every(term => term.negated)) {
+    for (const term of textTerms) {
+      const pattern = new RegExp(escapeRegExp(term.value).replace(/\s+/g, '\\s+'), 'i');
+      filters.push({ $nor: [{ title: pattern }, { content: pattern }, { tags: pattern }] });
+    }
+    return { text: '', filters, isArchived };
+  }
+
+  const text = textTerms
+    .map(term => `${term.negated ? '-' : ''}${term.phrase ? `"${term.value}"` : term.value}`)
+    .join(' ');
+
+  return { text, filters, isArchived };
+};
+
+module.exports = {
+  compileSearchQuery
+};
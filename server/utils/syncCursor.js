@@ -0,0 +1,29 @@
+// Delta sync cursors: the time and id of the last change a client has seen,
+// as an opaque URL-safe string. Changes are ordered by time, then id, so
+// changes made at the same millisecond are neither skipped nor repeated.
+
+// Sorts after every real id, for a cursor placed after everything up to a time
+const MAX_ID = 'f'.repeat(24);
+
+const encodeCursor = ({ time, id = MAX_ID }) =>
+  Buffer.from(JSON.stringify({ t: new Date(time).getTime(), id: String(id) })).toString('base64url');
+
+// Returns { time, id }; throws an Error with a user-facing message when the cursor is malformed
+const decodeCursor = (text) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+  } catch {
+    cursor = null;
+  }
+
+  if (!cursor || !Number.isFinite(cursor.t) || !/^[a-f0-9]{24}$/.test(cursor.id)) {
+    throw new Error('Invalid sync cursor. Use the cursor returned by the previous sync, or leave it out to start over.');
+  }
+  return { time: new Date(cursor.t), id: cursor.id };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,35 @@
+// Rough, dependency-free User-Agent parsing, good enough to label a session
+// ("Chrome on Windows"). Order matters: Edge and Opera also claim to be Chrome.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+// Describe the device behind a User-Agent header
+const describeUserAgent = (userAgent = '') => {
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+module.exports = {
+  describeUserAgent
+};